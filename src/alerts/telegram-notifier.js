@@ -118,12 +118,16 @@ class TelegramNotifier extends EventEmitter {
         let message = '';
 
         // Add emoji based on type
-        if (notification.type === 'WHALE_DETECTED') {
+        if (notification.type === 'WHALE_DETECTED' || notification.type?.startsWith('WHALE_')) {
             message += '🐋 ';
         } else if (notification.type === 'PRICE_ALERT') {
             message += notification.direction === 'above' ? '📈 ' : '📉 ';
         } else if (notification.type === 'FLOW_ALERT') {
             message += '🔄 ';
+        } else if (notification.type?.endsWith('_LIQUIDATION')) {
+            message += '💥 ';
+        } else if (notification.type === 'FUNDING_SPIKE') {
+            message += '💸 ';
         } else {
             message += '📢 ';
         }
@@ -147,6 +151,10 @@ class TelegramNotifier extends EventEmitter {
             message += `Amount: ${notification.amount}\n`;
         }
 
+        if (notification.notional) {
+            message += `Notional: $${Math.round(notification.notional).toLocaleString()}\n`;
+        }
+
         if (notification.impact) {
             message += `Impact: ${notification.impact}\n`;
         }
@@ -3,8 +3,12 @@
  */
 
 const axios = require('axios');
-const WebSocket = require('ws');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const StreamManager = require('./stream-manager');
+const RequestScheduler = require('./request-scheduler');
+const DataSource = require('../core/data-source');
+const { APIError, ConfigurationError } = require('../core/error-handler');
 
 class BinanceAPI extends EventEmitter {
     constructor(config = {}) {
@@ -12,231 +16,563 @@ class BinanceAPI extends EventEmitter {
         this.apiKey = config.apiKey;
         this.apiSecret = config.apiSecret;
         this.testnet = config.testnet || false;
+        this.recvWindow = config.recvWindow || 5000;
+        this.timeOffset = 0;
         this.baseURL = this.testnet
             ? 'https://testnet.binance.vision/api/v3'
             : 'https://api.binance.com/api/v3';
         this.wsURL = this.testnet
-            ? 'wss://testnet.binance.vision/ws'
-            : 'wss://stream.binance.com:9443/ws';
+            ? 'wss://testnet.binance.vision'
+            : 'wss://stream.binance.com:9443';
 
         this.client = axios.create({
             baseURL: this.baseURL,
-            timeout: 10000
+            timeout: config.timeout || 10000
         });
 
-        this.ws = null;
-        this.subscriptions = new Map();
+        // Request weight is tracked per IP, so share one scheduler across instances where possible
+        this.scheduler = config.scheduler || new RequestScheduler({
+            service: 'binance',
+            rateLimit: config.rateLimit,
+            weightLimit: config.weightLimit || 6000,
+            maxRetries: config.maxRetries,
+            logger: config.logger
+        });
+
+        this.dataSource = config.dataSource || new DataSource({
+            mode: config.dataMode,
+            seed: config.mockSeed,
+            logger: config.logger
+        });
+
+        this.streams = new StreamManager({
+            baseURL: this.wsURL,
+            ...config.streams
+        });
+        this.streams.on('connected', () => this.emit('ws_connected'));
+        this.streams.on('disconnected', (info) => this.emit('ws_disconnected', info));
+        this.streams.on('reconnecting', (info) => this.emit('ws_reconnecting', info));
+        this.streams.on('error', (error) => this.emit('ws_error', error));
+        this.streams.on('request_error', (info) => this.emit('ws_error', info.error));
     }
 
     /**
      * Initialize the API client
      */
     async initialize() {
+        if (this.dataSource.isMock()) {
+            return true;
+        }
+
         // Test connectivity
         try {
             await this.ping();
+            if (this.hasCredentials()) {
+                await this.syncServerTime();
+            }
             return true;
         } catch (error) {
+            if (this.dataSource.isStrict()) {
+                throw this.dataSource.toAPIError(error, 'binance');
+            }
             console.warn('Binance API initialization warning:', error.message);
             // Continue anyway - public endpoints will still work
             return true;
         }
     }
 
+    /**
+     * Send a public GET request through the scheduler
+     */
+    async get(endpoint, params = {}, weight = 1) {
+        return this.scheduler.execute(
+            () => this.client.get(endpoint, { params }),
+            { weight, method: 'GET' }
+        );
+    }
+
     /**
      * Test connectivity
      */
     async ping() {
-        const response = await this.client.get('/ping');
+        const response = await this.get('/ping');
         return response.data;
     }
 
     /**
-     * Get current price
+     * Check whether API credentials are configured
      */
-    async getPrice(symbol) {
-        try {
-            const response = await this.client.get('/ticker/price', {
-                params: { symbol }
+    hasCredentials() {
+        return !!(this.apiKey && this.apiSecret);
+    }
+
+    /**
+     * Sync local clock offset against Binance server time
+     */
+    async syncServerTime() {
+        const requestedAt = Date.now();
+        const response = await this.get('/time');
+        const receivedAt = Date.now();
+
+        // Assume the server stamped the response halfway through the round trip
+        this.timeOffset = response.data.serverTime - Math.round((requestedAt + receivedAt) / 2);
+        return this.timeOffset;
+    }
+
+    /**
+     * Sign query parameters with HMAC-SHA256
+     */
+    sign(query) {
+        return crypto
+            .createHmac('sha256', this.apiSecret)
+            .update(query)
+            .digest('hex');
+    }
+
+    /**
+     * Send a signed (USER_DATA) request
+     */
+    async signedRequest(method, endpoint, params = {}, weight = 1, retried = false) {
+        if (!this.hasCredentials()) {
+            throw new ConfigurationError('Binance API key and secret are required for account endpoints', 'binance.apiKey');
+        }
+        if (this.dataSource.isMock()) {
+            throw new ConfigurationError('Account endpoints are not available in mock data mode', 'dataSource.mode');
+        }
+
+        // Sign inside the request function so retries get a fresh timestamp
+        const send = () => {
+            const query = new URLSearchParams();
+            for (const [key, value] of Object.entries(params)) {
+                if (value !== undefined && value !== null) {
+                    query.append(key, value);
+                }
+            }
+            query.append('recvWindow', this.recvWindow);
+            query.append('timestamp', Date.now() + this.timeOffset);
+
+            const payload = query.toString();
+            return this.client.request({
+                method,
+                url: `${endpoint}?${payload}&signature=${this.sign(payload)}`,
+                headers: { 'X-MBX-APIKEY': this.apiKey }
             });
-            return parseFloat(response.data.price);
+        };
+
+        try {
+            const response = await this.scheduler.execute(send, { weight, method });
+            return response.data;
         } catch (error) {
-            // Return mock data if API fails
-            return this.getMockPrice(symbol);
+            if (error instanceof APIError) {
+                throw error;
+            }
+
+            const data = error.response?.data;
+
+            // -1021: timestamp outside recvWindow, resync the clock and try once more
+            if (data?.code === -1021 && !retried) {
+                await this.syncServerTime();
+                return this.signedRequest(method, endpoint, params, weight, true);
+            }
+
+            throw new APIError(
+                data?.msg || error.message,
+                'binance',
+                error.response?.status,
+                data
+            );
         }
     }
 
+    /**
+     * Get account information
+     */
+    async getAccountInfo() {
+        return this.signedRequest('GET', '/account', {}, 20);
+    }
+
+    /**
+     * Get account balances
+     */
+    async getBalances(options = {}) {
+        const account = await this.getAccountInfo();
+
+        const balances = (account.balances || []).map(b => ({
+            asset: b.asset,
+            free: parseFloat(b.free),
+            locked: parseFloat(b.locked),
+            total: parseFloat(b.free) + parseFloat(b.locked)
+        }));
+
+        return options.includeZero ? balances : balances.filter(b => b.total > 0);
+    }
+
+    /**
+     * Get open orders (all symbols if none given)
+     */
+    async getOpenOrders(symbol) {
+        const orders = await this.signedRequest('GET', '/openOrders', { symbol }, symbol ? 6 : 80);
+        return orders.map(o => this.normalizeOrder(o));
+    }
+
+    /**
+     * Get order history for a symbol
+     */
+    async getOrderHistory(symbol, options = {}) {
+        const orders = await this.signedRequest('GET', '/allOrders', {
+            symbol,
+            orderId: options.orderId,
+            startTime: options.startTime,
+            endTime: options.endTime,
+            limit: options.limit || 500
+        }, 20);
+        return orders.map(o => this.normalizeOrder(o));
+    }
+
+    /**
+     * Get trade history for a symbol
+     */
+    async getTradeHistory(symbol, options = {}) {
+        const trades = await this.signedRequest('GET', '/myTrades', {
+            symbol,
+            orderId: options.orderId,
+            fromId: options.fromId,
+            startTime: options.startTime,
+            endTime: options.endTime,
+            limit: options.limit || 500
+        }, 20);
+        return trades.map(t => ({
+            id: t.id,
+            orderId: t.orderId,
+            symbol: t.symbol,
+            side: t.isBuyer ? 'BUY' : 'SELL',
+            price: parseFloat(t.price),
+            qty: parseFloat(t.qty),
+            quoteQty: parseFloat(t.quoteQty),
+            commission: parseFloat(t.commission),
+            commissionAsset: t.commissionAsset,
+            isMaker: t.isMaker,
+            time: t.time
+        }));
+    }
+
+    /**
+     * Normalize order payload
+     */
+    normalizeOrder(order) {
+        return {
+            orderId: order.orderId,
+            clientOrderId: order.clientOrderId,
+            symbol: order.symbol,
+            side: order.side,
+            type: order.type,
+            status: order.status,
+            timeInForce: order.timeInForce,
+            price: parseFloat(order.price),
+            origQty: parseFloat(order.origQty),
+            executedQty: parseFloat(order.executedQty),
+            cummulativeQuoteQty: parseFloat(order.cummulativeQuoteQty),
+            stopPrice: parseFloat(order.stopPrice),
+            time: order.time,
+            updateTime: order.updateTime
+        };
+    }
+
+    /**
+     * Get current price with its data source
+     */
+    async getPriceData(symbol) {
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/ticker/price', { symbol }, 2);
+                return { symbol, price: parseFloat(response.data.price) };
+            },
+            () => ({ symbol, price: this.getMockPrice(symbol) }),
+            'binance'
+        );
+    }
+
+    /**
+     * Get current price
+     */
+    async getPrice(symbol) {
+        const data = await this.getPriceData(symbol);
+        return data.price;
+    }
+
     /**
      * Get 24hr ticker
      */
     async get24hrTicker(symbol) {
-        try {
-            const response = await this.client.get('/ticker/24hr', {
-                params: { symbol }
-            });
-            return response.data;
-        } catch (error) {
-            return this.getMock24hrTicker(symbol);
-        }
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/ticker/24hr', { symbol }, 2);
+                return response.data;
+            },
+            () => this.getMock24hrTicker(symbol),
+            'binance'
+        );
+    }
+
+    /**
+     * Get 24hr tickers for all symbols
+     */
+    async get24hrTickers() {
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/ticker/24hr', {}, 80);
+                return response.data;
+            },
+            () => this.dataSource.mock.tickers(),
+            'binance'
+        );
+    }
+
+    /**
+     * Get exchange trading rules and symbol information
+     */
+    async getExchangeInfo() {
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/exchangeInfo', {}, 20);
+                return response.data;
+            },
+            () => this.dataSource.mock.exchangeInfo(),
+            'binance'
+        );
     }
 
     /**
      * Get klines/candlestick data
+     * options: { startTime, endTime } to page through history (max 1000 per call)
+     */
+    async getKlines(symbol, interval = '1h', limit = 100, options = {}) {
+        const params = { symbol, interval, limit };
+        if (options.startTime !== undefined) params.startTime = options.startTime;
+        if (options.endTime !== undefined) params.endTime = options.endTime;
+
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/klines', params, 2);
+                return response.data.map(k => this.normalizeKline(k));
+            },
+            () => options.startTime !== undefined
+                ? this.dataSource.mock.klinesRange(symbol, interval, options.startTime, options.endTime, limit)
+                : this.getMockKlines(symbol, interval, limit),
+            'binance'
+        );
+    }
+
+    /**
+     * Get order book snapshot
      */
-    async getKlines(symbol, interval = '1h', limit = 100) {
+    async getDepth(symbol, limit = 1000) {
+        if (this.dataSource.isMock()) {
+            throw new ConfigurationError('Order book snapshots are not available in mock data mode', 'dataSource.mode');
+        }
+
         try {
-            const response = await this.client.get('/klines', {
-                params: { symbol, interval, limit }
-            });
-            return response.data.map(k => ({
-                openTime: k[0],
-                open: parseFloat(k[1]),
-                high: parseFloat(k[2]),
-                low: parseFloat(k[3]),
-                close: parseFloat(k[4]),
-                volume: parseFloat(k[5]),
-                closeTime: k[6]
-            }));
+            const response = await this.get('/depth', { symbol, limit }, this.getDepthWeight(limit));
+            return {
+                symbol,
+                lastUpdateId: response.data.lastUpdateId,
+                bids: response.data.bids.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]),
+                asks: response.data.asks.map(([price, qty]) => [parseFloat(price), parseFloat(qty)])
+            };
         } catch (error) {
-            return this.getMockKlines(symbol, interval, limit);
+            // No mock fallback - a fake snapshot would corrupt local book sync
+            if (error instanceof APIError) {
+                throw error;
+            }
+            throw new APIError(
+                error.response?.data?.msg || error.message,
+                'binance',
+                error.response?.status,
+                error.response?.data
+            );
         }
     }
 
     /**
-     * Subscribe to price updates
+     * Request weight of /depth by limit
      */
-    subscribeToPriceUpdates(symbol, callback) {
-        const streamName = `${symbol.toLowerCase()}@ticker`;
-        this.subscriptions.set(streamName, callback);
+    getDepthWeight(limit) {
+        if (limit <= 100) return 5;
+        if (limit <= 500) return 25;
+        if (limit <= 1000) return 50;
+        return 250;
+    }
 
-        if (!this.ws) {
-            this.connectWebSocket();
-        }
+    /**
+     * Subscribe to a raw stream, returns an unsubscribe function
+     */
+    subscribe(stream, listener) {
+        return this.streams.subscribe(stream, listener);
+    }
 
-        // Send subscription message
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                method: 'SUBSCRIBE',
-                params: [streamName],
-                id: Date.now()
-            }));
-        }
+    /**
+     * Remove a stream listener
+     */
+    unsubscribe(stream, listener) {
+        this.streams.unsubscribe(stream, listener);
     }
 
     /**
-     * Connect WebSocket
+     * Subscribe to price updates
      */
-    connectWebSocket() {
-        this.ws = new WebSocket(this.wsURL);
+    subscribeToPriceUpdates(symbol, callback) {
+        return this.subscribe(`${symbol.toLowerCase()}@ticker`, callback);
+    }
 
-        this.ws.on('open', () => {
-            this.emit('ws_connected');
-            // Resubscribe to all streams
-            for (const stream of this.subscriptions.keys()) {
-                this.ws.send(JSON.stringify({
-                    method: 'SUBSCRIBE',
-                    params: [stream],
-                    id: Date.now()
-                }));
-            }
+    /**
+     * Subscribe to kline updates (same shape as getKlines, plus isClosed)
+     */
+    subscribeToKlines(symbol, interval, callback) {
+        return this.subscribe(`${symbol.toLowerCase()}@kline_${interval}`, (data) => {
+            callback(this.normalizeStreamKline(data));
         });
+    }
 
-        this.ws.on('message', (data) => {
-            try {
-                const msg = JSON.parse(data);
-                if (msg.stream && this.subscriptions.has(msg.stream)) {
-                    this.subscriptions.get(msg.stream)(msg.data);
-                }
-            } catch (error) {
-                // Ignore parse errors
-            }
+    /**
+     * Subscribe to aggregated trades
+     */
+    subscribeToAggTrades(symbol, callback) {
+        return this.subscribe(`${symbol.toLowerCase()}@aggTrade`, (data) => {
+            callback(this.normalizeAggTrade(data));
         });
+    }
 
-        this.ws.on('error', (error) => {
-            this.emit('ws_error', error);
+    /**
+     * Subscribe to order book diffs
+     */
+    subscribeToDepth(symbol, callback, options = {}) {
+        const speed = options.speed || '100ms';
+        const stream = speed === '1000ms'
+            ? `${symbol.toLowerCase()}@depth`
+            : `${symbol.toLowerCase()}@depth@${speed}`;
+
+        return this.subscribe(stream, (data) => {
+            callback(this.normalizeDepthUpdate(data));
         });
+    }
 
-        this.ws.on('close', () => {
-            this.emit('ws_disconnected');
-            // Reconnect after delay
-            setTimeout(() => {
-                if (this.subscriptions.size > 0) {
-                    this.connectWebSocket();
-                }
-            }, 5000);
+    /**
+     * Subscribe to best bid/ask updates
+     */
+    subscribeToBookTicker(symbol, callback) {
+        return this.subscribe(`${symbol.toLowerCase()}@bookTicker`, (data) => {
+            callback(this.normalizeBookTicker(data));
         });
     }
 
+    /**
+     * Normalize REST kline array
+     */
+    normalizeKline(k) {
+        return {
+            openTime: k[0],
+            open: parseFloat(k[1]),
+            high: parseFloat(k[2]),
+            low: parseFloat(k[3]),
+            close: parseFloat(k[4]),
+            volume: parseFloat(k[5]),
+            closeTime: k[6],
+            takerBuyVolume: parseFloat(k[9])
+        };
+    }
+
+    /**
+     * Normalize kline stream event
+     */
+    normalizeStreamKline(data) {
+        const k = data.k;
+        return {
+            openTime: k.t,
+            open: parseFloat(k.o),
+            high: parseFloat(k.h),
+            low: parseFloat(k.l),
+            close: parseFloat(k.c),
+            volume: parseFloat(k.v),
+            closeTime: k.T,
+            takerBuyVolume: parseFloat(k.V),
+            symbol: k.s,
+            interval: k.i,
+            isClosed: k.x,
+            eventTime: data.E
+        };
+    }
+
+    /**
+     * Normalize aggTrade stream event
+     */
+    normalizeAggTrade(data) {
+        return {
+            symbol: data.s,
+            aggTradeId: data.a,
+            price: parseFloat(data.p),
+            quantity: parseFloat(data.q),
+            firstTradeId: data.f,
+            lastTradeId: data.l,
+            time: data.T,
+            isBuyerMaker: data.m,
+            eventTime: data.E
+        };
+    }
+
+    /**
+     * Normalize depth diff stream event
+     */
+    normalizeDepthUpdate(data) {
+        return {
+            symbol: data.s,
+            firstUpdateId: data.U,
+            finalUpdateId: data.u,
+            bids: data.b.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]),
+            asks: data.a.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]),
+            eventTime: data.E
+        };
+    }
+
+    /**
+     * Normalize bookTicker stream event
+     */
+    normalizeBookTicker(data) {
+        return {
+            symbol: data.s,
+            updateId: data.u,
+            bidPrice: parseFloat(data.b),
+            bidQty: parseFloat(data.B),
+            askPrice: parseFloat(data.a),
+            askQty: parseFloat(data.A)
+        };
+    }
+
     /**
      * Cleanup
      */
     async cleanup() {
-        if (this.ws) {
-            this.ws.close();
-            this.ws = null;
-        }
-        this.subscriptions.clear();
+        this.streams.close();
     }
 
     // Mock data methods for when API is unavailable
     getMockPrice(symbol) {
-        const prices = {
-            'BTCUSDT': 50000 + Math.random() * 1000,
-            'ETHUSDT': 3000 + Math.random() * 100,
-            'BNBUSDT': 400 + Math.random() * 10
-        };
-        return prices[symbol] || 100;
+        return this.dataSource.mock.price(symbol);
     }
 
     getMock24hrTicker(symbol) {
-        const basePrice = this.getMockPrice(symbol);
-        return {
-            symbol,
-            priceChange: (Math.random() - 0.5) * basePrice * 0.1,
-            priceChangePercent: (Math.random() - 0.5) * 10,
-            lastPrice: basePrice,
-            volume: Math.random() * 1000000,
-            quoteVolume: Math.random() * 50000000,
-            highPrice: basePrice * 1.05,
-            lowPrice: basePrice * 0.95
-        };
+        return this.dataSource.mock.ticker(symbol);
     }
 
     getMockKlines(symbol, interval, limit) {
-        const klines = [];
-        const now = Date.now();
-        const intervalMs = this.getIntervalMs(interval);
-        let price = this.getMockPrice(symbol);
-
-        for (let i = limit - 1; i >= 0; i--) {
-            const time = now - (i * intervalMs);
-            const change = (Math.random() - 0.5) * price * 0.02;
-            price += change;
-
-            klines.push({
-                openTime: time,
-                open: price,
-                high: price * (1 + Math.random() * 0.01),
-                low: price * (1 - Math.random() * 0.01),
-                close: price + (Math.random() - 0.5) * price * 0.01,
-                volume: Math.random() * 1000,
-                closeTime: time + intervalMs - 1
-            });
-        }
-
-        return klines;
+        return this.dataSource.mock.klines(symbol, interval, limit);
     }
 
     getIntervalMs(interval) {
-        const units = {
-            'm': 60 * 1000,
-            'h': 60 * 60 * 1000,
-            'd': 24 * 60 * 60 * 1000,
-            'w': 7 * 24 * 60 * 60 * 1000
-        };
-        const value = parseInt(interval);
-        const unit = interval.slice(-1);
-        return value * (units[unit] || units['h']);
+        return this.dataSource.mock.intervalMs(interval);
+    }
+
+    getCandleOpen(interval, time) {
+        return this.dataSource.mock.candleOpen(interval, time);
     }
 }
 
@@ -0,0 +1,268 @@
+/**
+ * Binance USD-M Futures API Client Module
+ * Public market data for perpetuals: mark price, funding, open interest,
+ * long/short ratios and the liquidation stream
+ */
+
+const axios = require('axios');
+const EventEmitter = require('events');
+const StreamManager = require('./stream-manager');
+const RequestScheduler = require('./request-scheduler');
+const DataSource = require('../core/data-source');
+
+const PERIODS = ['5m', '15m', '30m', '1h', '2h', '4h', '6h', '12h', '1d'];
+
+class BinanceFuturesAPI extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.testnet = config.testnet || false;
+        this.baseURL = this.testnet
+            ? 'https://testnet.binancefuture.com'
+            : 'https://fapi.binance.com';
+        this.wsURL = this.testnet
+            ? 'wss://fstream.binancefuture.com'
+            : 'wss://fstream.binance.com';
+
+        this.client = axios.create({
+            baseURL: this.baseURL,
+            timeout: config.timeout || 10000
+        });
+
+        // Futures has its own weight budget, separate from spot
+        this.scheduler = config.scheduler || new RequestScheduler({
+            service: 'binance-futures',
+            rateLimit: config.rateLimit,
+            weightLimit: config.weightLimit || 2400,
+            maxRetries: config.maxRetries,
+            logger: config.logger
+        });
+
+        this.dataSource = config.dataSource || new DataSource({
+            mode: config.dataMode,
+            seed: config.mockSeed,
+            logger: config.logger
+        });
+
+        this.streams = new StreamManager({
+            baseURL: this.wsURL,
+            ...config.streams
+        });
+        this.streams.on('connected', () => this.emit('ws_connected'));
+        this.streams.on('disconnected', (info) => this.emit('ws_disconnected', info));
+        this.streams.on('reconnecting', (info) => this.emit('ws_reconnecting', info));
+        this.streams.on('error', (error) => this.emit('ws_error', error));
+        this.streams.on('request_error', (info) => this.emit('ws_error', info.error));
+    }
+
+    /**
+     * Send a public GET request through the scheduler
+     */
+    async get(endpoint, params = {}, weight = 1) {
+        return this.scheduler.execute(
+            () => this.client.get(endpoint, { params }),
+            { weight, method: 'GET' }
+        );
+    }
+
+    /**
+     * Get mark price, index price and current funding rate
+     */
+    async getMarkPrice(symbol) {
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/fapi/v1/premiumIndex', { symbol }, 1);
+                return this.normalizeMarkPrice(response.data);
+            },
+            () => this.dataSource.mock.markPrice(symbol),
+            'binance-futures'
+        );
+    }
+
+    /**
+     * Get funding rate history, oldest first
+     */
+    async getFundingRateHistory(symbol, options = {}) {
+        const params = { symbol, limit: options.limit || 100 };
+        if (options.startTime) params.startTime = options.startTime;
+        if (options.endTime) params.endTime = options.endTime;
+
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/fapi/v1/fundingRate', params, 1);
+                return response.data.map(rate => ({
+                    symbol: rate.symbol,
+                    fundingRate: parseFloat(rate.fundingRate),
+                    fundingTime: rate.fundingTime,
+                    markPrice: parseFloat(rate.markPrice)
+                }));
+            },
+            () => this.dataSource.mock.fundingRates(symbol, params.limit),
+            'binance-futures'
+        );
+    }
+
+    /**
+     * Get current open interest in contracts
+     */
+    async getOpenInterest(symbol) {
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/fapi/v1/openInterest', { symbol }, 1);
+                return {
+                    symbol: response.data.symbol,
+                    openInterest: parseFloat(response.data.openInterest),
+                    time: response.data.time
+                };
+            },
+            () => {
+                const history = this.dataSource.mock.openInterestHistory(symbol, '5m', 1);
+                return { symbol, openInterest: history[0].sumOpenInterest, time: Date.now() };
+            },
+            'binance-futures'
+        );
+    }
+
+    /**
+     * Get open interest history, oldest first
+     */
+    async getOpenInterestHistory(symbol, options = {}) {
+        const period = this.validatePeriod(options.period);
+        const limit = options.limit || 30;
+
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get('/futures/data/openInterestHist', { symbol, period, limit }, 1);
+                return response.data.map(entry => ({
+                    symbol: entry.symbol,
+                    sumOpenInterest: parseFloat(entry.sumOpenInterest),
+                    sumOpenInterestValue: parseFloat(entry.sumOpenInterestValue),
+                    timestamp: entry.timestamp
+                }));
+            },
+            () => this.dataSource.mock.openInterestHistory(symbol, period, limit),
+            'binance-futures'
+        );
+    }
+
+    /**
+     * Get top trader long/short ratio history, oldest first
+     * type: 'position' (by position size) or 'account' (by account count)
+     */
+    async getTopLongShortRatio(symbol, options = {}) {
+        const period = this.validatePeriod(options.period);
+        const limit = options.limit || 30;
+        const type = options.type || 'position';
+        const endpoint = type === 'account'
+            ? '/futures/data/topLongShortAccountRatio'
+            : '/futures/data/topLongShortPositionRatio';
+
+        return this.dataSource.fetch(
+            async () => {
+                const response = await this.get(endpoint, { symbol, period, limit }, 1);
+                return response.data.map(entry => ({
+                    symbol: entry.symbol,
+                    longShortRatio: parseFloat(entry.longShortRatio),
+                    longAccount: parseFloat(entry.longAccount),
+                    shortAccount: parseFloat(entry.shortAccount),
+                    timestamp: entry.timestamp
+                }));
+            },
+            () => this.dataSource.mock.longShortRatios(symbol, period, limit, type),
+            'binance-futures'
+        );
+    }
+
+    /**
+     * Fall back to 5m for unsupported statistics periods
+     */
+    validatePeriod(period) {
+        return PERIODS.includes(period) ? period : '5m';
+    }
+
+    /**
+     * Subscribe to mark price and funding updates (1s or 3s)
+     */
+    subscribeToMarkPrice(symbol, callback, options = {}) {
+        const stream = options.speed === '3s'
+            ? `${symbol.toLowerCase()}@markPrice`
+            : `${symbol.toLowerCase()}@markPrice@1s`;
+
+        return this.streams.subscribe(stream, (data) => {
+            callback(this.normalizeStreamMarkPrice(data));
+        });
+    }
+
+    /**
+     * Subscribe to liquidation orders - pass null for all symbols
+     */
+    subscribeToLiquidations(symbol, callback) {
+        const stream = symbol ? `${symbol.toLowerCase()}@forceOrder` : '!forceOrder@arr';
+
+        return this.streams.subscribe(stream, (data) => {
+            callback(this.normalizeForceOrder(data));
+        });
+    }
+
+    /**
+     * Normalize REST premiumIndex response
+     */
+    normalizeMarkPrice(data) {
+        return {
+            symbol: data.symbol,
+            markPrice: parseFloat(data.markPrice),
+            indexPrice: parseFloat(data.indexPrice),
+            fundingRate: parseFloat(data.lastFundingRate),
+            interestRate: parseFloat(data.interestRate),
+            nextFundingTime: data.nextFundingTime,
+            time: data.time
+        };
+    }
+
+    /**
+     * Normalize markPriceUpdate stream event (same shape as REST)
+     */
+    normalizeStreamMarkPrice(data) {
+        return {
+            symbol: data.s,
+            markPrice: parseFloat(data.p),
+            indexPrice: parseFloat(data.i),
+            fundingRate: parseFloat(data.r),
+            nextFundingTime: data.T,
+            time: data.E
+        };
+    }
+
+    /**
+     * Normalize forceOrder stream event
+     * A SELL liquidation closes a long, a BUY liquidation closes a short
+     */
+    normalizeForceOrder(data) {
+        const order = data.o;
+        const averagePrice = parseFloat(order.ap);
+        const filledQuantity = parseFloat(order.z);
+
+        return {
+            symbol: order.s,
+            side: order.S,
+            liquidatedSide: order.S === 'SELL' ? 'LONG' : 'SHORT',
+            orderType: order.o,
+            status: order.X,
+            price: parseFloat(order.p),
+            averagePrice,
+            quantity: parseFloat(order.q),
+            filledQuantity,
+            notional: averagePrice * filledQuantity,
+            tradeTime: order.T,
+            eventTime: data.E
+        };
+    }
+
+    /**
+     * Cleanup resources
+     */
+    async cleanup() {
+        this.streams.close();
+    }
+}
+
+module.exports = BinanceFuturesAPI;
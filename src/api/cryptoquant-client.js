@@ -4,170 +4,523 @@
 
 const axios = require('axios');
 const EventEmitter = require('events');
+const RequestScheduler = require('./request-scheduler');
+const DataSource = require('../core/data-source');
+const ThresholdTable = require('../core/thresholds');
+const { FLOW_WINDOWS, ADAPTIVE_DEFAULTS, buildFlowResult, detectWhales, lookbackWindows } = require('../core/flow-series');
+const { ValidationError } = require('../core/error-handler');
+
+/**
+ * @typedef {Object} MetricResult
+ * @property {string} metric - key in METRICS
+ * @property {string} symbol - asset, e.g. BTC
+ * @property {string} window - day, hour, ...
+ * @property {number} value - latest value
+ * @property {number|null} previous - value one step earlier
+ * @property {number|null} changePercent - latest vs oldest value in series
+ * @property {Array<{date: Date, value: number}>} series - oldest first
+ * @property {Object} latest - raw latest row from CryptoQuant
+ * @property {string} source - 'live' or 'mock'
+ * @property {Date} timestamp
+ */
+
+/**
+ * On-chain metrics beyond exchange flows
+ * path builds the endpoint, field is the value column, assets limits support (null = any)
+ * interpret maps a MetricResult to a -1 (bearish) .. +1 (bullish) score
+ */
+const METRICS = {
+    exchange_reserve: {
+        path: (asset) => `/${asset}/exchange-flows/reserve`,
+        field: 'reserve',
+        exchange: true,
+        assets: ['btc', 'eth'],
+        // Coins leaving exchanges means less supply ready to sell
+        interpret: (m) => clamp(-(m.changePercent || 0) / 2)
+    },
+    miner_flows: {
+        path: (asset) => `/${asset}/miner-flows/netflow`,
+        field: 'netflow_total',
+        params: { miner: 'all_miner' },
+        assets: ['btc'],
+        // Negative netflow means miners are distributing
+        interpret: (m) => clamp(m.value / (averageAbs(m.series) || 1) / 2)
+    },
+    stablecoin_reserve: {
+        path: () => '/stablecoin/exchange-flows/reserve',
+        field: 'reserve_usd',
+        exchange: true,
+        params: { token: 'all_token' },
+        assets: null,
+        // Stablecoins parked on exchanges are buying power
+        interpret: (m) => clamp((m.changePercent || 0) / 2)
+    },
+    whale_ratio: {
+        path: (asset) => `/${asset}/flow-indicator/exchange-whale-ratio`,
+        field: 'exchange_whale_ratio',
+        exchange: true,
+        assets: ['btc', 'eth'],
+        // Above ~0.85 whales dominate inflows, usually ahead of selling
+        interpret: (m) => clamp((0.6 - m.value) * 4)
+    },
+    fund_flow_ratio: {
+        path: (asset) => `/${asset}/flow-indicator/fund-flow-ratio`,
+        field: 'fund_flow_ratio',
+        exchange: true,
+        assets: ['btc', 'eth'],
+        // More of the on-chain volume heading to exchanges than usual is bearish
+        interpret: (m) => {
+            const average = averageValue(m.series);
+            return average ? clamp(-(m.value - average) / average * 5) : 0;
+        }
+    },
+    leverage_ratio: {
+        path: (asset) => `/${asset}/market-indicator/estimated-leverage-ratio`,
+        field: 'estimated_leverage_ratio',
+        exchange: true,
+        assets: ['btc', 'eth'],
+        // Building leverage raises liquidation cascade risk
+        interpret: (m) => clamp(-(m.changePercent || 0) / 10)
+    },
+    sopr: {
+        path: (asset) => `/${asset}/market-indicator/sopr`,
+        field: 'sopr',
+        assets: ['btc', 'eth'],
+        // Below 1 holders sell at a loss (capitulation), well above 1 they take profit
+        interpret: (m) => clamp((1 - m.value) * 20)
+    },
+    mvrv: {
+        path: (asset) => `/${asset}/market-indicator/mvrv`,
+        field: 'mvrv',
+        assets: ['btc', 'eth'],
+        // Under 1 is historically undervalued, above 3.5 overheated
+        interpret: (m) => clamp((2.25 - m.value) / 1.25)
+    }
+};
+
+function clamp(value) {
+    return Math.max(-1, Math.min(1, value));
+}
+
+function averageValue(series) {
+    return series.length ? series.reduce((sum, point) => sum + point.value, 0) / series.length : 0;
+}
+
+function averageAbs(series) {
+    return series.length ? series.reduce((sum, point) => sum + Math.abs(point.value), 0) / series.length : 0;
+}
 
 class CryptoQuantClient extends EventEmitter {
-    constructor(apiKey) {
+    constructor(apiKey, options = {}) {
         super();
         this.apiKey = apiKey;
         this.baseURL = 'https://api.cryptoquant.com/v1';
 
         this.client = axios.create({
             baseURL: this.baseURL,
-            timeout: 10000,
+            timeout: options.timeout || 10000,
             headers: apiKey ? {
                 'Authorization': `Bearer ${apiKey}`
             } : {}
         });
 
+        this.scheduler = options.scheduler || new RequestScheduler({
+            service: 'cryptoquant',
+            rateLimit: options.rateLimit,
+            maxRetries: options.maxRetries,
+            logger: options.logger
+        });
+
+        this.dataSource = options.dataSource || new DataSource({
+            mode: options.dataMode,
+            seed: options.mockSeed,
+            logger: options.logger
+        });
+
+        this.thresholds = options.thresholds instanceof ThresholdTable
+            ? options.thresholds
+            : new ThresholdTable(options.thresholds);
+
         this.cache = new Map();
-        this.cacheTTL = 60000; // 1 minute cache
+        this.cacheTTL = options.cacheTTL || 60000; // 1 minute cache
     }
 
     /**
-     * Get exchange flow data
+     * Serve from cache or fetch; only live data is cached
      */
-    async getExchangeFlow(flowType, options = {}) {
-        const { symbol = 'ETH', exchange = 'all_exchange', window = 'day' } = options;
-
-        try {
-            const endpoint = `/${symbol.toLowerCase()}/exchange-flows/${flowType}`;
-            const cacheKey = `${endpoint}:${exchange}:${window}`;
-
-            // Check cache
-            if (this.cache.has(cacheKey)) {
-                const cached = this.cache.get(cacheKey);
-                if (Date.now() - cached.timestamp < this.cacheTTL) {
-                    return cached.data;
-                }
+    async cachedFetch(cacheKey, liveFn, mockFn) {
+        if (this.cache.has(cacheKey)) {
+            const cached = this.cache.get(cacheKey);
+            if (Date.now() - cached.timestamp < this.cacheTTL) {
+                return cached.data;
             }
+        }
 
-            const response = await this.client.get(endpoint, {
-                params: {
-                    exchange,
-                    window,
-                    limit: options.limit || 1
-                }
-            });
-
-            const data = this.processFlowData(response.data, flowType);
+        const data = await this.dataSource.fetch(liveFn, mockFn, 'cryptoquant');
 
-            // Cache the result
+        // Only cache real data so a transient failure does not stick
+        if (data.source === 'live') {
             this.cache.set(cacheKey, {
                 data,
                 timestamp: Date.now()
             });
+        }
+
+        return data;
+    }
 
-            return data;
+    /**
+     * Get an exchange flow time series with windowed statistics
+     * @param {string} flowType - inflow, outflow or netflow
+     * @param {Object} options - { symbol, exchange, window, from, to, limit, points, lookback }
+     * @returns {Promise<FlowResult>} see core/flow-series
+     */
+    async getExchangeFlow(flowType, options = {}) {
+        const { symbol = 'ETH', exchange = 'all_exchange', window = 'hour' } = options;
+        const query = this.resolveFlowQuery(window, options);
+        const endpoint = `/${symbol.toLowerCase()}/exchange-flows/${flowType}`;
+        const params = { exchange, window, ...query.params };
+        const cacheKey = `${endpoint}:${JSON.stringify(params)}`;
+        const context = { symbol, exchange, window, points: query.points };
 
-        } catch (error) {
-            // Return mock data if API fails
-            return this.getMockFlowData(flowType, symbol);
+        return this.cachedFetch(
+            cacheKey,
+            async () => {
+                const response = await this.scheduler.execute(() => this.client.get(endpoint, { params }));
+                return this.processFlowData(response.data, flowType, context);
+            },
+            () => this.getMockFlowData(flowType, { ...context, limit: params.limit, to: query.to })
+        );
+    }
+
+    /**
+     * Turn window/range options into request params
+     * Without from/to the latest `points + lookback` windows are requested
+     */
+    resolveFlowQuery(window, options = {}) {
+        const definition = FLOW_WINDOWS[window];
+        if (!definition) {
+            throw new ValidationError(
+                `Unsupported flow window ${window} (use ${Object.keys(FLOW_WINDOWS).join(', ')})`,
+                'window',
+                window
+            );
+        }
+
+        const points = options.points || definition.points;
+        const lookback = options.lookback !== undefined ? options.lookback : definition.lookback;
+        const params = {};
+
+        const from = options.from !== undefined ? new Date(options.from).getTime() : undefined;
+        const to = options.to !== undefined ? new Date(options.to).getTime() : undefined;
+
+        if (from !== undefined && to !== undefined && from > to) {
+            throw new ValidationError('from must be before to', 'from', options.from);
+        }
+
+        if (from !== undefined) params.from = this.formatFlowTime(from, window);
+        if (to !== undefined) params.to = this.formatFlowTime(to, window);
+
+        if (options.limit) {
+            params.limit = options.limit;
+        } else if (from !== undefined) {
+            params.limit = Math.floor(((to !== undefined ? to : Date.now()) - from) / definition.ms) + 1;
+        } else {
+            params.limit = points + lookback;
+        }
+
+        return { params, points, to };
+    }
+
+    /**
+     * CryptoQuant range format: YYYYMMDD for day, YYYYMMDDTHHMMSS otherwise (UTC)
+     */
+    formatFlowTime(time, window) {
+        const iso = new Date(time).toISOString();
+        const date = iso.slice(0, 10).replace(/-/g, '');
+        return window === 'day' ? date : `${date}T${iso.slice(11, 19).replace(/:/g, '')}`;
+    }
+
+    /**
+     * Get an on-chain metric series
+     * @param {string} metric - key in METRICS
+     * @param {Object} options - { symbol, exchange, window, limit }
+     * @returns {Promise<MetricResult>}
+     */
+    async getMetric(metric, options = {}) {
+        const definition = METRICS[metric];
+        if (!definition) {
+            throw new ValidationError(`Unknown CryptoQuant metric ${metric}`, 'metric', metric);
         }
+
+        const { symbol = 'BTC', exchange = 'all_exchange', window = 'day', limit = 30 } = options;
+        if (!this.supportsMetric(metric, symbol)) {
+            throw new ValidationError(`${metric} is not available for ${symbol}`, 'symbol', symbol);
+        }
+
+        const params = { window, limit, ...definition.params };
+        if (definition.exchange) params.exchange = exchange;
+
+        const endpoint = definition.path(symbol.toLowerCase());
+        const cacheKey = `${endpoint}:${JSON.stringify(params)}`;
+
+        return this.cachedFetch(
+            cacheKey,
+            async () => {
+                const response = await this.scheduler.execute(() => this.client.get(endpoint, { params }));
+                return this.processMetricData(response.data, metric, symbol, window);
+            },
+            () => this.processMetricSeries(metric, symbol, window, this.dataSource.mock.metric(metric, symbol, limit), {})
+        );
+    }
+
+    /**
+     * Get exchange reserve (coins held on exchanges)
+     */
+    async getExchangeReserve(options = {}) {
+        return this.getMetric('exchange_reserve', options);
+    }
+
+    /**
+     * Get miner netflow (inflow - outflow of miner wallets)
+     */
+    async getMinerFlows(options = {}) {
+        return this.getMetric('miner_flows', options);
+    }
+
+    /**
+     * Get stablecoin reserves on exchanges in USD
+     */
+    async getStablecoinReserve(options = {}) {
+        return this.getMetric('stablecoin_reserve', options);
+    }
+
+    /**
+     * Get exchange whale ratio (top 10 inflows / total inflow)
+     */
+    async getWhaleRatio(options = {}) {
+        return this.getMetric('whale_ratio', options);
+    }
+
+    /**
+     * Get fund flow ratio (exchange flows / total on-chain flows)
+     */
+    async getFundFlowRatio(options = {}) {
+        return this.getMetric('fund_flow_ratio', options);
+    }
+
+    /**
+     * Get estimated leverage ratio (open interest / exchange reserve)
+     */
+    async getLeverageRatio(options = {}) {
+        return this.getMetric('leverage_ratio', options);
+    }
+
+    /**
+     * Get SOPR (spent output profit ratio)
+     */
+    async getSOPR(options = {}) {
+        return this.getMetric('sopr', options);
+    }
+
+    /**
+     * Get MVRV (market value / realized value)
+     */
+    async getMVRV(options = {}) {
+        return this.getMetric('mvrv', options);
+    }
+
+    /**
+     * Fetch several metrics at once, skipping ones the asset does not support
+     * Returns { metrics: { name: MetricResult }, source }
+     */
+    async getOnChainMetrics(symbol = 'BTC', metrics = Object.keys(METRICS), options = {}) {
+        const supported = metrics.filter(metric => this.supportsMetric(metric, symbol));
+        const results = await Promise.all(
+            supported.map(metric => this.getMetric(metric, { ...options, symbol }))
+        );
+
+        const byName = {};
+        supported.forEach((metric, i) => {
+            byName[metric] = results[i];
+        });
+
+        return {
+            metrics: byName,
+            source: this.dataSource.combine(...results.map(result => result.source))
+        };
+    }
+
+    /**
+     * Check whether CryptoQuant has a metric for an asset
+     */
+    supportsMetric(metric, symbol) {
+        const definition = METRICS[metric];
+        if (!definition) return false;
+        return !definition.assets || definition.assets.includes(symbol.toLowerCase());
+    }
+
+    /**
+     * Score metrics into a weighted -1..+1 on-chain bias
+     * @param {Object} metrics - { name: MetricResult }
+     * @param {Object} weights - { name: weight }, default 1 each
+     */
+    scoreMetrics(metrics, weights = {}) {
+        const factors = [];
+        let weighted = 0;
+        let totalWeight = 0;
+
+        for (const [metric, result] of Object.entries(metrics)) {
+            const weight = weights[metric] !== undefined ? weights[metric] : 1;
+            if (!weight || !METRICS[metric]) continue;
+
+            const score = METRICS[metric].interpret(result);
+            factors.push({ metric, value: result.value, score, weight });
+            weighted += score * weight;
+            totalWeight += weight;
+        }
+
+        const score = totalWeight ? weighted / totalWeight : 0;
+        return {
+            score,
+            bias: score > 0.2 ? 'BULLISH' : score < -0.2 ? 'BEARISH' : 'NEUTRAL',
+            factors
+        };
     }
 
     /**
      * Detect whale movements
+     * threshold (coins) defaults to the asset's entry in the threshold table;
+     * pass price to apply USD thresholds. With adaptive ({ method, k,
+     * percentile, lookbackDays }) thresholds come from recent whale sizes
      */
     async detectWhaleMovements(options = {}) {
-        const { symbol = 'ETH', threshold = 1000 } = options;
+        const { symbol = 'ETH', adaptive } = options;
+        const threshold = options.threshold || this.thresholds.resolve(symbol, options.price).whale;
+        const flowOptions = adaptive && options.lookback === undefined
+            ? { ...options, lookback: lookbackWindows(options.window || 'hour', adaptive.lookbackDays || ADAPTIVE_DEFAULTS.lookbackDays) }
+            : options;
 
         try {
             const [inflow, outflow] = await Promise.all([
-                this.getExchangeFlow('inflow', options),
-                this.getExchangeFlow('outflow', options)
+                this.getExchangeFlow('inflow', flowOptions),
+                this.getExchangeFlow('outflow', flowOptions)
             ]);
 
+            const source = this.dataSource.combine(inflow.source, outflow.source);
             const alerts = [];
 
-            // Check for whale inflows
-            if (inflow?.statistics?.whaleVolume > threshold) {
-                alerts.push({
-                    type: 'WHALE_INFLOW',
-                    severity: 'high',
-                    amount: inflow.statistics.whaleVolume,
-                    symbol,
-                    impact: 'BEARISH',
-                    message: `Large ${symbol} deposit detected: ${inflow.statistics.whaleVolume.toFixed(2)} ${symbol}`
-                });
+            // Fallback mock data must never look like a real whale
+            if (source === 'mock' && !this.dataSource.isMock()) {
+                return { alerts, inflow, outflow, source };
             }
 
-            // Check for whale outflows
-            if (outflow?.statistics?.whaleVolume > threshold * 2) {
-                alerts.push({
-                    type: 'WHALE_OUTFLOW',
-                    severity: 'medium',
-                    amount: outflow.statistics.whaleVolume,
-                    symbol,
-                    impact: 'BULLISH',
-                    message: `Large ${symbol} withdrawal detected: ${outflow.statistics.whaleVolume.toFixed(2)} ${symbol}`
-                });
+            if (threshold || adaptive) {
+                alerts.push(...detectWhales(inflow, outflow, { symbol, threshold, adaptive, source }));
             }
 
-            return { alerts, inflow, outflow };
+            return { alerts, inflow, outflow, source };
 
         } catch (error) {
+            if (this.dataSource.isStrict()) {
+                throw error;
+            }
             return { alerts: [], error: error.message };
         }
     }
 
     /**
-     * Process flow data
+     * Normalize a CryptoQuant flow response (rows are newest first)
      */
-    processFlowData(rawData, flowType) {
+    processFlowData(rawData, flowType, context = {}) {
         if (!rawData || !rawData.result) {
-            return this.getMockFlowData(flowType);
+            throw new Error(`Unexpected CryptoQuant response for ${flowType}`);
         }
 
-        const data = rawData.result.data || [];
-        const latest = data[0] || {};
+        const field = `${flowType}_total`;
+        const series = (rawData.result.data || [])
+            .filter(row => row[field] !== undefined && row[field] !== null)
+            .map(row => ({
+                timestamp: this.parseFlowTime(row),
+                value: parseFloat(row[field]),
+                top10: row[`${flowType}_top10`] !== undefined ? parseFloat(row[`${flowType}_top10`]) : null
+            }));
+
+        return buildFlowResult(flowType, series, context);
+    }
 
-        // Calculate statistics
-        const total24h = data.reduce((sum, d) => sum + (d.value || 0), 0);
-        const whaleTransactions = data.filter(d => d.value > 1000).length;
-        const whaleVolume = data.filter(d => d.value > 1000)
-            .reduce((sum, d) => sum + d.value, 0);
+    /**
+     * Parse a row date - CryptoQuant timestamps are UTC without a zone suffix
+     */
+    parseFlowTime(row) {
+        if (row.datetime) {
+            return new Date(`${row.datetime.replace(' ', 'T')}Z`).getTime();
+        }
+        return new Date(`${row.date}T00:00:00Z`).getTime();
+    }
+
+    /**
+     * Normalize a CryptoQuant metric response
+     */
+    processMetricData(rawData, metric, symbol, window) {
+        if (!rawData || !rawData.result) {
+            throw new Error(`Unexpected CryptoQuant response for ${metric}`);
+        }
+
+        const field = METRICS[metric].field;
+        const rows = rawData.result.data || [];
+        const series = rows
+            .filter(row => row[field] !== undefined && row[field] !== null)
+            .map(row => ({
+                date: new Date(this.parseFlowTime(row)),
+                value: parseFloat(row[field])
+            }));
+
+        return this.processMetricSeries(metric, symbol, window, series, rows[0] || {});
+    }
+
+    /**
+     * Build a MetricResult from a newest-first series
+     */
+    processMetricSeries(metric, symbol, window, newestFirst, latest) {
+        if (newestFirst.length === 0) {
+            throw new Error(`No ${metric} data for ${symbol}`);
+        }
+
+        const series = newestFirst.slice().reverse();
+        const value = series[series.length - 1].value;
+        const oldest = series[0].value;
 
         return {
+            metric,
+            symbol,
+            window,
+            value,
+            previous: series.length > 1 ? series[series.length - 2].value : null,
+            changePercent: series.length > 1 && oldest !== 0
+                ? ((value - oldest) / Math.abs(oldest)) * 100
+                : null,
+            series,
             latest,
-            statistics: {
-                total24h,
-                whaleTransactions,
-                whaleVolume,
-                averageSize: total24h / (data.length || 1),
-                maxTransaction: Math.max(...data.map(d => d.value || 0))
-            },
-            flowType,
             timestamp: new Date()
         };
     }
 
     /**
-     * Get mock flow data for testing/fallback
+     * Get mock flow data for testing/fallback, shaped like a CryptoQuant response
      */
-    getMockFlowData(flowType, symbol = 'ETH') {
-        const baseValue = symbol === 'BTC' ? 100 : 5000;
-        const variance = symbol === 'BTC' ? 50 : 2000;
-
-        const value = baseValue + Math.random() * variance;
-        const whaleValue = value * 0.3;
+    getMockFlowData(flowType, options = {}) {
+        const { symbol = 'ETH', window = 'hour', exchange = 'all_exchange' } = options;
+        const definition = FLOW_WINDOWS[window];
+        const limit = options.limit || definition.points + definition.lookback;
+        const rows = this.dataSource.mock.flowRows(flowType, symbol, window, limit, options.to, exchange);
 
-        return {
-            latest: {
-                value,
-                timestamp: new Date()
-            },
-            statistics: {
-                total24h: value * 24,
-                whaleTransactions: Math.floor(Math.random() * 10),
-                whaleVolume: whaleValue,
-                averageSize: value,
-                maxTransaction: value * 2,
-                netBalance: flowType === 'inflow' ? value : -value
-            },
-            flowType,
-            timestamp: new Date(),
-            isMockData: true
-        };
+        return this.processFlowData({ result: { data: rows } }, flowType, {
+            ...options,
+            symbol,
+            exchange,
+            window
+        });
     }
 
     /**
@@ -178,4 +531,6 @@ class CryptoQuantClient extends EventEmitter {
     }
 }
 
+CryptoQuantClient.METRICS = METRICS;
+
 module.exports = CryptoQuantClient;
\ No newline at end of file
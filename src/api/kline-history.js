@@ -0,0 +1,228 @@
+/**
+ * Kline History Module
+ * Pages through Binance klines by startTime/endTime and serves repeat
+ * requests from the on-disk KlineStore, fetching only missing ranges
+ */
+
+const EventEmitter = require('events');
+const KlineStore = require('../core/kline-store');
+const { ValidationError } = require('../core/error-handler');
+
+class KlineHistory extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.binance = config.binance;
+        this.logger = config.logger;
+        this.store = config.store || new KlineStore({ dir: config.dir });
+        this.pageLimit = config.pageLimit || 1000;
+        this.maxPages = config.maxPages || 500;
+        this.flushSize = config.flushSize || 10000;
+    }
+
+    /**
+     * Get klines for a range, or the latest `limit` candles
+     * options: { startTime, endTime, limit }
+     */
+    async getKlines(symbol, interval = '1h', options = {}) {
+        const { startTime, endTime } = this.resolveRange(interval, options);
+        const { uncached, source } = await this.sync(symbol, interval, startTime, endTime);
+
+        const byOpenTime = new Map();
+        (await this.store.read(symbol, interval, startTime, endTime))
+            .forEach(kline => byOpenTime.set(kline.openTime, kline));
+        uncached
+            .filter(kline => kline.openTime >= startTime && kline.openTime <= endTime)
+            .forEach(kline => byOpenTime.set(kline.openTime, kline));
+
+        const klines = Array.from(byOpenTime.values()).sort((a, b) => a.openTime - b.openTime);
+        klines.source = source;
+        return klines;
+    }
+
+    /**
+     * Fill the cache for a range and report what was fetched and any gaps
+     */
+    async backfill(symbol, interval = '1h', options = {}) {
+        const { startTime, endTime } = this.resolveRange(interval, options);
+        const intervalMs = this.getIntervalMs(interval);
+        const { fetched, pages, source } = await this.sync(symbol, interval, startTime, endTime);
+
+        const cached = await this.store.read(symbol, interval, startTime, endTime);
+
+        return {
+            symbol,
+            interval,
+            startTime,
+            endTime,
+            fetched,
+            pages,
+            cached: cached.length,
+            gaps: this.findGaps(cached, intervalMs),
+            source
+        };
+    }
+
+    /**
+     * Fetch every missing range; live candles go to the store, everything
+     * that cannot be cached (open candle, mock fallback) is returned
+     */
+    async sync(symbol, interval, startTime, endTime) {
+        const intervalMs = this.getIntervalMs(interval);
+
+        // Never cache mock data - it would poison later live reads
+        if (this.binance.dataSource.isMock()) {
+            const { klines, pages } = await this.fetchRange(symbol, interval, startTime, endTime);
+            return { fetched: klines.length, pages, uncached: klines, source: 'mock' };
+        }
+
+        const lastClosed = this.binance.getCandleOpen(interval, Date.now()) - intervalMs;
+        const missing = await this.store.getMissingRanges(symbol, interval, startTime, endTime);
+
+        let fetched = 0;
+        let pages = 0;
+        let source = 'live';
+        const uncached = [];
+
+        for (const [rangeStart, rangeEnd] of missing) {
+            const result = await this.fetchRange(symbol, interval, rangeStart, rangeEnd, async (klines) => {
+                const closed = klines.filter(kline => kline.openTime <= lastClosed);
+                if (closed.length > 0) {
+                    await this.store.write(symbol, interval, closed);
+                }
+            });
+
+            fetched += result.klines.length;
+            pages += result.pages;
+
+            if (result.source === 'mock') {
+                source = 'mock';
+                uncached.push(...result.klines);
+                continue;
+            }
+
+            uncached.push(...result.klines.filter(kline => kline.openTime > lastClosed));
+
+            // Covered up to the last closed candle we actually reached
+            const coveredEnd = Math.min(result.complete ? rangeEnd : result.lastOpenTime, lastClosed);
+            if (coveredEnd >= rangeStart) {
+                await this.store.addCoverage(symbol, interval, rangeStart, coveredEnd, intervalMs);
+            }
+        }
+
+        return { fetched, pages, uncached, source };
+    }
+
+    /**
+     * Page through [startTime, endTime] oldest first
+     * onFlush receives batches of live candles for persisting
+     */
+    async fetchRange(symbol, interval, startTime, endTime, onFlush) {
+        const intervalMs = this.getIntervalMs(interval);
+        const byOpenTime = new Map();
+        let buffer = [];
+        let cursor = startTime;
+        let pages = 0;
+        let source = 'live';
+        let complete = false;
+
+        while (pages < this.maxPages) {
+            const page = await this.binance.getKlines(symbol, interval, this.pageLimit, {
+                startTime: cursor,
+                endTime
+            });
+            pages++;
+
+            if (page.source === 'mock') source = 'mock';
+
+            for (const kline of page) {
+                if (!byOpenTime.has(kline.openTime)) {
+                    byOpenTime.set(kline.openTime, kline);
+                    buffer.push(kline);
+                }
+            }
+
+            if (page.length > 0) {
+                cursor = page[page.length - 1].openTime + intervalMs;
+            }
+
+            this.emit('progress', { symbol, interval, fetched: byOpenTime.size, cursor, endTime, pages });
+
+            if (onFlush && source === 'live' && buffer.length >= this.flushSize) {
+                await onFlush(buffer);
+                buffer = [];
+            }
+
+            // A short page can come from an exchange outage, so only stop on empty pages or past the end
+            if (page.length === 0 || cursor > endTime) {
+                complete = true;
+                break;
+            }
+        }
+
+        if (!complete && this.logger) {
+            this.logger.warn(`Kline backfill for ${symbol} ${interval} stopped after ${pages} pages`);
+        }
+
+        if (onFlush && source === 'live' && buffer.length > 0) {
+            await onFlush(buffer);
+        }
+
+        const klines = Array.from(byOpenTime.values()).sort((a, b) => a.openTime - b.openTime);
+        return {
+            klines,
+            pages,
+            source,
+            complete,
+            lastOpenTime: klines.length > 0 ? klines[klines.length - 1].openTime : startTime - 1
+        };
+    }
+
+    /**
+     * Find holes in a sorted kline series
+     */
+    findGaps(klines, intervalMs) {
+        const gaps = [];
+
+        for (let i = 1; i < klines.length; i++) {
+            const expected = klines[i - 1].openTime + intervalMs;
+            if (klines[i].openTime > expected) {
+                gaps.push({
+                    from: expected,
+                    to: klines[i].openTime - intervalMs,
+                    missing: (klines[i].openTime - expected) / intervalMs
+                });
+            }
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Turn options into an aligned [startTime, endTime] openTime range
+     */
+    resolveRange(interval, options = {}) {
+        const intervalMs = this.getIntervalMs(interval);
+        const endTime = this.binance.getCandleOpen(interval, options.endTime || Date.now());
+        const startTime = options.startTime !== undefined
+            ? this.binance.getCandleOpen(interval, options.startTime + intervalMs - 1)
+            : endTime - ((options.limit || 500) - 1) * intervalMs;
+
+        if (startTime > endTime) {
+            throw new ValidationError('startTime must be before endTime', 'startTime', options.startTime);
+        }
+
+        return { startTime, endTime };
+    }
+
+    /**
+     * Interval in ms - calendar months have no fixed length
+     */
+    getIntervalMs(interval) {
+        if (interval.endsWith('M')) {
+            throw new ValidationError('Monthly klines are not supported for history', 'interval', interval);
+        }
+        return this.binance.getIntervalMs(interval);
+    }
+}
+
+module.exports = KlineHistory;
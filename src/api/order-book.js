@@ -0,0 +1,413 @@
+/**
+ * Local Order Book Module
+ * Keeps a Binance order book in sync from a REST snapshot plus @depth diffs
+ */
+
+const EventEmitter = require('events');
+
+class OrderBook extends EventEmitter {
+    constructor(symbol, config = {}) {
+        super();
+        this.symbol = symbol;
+        this.binance = config.binance;
+        this.depthLimit = config.depthLimit || 1000;
+        this.speed = config.speed || '100ms';
+        this.wallNotional = config.wallNotional || 1000000;
+        this.maxWallDistance = config.maxWallDistance; // % from best price, optional
+        this.resyncDelay = config.resyncDelay || 1000;
+        this.maxSnapshotAttempts = config.maxSnapshotAttempts || 5;
+
+        this.bids = new Map();
+        this.asks = new Map();
+        this.walls = new Map();
+        this.lastUpdateId = null;
+
+        this.buffer = [];
+        this.synced = false;
+        this.syncing = false;
+        this.awaitingFirstDiff = false;
+        this.unsubscribe = null;
+        this.resyncTimer = null;
+    }
+
+    /**
+     * Start buffering diffs and load the snapshot
+     */
+    start() {
+        if (this.unsubscribe) return;
+
+        this.unsubscribe = this.binance.subscribeToDepth(
+            this.symbol,
+            (diff) => this.handleDiff(diff),
+            { speed: this.speed }
+        );
+
+        return this.resync();
+    }
+
+    /**
+     * Stop syncing and drop local state
+     */
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        clearTimeout(this.resyncTimer);
+        this.resyncTimer = null;
+        this.reset();
+    }
+
+    /**
+     * Clear local book
+     */
+    reset() {
+        this.bids.clear();
+        this.asks.clear();
+        this.walls.clear();
+        this.buffer = [];
+        this.lastUpdateId = null;
+        this.synced = false;
+    }
+
+    /**
+     * Handle a diff event from the stream
+     */
+    handleDiff(diff) {
+        if (!this.synced) {
+            this.buffer.push(diff);
+            return;
+        }
+
+        if (!this.applyDiff(diff)) {
+            this.emit('gap', {
+                symbol: this.symbol,
+                expected: this.lastUpdateId + 1,
+                received: diff.firstUpdateId
+            });
+            this.synced = false;
+            this.buffer = [diff];
+            this.resync();
+        }
+    }
+
+    /**
+     * Apply a diff following Binance's U/u sequencing rules
+     * Returns false when a gap is detected
+     */
+    applyDiff(diff) {
+        // Already contained in the snapshot
+        if (diff.finalUpdateId <= this.lastUpdateId) {
+            return true;
+        }
+
+        const nextId = this.lastUpdateId + 1;
+        const inSequence = this.awaitingFirstDiff
+            ? diff.firstUpdateId <= nextId && diff.finalUpdateId >= nextId
+            : diff.firstUpdateId === nextId;
+
+        if (!inSequence) {
+            return false;
+        }
+
+        this.awaitingFirstDiff = false;
+        this.applyLevels(this.bids, diff.bids, 'bid');
+        this.applyLevels(this.asks, diff.asks, 'ask');
+        this.lastUpdateId = diff.finalUpdateId;
+
+        this.emit('update', { symbol: this.symbol, lastUpdateId: this.lastUpdateId });
+        return true;
+    }
+
+    /**
+     * Apply absolute level quantities to one side, then check the changed
+     * levels for walls against the side's new best price
+     */
+    applyLevels(side, levels, sideName) {
+        for (const [price, qty] of levels) {
+            if (qty === 0) {
+                side.delete(price);
+            } else {
+                side.set(price, qty);
+            }
+        }
+
+        const best = this.getBest(sideName);
+        for (const [price, qty] of levels) {
+            this.checkWall(sideName, price, qty, best);
+        }
+    }
+
+    /**
+     * Load a snapshot and replay buffered diffs
+     */
+    async resync() {
+        if (this.syncing) return;
+        this.syncing = true;
+        clearTimeout(this.resyncTimer);
+        this.resyncTimer = null;
+
+        try {
+            for (let attempt = 1; attempt <= this.maxSnapshotAttempts; attempt++) {
+                // Give the stream time to move past the last snapshot
+                if (attempt > 1) {
+                    await this.sleep(this.resyncDelay);
+                    if (!this.unsubscribe) return;
+                }
+
+                const snapshot = await this.binance.getDepth(this.symbol, this.depthLimit);
+
+                // Stopped while the snapshot was in flight
+                if (!this.unsubscribe) return;
+
+                // Snapshot older than the first buffered diff - fetch again after the delay
+                if (this.buffer.length > 0 && snapshot.lastUpdateId < this.buffer[0].firstUpdateId) {
+                    continue;
+                }
+
+                if (this.loadSnapshot(snapshot)) {
+                    this.synced = true;
+                    this.emit('synced', { symbol: this.symbol, lastUpdateId: this.lastUpdateId });
+                    return;
+                }
+            }
+
+            throw new Error(`Could not sync ${this.symbol} order book after ${this.maxSnapshotAttempts} attempts`);
+
+        } catch (error) {
+            this.emit('sync_error', { symbol: this.symbol, error });
+            if (this.unsubscribe) {
+                this.resyncTimer = setTimeout(() => this.resync(), this.resyncDelay);
+            }
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    /**
+     * Sleep helper
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Replace local state with a snapshot and apply buffered diffs
+     */
+    loadSnapshot(snapshot) {
+        const buffered = this.buffer;
+        const knownWalls = new Map(this.walls);
+        this.reset();
+
+        this.lastUpdateId = snapshot.lastUpdateId;
+        this.awaitingFirstDiff = true;
+        snapshot.bids.forEach(([price, qty]) => this.bids.set(price, qty));
+        snapshot.asks.forEach(([price, qty]) => this.asks.set(price, qty));
+
+        for (const diff of buffered) {
+            if (!this.applyDiff(diff)) {
+                // Keep what arrived after the gap for the next attempt
+                this.buffer = buffered.slice(buffered.indexOf(diff));
+                this.walls = knownWalls;
+                return false;
+            }
+        }
+
+        this.scanWalls(knownWalls);
+        return true;
+    }
+
+    /**
+     * Check a single level against the wall threshold
+     */
+    checkWall(side, price, qty, best = this.getBest(side)) {
+        const key = `${side}:${price}`;
+        const notional = price * qty;
+        const isWall = notional >= this.wallNotional && this.isWithinWallDistance(price, best);
+
+        if (isWall && !this.walls.has(key)) {
+            this.walls.set(key, notional);
+            if (this.synced) {
+                this.emit('whale_wall', this.formatWall('WALL_ADDED', side, price, qty, best));
+            }
+        } else if (!isWall && this.walls.has(key)) {
+            this.walls.delete(key);
+            if (this.synced) {
+                this.emit('whale_wall_removed', this.formatWall('WALL_REMOVED', side, price, qty, best));
+            }
+        } else if (isWall) {
+            this.walls.set(key, notional);
+        }
+    }
+
+    /**
+     * Scan the whole book for walls after a snapshot
+     * Walls already reported before a resync are not announced again
+     */
+    scanWalls(knownWalls = new Map()) {
+        this.walls.clear();
+
+        for (const [side, levels] of [['bid', this.bids], ['ask', this.asks]]) {
+            const best = this.getBest(side);
+            for (const [price, qty] of levels) {
+                if (price * qty < this.wallNotional || !this.isWithinWallDistance(price, best)) {
+                    continue;
+                }
+                const key = `${side}:${price}`;
+                this.walls.set(key, price * qty);
+                if (!knownWalls.has(key)) {
+                    this.emit('whale_wall', this.formatWall('WALL_ADDED', side, price, qty, best));
+                }
+            }
+        }
+
+        for (const key of knownWalls.keys()) {
+            if (!this.walls.has(key)) {
+                const [side, price] = key.split(':');
+                this.emit('whale_wall_removed', this.formatWall('WALL_REMOVED', side, parseFloat(price), 0));
+            }
+        }
+    }
+
+    /**
+     * Check distance of a level from the best price on its side
+     */
+    isWithinWallDistance(price, best) {
+        if (!this.maxWallDistance || !best) return true;
+
+        return Math.abs(price - best.price) / best.price * 100 <= this.maxWallDistance;
+    }
+
+    /**
+     * Build wall event payload
+     */
+    formatWall(type, side, price, quantity, best = this.getBest(side)) {
+        return {
+            type,
+            symbol: this.symbol,
+            side,
+            price,
+            quantity,
+            notional: price * quantity,
+            distancePercent: best ? Math.abs(price - best.price) / best.price * 100 : 0,
+            impact: side === 'bid' ? 'BULLISH' : 'BEARISH',
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Best level of one side - a full scan, so callers checking many
+     * levels look it up once and pass it along
+     */
+    getBest(side) {
+        return side === 'bid' ? this.getBestBid() : this.getBestAsk();
+    }
+
+    /**
+     * Get best bid
+     */
+    getBestBid() {
+        let best = null;
+        for (const [price, quantity] of this.bids) {
+            if (!best || price > best.price) best = { price, quantity };
+        }
+        return best;
+    }
+
+    /**
+     * Get best ask
+     */
+    getBestAsk() {
+        let best = null;
+        for (const [price, quantity] of this.asks) {
+            if (!best || price < best.price) best = { price, quantity };
+        }
+        return best;
+    }
+
+    /**
+     * Get spread and mid price
+     */
+    getSpread() {
+        const bid = this.getBestBid();
+        const ask = this.getBestAsk();
+        if (!bid || !ask) return null;
+
+        const mid = (bid.price + ask.price) / 2;
+        return {
+            bid: bid.price,
+            ask: ask.price,
+            mid,
+            spread: ask.price - bid.price,
+            spreadPercent: ((ask.price - bid.price) / mid) * 100
+        };
+    }
+
+    /**
+     * Get quantity resting at a price
+     */
+    getDepthAtPrice(price, side) {
+        if (side === 'bid') return this.bids.get(price) || 0;
+        if (side === 'ask') return this.asks.get(price) || 0;
+        return (this.bids.get(price) || 0) + (this.asks.get(price) || 0);
+    }
+
+    /**
+     * Get sorted levels, best first
+     */
+    getLevels(side, limit) {
+        const levels = Array.from(side === 'bid' ? this.bids : this.asks)
+            .sort((a, b) => side === 'bid' ? b[0] - a[0] : a[0] - b[0]);
+        return limit ? levels.slice(0, limit) : levels;
+    }
+
+    /**
+     * Get cumulative liquidity from the best price out to a limit
+     * Limit by price (toPrice), distance from best (percent) or level count (levels)
+     */
+    getCumulativeLiquidity(side, options = {}) {
+        const levels = this.getLevels(side, options.levels);
+        if (levels.length === 0) {
+            return { side, quantity: 0, notional: 0, levels: 0, worstPrice: null };
+        }
+
+        const bestPrice = levels[0][0];
+        let toPrice = options.toPrice;
+        if (toPrice === undefined && options.percent !== undefined) {
+            toPrice = side === 'bid'
+                ? bestPrice * (1 - options.percent / 100)
+                : bestPrice * (1 + options.percent / 100);
+        }
+
+        let quantity = 0;
+        let notional = 0;
+        let count = 0;
+        let worstPrice = bestPrice;
+
+        for (const [price, qty] of levels) {
+            if (toPrice !== undefined && (side === 'bid' ? price < toPrice : price > toPrice)) {
+                break;
+            }
+            quantity += qty;
+            notional += price * qty;
+            worstPrice = price;
+            count++;
+        }
+
+        return { side, quantity, notional, levels: count, worstPrice };
+    }
+
+    /**
+     * Get currently detected walls
+     */
+    getWalls() {
+        const best = { bid: this.getBestBid(), ask: this.getBestAsk() };
+        return Array.from(this.walls.keys()).map(key => {
+            const [side, price] = key.split(':');
+            const qty = this.getDepthAtPrice(parseFloat(price), side);
+            return this.formatWall('WALL_ACTIVE', side, parseFloat(price), qty, best[side]);
+        });
+    }
+}
+
+module.exports = OrderBook;
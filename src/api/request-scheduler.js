@@ -0,0 +1,235 @@
+/**
+ * Request Scheduler Module
+ * Rate limiting, weight tracking and retries shared by the HTTP clients
+ */
+
+const { APIError, RateLimitError } = require('../core/error-handler');
+
+const WINDOW_MS = 60000;
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+class RequestScheduler {
+    constructor(config = {}) {
+        this.service = config.service || 'http';
+        this.rateLimit = config.rateLimit || 1200; // requests per minute
+        this.weightLimit = config.weightLimit || null; // Binance request weight per minute
+        this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 3;
+        this.retryDelay = config.retryDelay || 500;
+        this.maxRetryDelay = config.maxRetryDelay || 30000;
+        this.maxWait = config.maxWait || 60000;
+        this.logger = config.logger;
+
+        this.history = [];
+        this.serverWeight = null;
+        this.pausedUntil = 0;
+        this.bannedUntil = 0;
+    }
+
+    /**
+     * Run a request through the limiter with retries
+     * @param {Function} requestFn - returns an axios promise
+     * @param {Object} options - { weight, method }
+     */
+    async execute(requestFn, options = {}) {
+        const weight = options.weight || 1;
+        const method = (options.method || 'GET').toUpperCase();
+        const retryable = method === 'GET';
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(weight);
+
+            try {
+                const response = await requestFn();
+                this.updateUsedWeight(response.headers);
+                return response;
+
+            } catch (error) {
+                const status = error.response?.status;
+                this.updateUsedWeight(error.response?.headers);
+
+                if (status === 418 || status === 429) {
+                    const retryAfter = this.getRetryAfter(error.response.headers, attempt);
+
+                    if (status === 418) {
+                        // IP ban - never retry, fail fast until it lifts
+                        this.bannedUntil = Date.now() + retryAfter;
+                        throw this.rateLimitError(status, retryAfter, error);
+                    }
+
+                    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter);
+                    if (!retryable || attempt >= this.maxRetries || retryAfter > this.maxWait) {
+                        throw this.rateLimitError(status, retryAfter, error);
+                    }
+
+                    this.log(`${this.service} rate limited, retrying in ${retryAfter}ms`);
+                    continue;
+                }
+
+                if (retryable && attempt < this.maxRetries && this.isRetryable(error)) {
+                    const delay = this.getBackoffDelay(attempt);
+                    this.log(`${this.service} request failed (${status || error.code}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+                    await this.sleep(delay);
+                    continue;
+                }
+
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Wait until the request fits into the current window
+     */
+    async acquire(weight) {
+        for (;;) {
+            const now = Date.now();
+
+            if (this.bannedUntil > now) {
+                throw new RateLimitError(
+                    `${this.service} IP banned for another ${Math.ceil((this.bannedUntil - now) / 1000)}s`,
+                    this.service,
+                    418,
+                    this.bannedUntil - now
+                );
+            }
+
+            this.history = this.history.filter(entry => now - entry.time < WINDOW_MS);
+
+            const wait = Math.max(
+                this.pausedUntil - now,
+                this.getRequestWait(now),
+                this.getWeightWait(now, weight)
+            );
+
+            if (wait <= 0) {
+                this.history.push({ time: now, weight });
+                return;
+            }
+
+            if (wait > this.maxWait) {
+                throw new RateLimitError(
+                    `${this.service} request budget exhausted, next slot in ${Math.ceil(wait / 1000)}s`,
+                    this.service,
+                    429,
+                    wait
+                );
+            }
+
+            await this.sleep(wait);
+        }
+    }
+
+    /**
+     * Time until the request count drops below the limit
+     */
+    getRequestWait(now) {
+        if (this.history.length < this.rateLimit) return 0;
+        return this.history[this.history.length - this.rateLimit].time + WINDOW_MS - now;
+    }
+
+    /**
+     * Time until there is room for the request weight
+     */
+    getWeightWait(now, weight) {
+        if (!this.weightLimit) return 0;
+
+        const localWeight = this.history.reduce((sum, entry) => sum + entry.weight, 0);
+
+        // Binance counts per calendar minute; trust its number within that minute
+        const currentMinute = Math.floor(now / WINDOW_MS);
+        const serverWeight = this.serverWeight && this.serverWeight.minute === currentMinute
+            ? this.serverWeight.value
+            : 0;
+
+        if (Math.max(localWeight, serverWeight) + weight <= this.weightLimit) {
+            return 0;
+        }
+
+        // Server counter resets at the next minute boundary
+        return (currentMinute + 1) * WINDOW_MS - now;
+    }
+
+    /**
+     * Read X-MBX-USED-WEIGHT-* headers
+     */
+    updateUsedWeight(headers) {
+        if (!headers) return;
+
+        const used = headers['x-mbx-used-weight-1m'] || headers['x-mbx-used-weight'];
+        if (used !== undefined) {
+            this.serverWeight = {
+                value: parseInt(used),
+                minute: Math.floor(Date.now() / WINDOW_MS)
+            };
+        }
+    }
+
+    /**
+     * Get Retry-After in ms, falling back to backoff
+     */
+    getRetryAfter(headers, attempt) {
+        const retryAfter = parseInt(headers?.['retry-after']);
+        return Number.isNaN(retryAfter) ? this.getBackoffDelay(attempt) : retryAfter * 1000;
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    getBackoffDelay(attempt) {
+        const ceiling = Math.min(this.retryDelay * Math.pow(2, attempt), this.maxRetryDelay);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Network errors and 5xx are worth another try
+     */
+    isRetryable(error) {
+        if (error instanceof APIError) return false;
+        if (!error.response) return RETRYABLE_CODES.includes(error.code) || !!error.request;
+        return error.response.status >= 500;
+    }
+
+    /**
+     * Build typed rate limit error
+     */
+    rateLimitError(status, retryAfter, error) {
+        const message = status === 418
+            ? `${this.service} IP banned for ${Math.ceil(retryAfter / 1000)}s`
+            : `${this.service} rate limit exceeded, retry after ${Math.ceil(retryAfter / 1000)}s`;
+        return new RateLimitError(message, this.service, status, retryAfter, error.response?.data);
+    }
+
+    /**
+     * Get current usage
+     */
+    getUsage() {
+        const now = Date.now();
+        const recent = this.history.filter(entry => now - entry.time < WINDOW_MS);
+        return {
+            requests: recent.length,
+            rateLimit: this.rateLimit,
+            weight: this.serverWeight?.value ?? recent.reduce((sum, entry) => sum + entry.weight, 0),
+            weightLimit: this.weightLimit,
+            pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil) : null,
+            bannedUntil: this.bannedUntil > now ? new Date(this.bannedUntil) : null
+        };
+    }
+
+    /**
+     * Log throttling through the configured logger
+     */
+    log(message) {
+        if (this.logger) {
+            this.logger.warn(message);
+        }
+    }
+
+    /**
+     * Sleep helper
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,406 @@
+/**
+ * Binance Combined Stream Manager Module
+ */
+
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+
+// Binance drops every connection after 24h; roll over a bit earlier
+const CONNECTION_LIFETIME = 23 * 60 * 60 * 1000 + 50 * 60 * 1000;
+
+class StreamManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.baseURL = config.baseURL || 'wss://stream.binance.com:9443';
+        this.heartbeatInterval = config.heartbeatInterval || 30000;
+        this.ackTimeout = config.ackTimeout || 10000;
+        this.reconnectDelay = config.reconnectDelay || 1000;
+        this.maxReconnectDelay = config.maxReconnectDelay || 60000;
+        this.connectionLifetime = config.connectionLifetime || CONNECTION_LIFETIME;
+
+        this.ws = null;
+        this.listeners = new Map();
+        this.activeStreams = new Set();
+        this.pendingRequests = new Map();
+        this.flushScheduled = false;
+
+        this.nextRequestId = 1;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.rolloverTimer = null;
+        this.isAlive = false;
+        this.closed = false;
+    }
+
+    /**
+     * Add a listener for a stream, returns a function that removes it
+     */
+    subscribe(stream, listener) {
+        this.closed = false;
+
+        if (!this.listeners.has(stream)) {
+            this.listeners.set(stream, new Set());
+        }
+        const streamListeners = this.listeners.get(stream);
+        const isNewStream = streamListeners.size === 0;
+        streamListeners.add(listener);
+
+        if (isNewStream) {
+            this.scheduleFlush();
+        }
+
+        return () => this.unsubscribe(stream, listener);
+    }
+
+    /**
+     * Remove a listener (or all listeners when none given) from a stream
+     */
+    unsubscribe(stream, listener) {
+        const streamListeners = this.listeners.get(stream);
+        if (!streamListeners) return;
+
+        if (listener) {
+            streamListeners.delete(listener);
+        } else {
+            streamListeners.clear();
+        }
+
+        if (streamListeners.size === 0) {
+            this.listeners.delete(stream);
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Get streams that currently have listeners
+     */
+    getStreams() {
+        return Array.from(this.listeners.keys());
+    }
+
+    /**
+     * Check if socket is open
+     */
+    isConnected() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Reconcile subscriptions on the next tick, batching changes into one request
+     */
+    scheduleFlush() {
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+    }
+
+    /**
+     * Bring server-side subscriptions in line with registered listeners
+     */
+    flush() {
+        this.flushScheduled = false;
+
+        if (!this.ws) {
+            if (!this.closed && this.listeners.size > 0 && !this.reconnectTimer) {
+                this.connect();
+            }
+            return;
+        }
+
+        if (!this.isConnected()) {
+            // Still connecting - the open handler flushes again
+            return;
+        }
+
+        const inFlight = { SUBSCRIBE: new Set(), UNSUBSCRIBE: new Set() };
+        for (const request of this.pendingRequests.values()) {
+            request.params.forEach(stream => inFlight[request.method].add(stream));
+        }
+
+        const wanted = this.getStreams();
+        const subscribe = wanted.filter(stream =>
+            !this.activeStreams.has(stream) && !inFlight.SUBSCRIBE.has(stream));
+        const unsubscribe = Array.from(this.activeStreams).filter(stream =>
+            !this.listeners.has(stream) && !inFlight.UNSUBSCRIBE.has(stream));
+
+        if (unsubscribe.length > 0) {
+            this.sendRequest('UNSUBSCRIBE', unsubscribe);
+        }
+        if (subscribe.length > 0) {
+            this.sendRequest('SUBSCRIBE', subscribe);
+        }
+    }
+
+    /**
+     * Send a SUBSCRIBE/UNSUBSCRIBE request and track its ack
+     */
+    sendRequest(method, params, ws = this.ws) {
+        const id = this.nextRequestId++;
+
+        const timer = setTimeout(() => {
+            this.pendingRequests.delete(id);
+            this.emit('request_timeout', { id, method, params });
+            // Without an ack we cannot trust the subscription state
+            if (ws === this.ws) {
+                ws.terminate();
+            }
+        }, this.ackTimeout);
+
+        this.pendingRequests.set(id, { method, params, timer });
+        ws.send(JSON.stringify({ method, params, id }));
+
+        return id;
+    }
+
+    /**
+     * Handle request ack or error response
+     */
+    handleResponse(msg) {
+        const request = this.pendingRequests.get(msg.id);
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.pendingRequests.delete(msg.id);
+
+        if (msg.error) {
+            this.emit('request_error', {
+                id: msg.id,
+                method: request.method,
+                params: request.params,
+                error: msg.error
+            });
+            return;
+        }
+
+        for (const stream of request.params) {
+            if (request.method === 'SUBSCRIBE') {
+                this.activeStreams.add(stream);
+            } else {
+                this.activeStreams.delete(stream);
+            }
+        }
+
+        this.emit('request_ack', { id: msg.id, method: request.method, params: request.params });
+
+        // Listeners may have changed while the request was in flight
+        this.scheduleFlush();
+    }
+
+    /**
+     * Dispatch a combined-stream payload to its listeners
+     */
+    dispatch(stream, data) {
+        const streamListeners = this.listeners.get(stream);
+        if (!streamListeners) return;
+
+        for (const listener of streamListeners) {
+            try {
+                listener(data, stream);
+            } catch (error) {
+                this.emit('listener_error', { stream, error });
+            }
+        }
+    }
+
+    /**
+     * Build combined-stream URL
+     */
+    buildURL(streams) {
+        return streams.length > 0
+            ? `${this.baseURL}/stream?streams=${streams.join('/')}`
+            : `${this.baseURL}/stream`;
+    }
+
+    /**
+     * Open a socket with every stream that has listeners
+     */
+    connect() {
+        const streams = this.getStreams();
+        const ws = this.openSocket(streams);
+
+        ws.on('open', () => {
+            this.reconnectAttempts = 0;
+            this.attach(ws, streams);
+            this.emit('connected', { streams });
+            // Anything subscribed while we were connecting
+            this.flush();
+        });
+
+        this.ws = ws;
+    }
+
+    /**
+     * Create a socket and wire message handling
+     */
+    openSocket(streams) {
+        const ws = new WebSocket(this.buildURL(streams));
+
+        ws.on('message', (data) => {
+            // Ignore the outgoing socket while a rollover overlaps
+            if (ws !== this.ws) return;
+            this.isAlive = true;
+            try {
+                const msg = JSON.parse(data);
+                if (msg.stream) {
+                    this.dispatch(msg.stream, msg.data);
+                } else if (msg.id !== undefined) {
+                    this.handleResponse(msg);
+                }
+            } catch (error) {
+                this.emit('parse_error', error);
+            }
+        });
+
+        // The ws library answers server pings automatically
+        ws.on('ping', () => { this.isAlive = true; });
+        ws.on('pong', () => { this.isAlive = true; });
+
+        ws.on('error', (error) => {
+            this.emit('error', error);
+        });
+
+        ws.on('close', (code, reason) => {
+            if (ws !== this.ws) return;
+            this.handleClose(code, reason);
+        });
+
+        return ws;
+    }
+
+    /**
+     * Make socket current and start timers
+     */
+    attach(ws, streams) {
+        this.ws = ws;
+        this.isAlive = true;
+        this.clearPendingRequests();
+        this.activeStreams = new Set(streams);
+        this.startHeartbeat();
+
+        clearTimeout(this.rolloverTimer);
+        this.rolloverTimer = setTimeout(() => this.rollover(), this.connectionLifetime);
+    }
+
+    /**
+     * Replace the connection before Binance's forced 24h disconnect
+     */
+    rollover() {
+        const previous = this.ws;
+        const streams = this.getStreams();
+        const next = this.openSocket(streams);
+
+        next.on('open', () => {
+            if (this.closed || this.ws !== previous) {
+                next.close();
+                return;
+            }
+            this.attach(next, streams);
+            previous.removeAllListeners('close');
+            previous.close();
+            this.emit('rollover', { streams });
+            this.flush();
+        });
+
+        next.on('close', () => {
+            // Rollover failed before it took over - retry on next heartbeat cycle
+            if (this.ws === previous) {
+                this.rolloverTimer = setTimeout(() => this.rollover(), this.heartbeatInterval);
+            }
+        });
+    }
+
+    /**
+     * Detect dead connections with ping/pong
+     */
+    startHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.isConnected()) return;
+
+            if (!this.isAlive) {
+                this.emit('heartbeat_timeout');
+                this.ws.terminate();
+                return;
+            }
+
+            this.isAlive = false;
+            this.ws.ping();
+        }, this.heartbeatInterval);
+    }
+
+    /**
+     * Handle socket close and schedule reconnect
+     */
+    handleClose(code, reason) {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.rolloverTimer);
+        this.clearPendingRequests();
+        this.activeStreams.clear();
+        this.ws = null;
+
+        this.emit('disconnected', { code, reason: reason?.toString() });
+
+        if (this.closed || this.listeners.size === 0) {
+            return;
+        }
+
+        const delay = this.getReconnectDelay();
+        this.reconnectAttempts++;
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.closed && this.listeners.size > 0) {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    getReconnectDelay() {
+        const exponential = Math.min(
+            this.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+            this.maxReconnectDelay
+        );
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Drop outstanding acks
+     */
+    clearPendingRequests() {
+        for (const request of this.pendingRequests.values()) {
+            clearTimeout(request.timer);
+        }
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Close connection and drop all listeners
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.rolloverTimer);
+        this.reconnectTimer = null;
+        this.clearPendingRequests();
+        this.listeners.clear();
+        this.activeStreams.clear();
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.removeAllListeners('close');
+            ws.on('error', () => {});
+            ws.close();
+            this.emit('disconnected', { code: 1000, reason: 'closed' });
+        }
+    }
+}
+
+module.exports = StreamManager;
@@ -0,0 +1,282 @@
+/**
+ * Symbol Registry Module
+ * Symbol metadata from Binance /exchangeInfo with validation and suggestions
+ */
+
+const EventEmitter = require('events');
+const { ValidationError } = require('../core/error-handler');
+
+class SymbolRegistry extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.binance = config.binance;
+        this.logger = config.logger;
+        this.refreshInterval = config.refreshInterval || 3600000; // 1 hour
+        this.maxSuggestions = config.maxSuggestions || 3;
+
+        this.symbols = new Map();
+        this.source = null;
+        this.lastUpdate = null;
+        this.refreshTimer = null;
+        this.loading = null;
+    }
+
+    /**
+     * Load symbols and keep them refreshed
+     */
+    async start() {
+        await this.load();
+
+        if (!this.refreshTimer) {
+            this.refreshTimer = setInterval(() => {
+                this.load().catch((error) => {
+                    if (this.logger) {
+                        this.logger.warn(`Symbol refresh failed: ${error.message}`);
+                    }
+                });
+            }, this.refreshInterval);
+            this.refreshTimer.unref();
+        }
+    }
+
+    /**
+     * Stop periodic refresh
+     */
+    stop() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Fetch /exchangeInfo - concurrent callers share one request
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.fetchSymbols().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Load only if the cache is empty or stale
+     */
+    async ensureLoaded() {
+        if (!this.lastUpdate || Date.now() - this.lastUpdate.getTime() > this.refreshInterval) {
+            await this.load();
+        }
+    }
+
+    /**
+     * Replace the cache with fresh exchange info
+     */
+    async fetchSymbols() {
+        const info = await this.binance.getExchangeInfo();
+
+        const symbols = new Map();
+        for (const raw of info.symbols) {
+            symbols.set(raw.symbol, this.normalizeSymbol(raw));
+        }
+
+        this.symbols = symbols;
+        this.source = info.source;
+        this.lastUpdate = new Date();
+
+        this.emit('updated', { count: symbols.size, source: this.source });
+        return symbols;
+    }
+
+    /**
+     * Flatten exchange filters into plain numbers
+     */
+    normalizeSymbol(raw) {
+        const filters = {};
+        for (const filter of raw.filters || []) {
+            filters[filter.filterType] = filter;
+        }
+
+        const price = filters.PRICE_FILTER || {};
+        const lot = filters.LOT_SIZE || {};
+        const notional = filters.NOTIONAL || filters.MIN_NOTIONAL || {};
+
+        return {
+            symbol: raw.symbol,
+            status: raw.status,
+            baseAsset: raw.baseAsset,
+            quoteAsset: raw.quoteAsset,
+            baseAssetPrecision: raw.baseAssetPrecision,
+            quoteAssetPrecision: raw.quoteAssetPrecision,
+            tickSize: parseFloat(price.tickSize) || null,
+            minPrice: parseFloat(price.minPrice) || null,
+            maxPrice: parseFloat(price.maxPrice) || null,
+            stepSize: parseFloat(lot.stepSize) || null,
+            minQty: parseFloat(lot.minQty) || null,
+            maxQty: parseFloat(lot.maxQty) || null,
+            minNotional: parseFloat(notional.minNotional) || null
+        };
+    }
+
+    /**
+     * Check if symbols have been loaded
+     */
+    isLoaded() {
+        return this.symbols.size > 0;
+    }
+
+    /**
+     * Live data is authoritative; mock fallback data is not used to reject input
+     */
+    isAuthoritative() {
+        return this.isLoaded() && (this.source !== 'mock' || this.binance.dataSource.isMock());
+    }
+
+    /**
+     * Get metadata for a symbol
+     */
+    get(symbol) {
+        return this.symbols.get(this.normalizeInput(symbol)) || null;
+    }
+
+    /**
+     * Check if a symbol exists
+     */
+    has(symbol) {
+        return this.symbols.has(this.normalizeInput(symbol));
+    }
+
+    /**
+     * List symbols, trading only by default
+     */
+    list(filter = {}) {
+        const status = filter.status === undefined ? 'TRADING' : filter.status;
+
+        return Array.from(this.symbols.values()).filter(info =>
+            (!status || info.status === status) &&
+            (!filter.quoteAsset || info.quoteAsset === filter.quoteAsset) &&
+            (!filter.baseAsset || info.baseAsset === filter.baseAsset)
+        );
+    }
+
+    /**
+     * Validate a symbol and return it normalized
+     * Throws ValidationError with suggestions for unknown or halted symbols
+     */
+    validate(symbol) {
+        const normalized = this.normalizeInput(symbol);
+
+        if (!normalized) {
+            throw new ValidationError('Symbol is required', 'symbol', symbol);
+        }
+
+        if (!this.isAuthoritative()) {
+            return normalized;
+        }
+
+        const info = this.symbols.get(normalized);
+        if (!info) {
+            const suggestions = this.suggest(normalized);
+            const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.join(', ')}?` : '';
+            const error = new ValidationError(`Unknown symbol ${normalized}.${hint}`, 'symbol', symbol);
+            error.details.suggestions = suggestions;
+            throw error;
+        }
+
+        if (info.status !== 'TRADING') {
+            throw new ValidationError(`${normalized} is not trading (status: ${info.status})`, 'symbol', symbol);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Suggest close symbol names for a typo
+     */
+    suggest(symbol) {
+        const input = this.normalizeInput(symbol);
+        const maxDistance = input.length > 6 ? 2 : 1;
+        const candidates = [];
+
+        for (const info of this.symbols.values()) {
+            if (info.status !== 'TRADING') continue;
+
+            // Bare asset like "BTC" - offer its pairs
+            const distance = info.baseAsset === input
+                ? 0.5
+                : this.editDistance(input, info.symbol);
+
+            if (distance <= maxDistance) {
+                candidates.push({ symbol: info.symbol, distance, stable: info.quoteAsset === 'USDT' });
+            }
+        }
+
+        return candidates
+            .sort((a, b) => a.distance - b.distance || b.stable - a.stable || a.symbol.localeCompare(b.symbol))
+            .slice(0, this.maxSuggestions)
+            .map(candidate => candidate.symbol);
+    }
+
+    /**
+     * Levenshtein distance with adjacent transpositions
+     */
+    editDistance(a, b) {
+        if (Math.abs(a.length - b.length) > 2) return Infinity;
+
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+        }
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Uppercase and strip separators ("eth/usdt" -> "ETHUSDT")
+     */
+    normalizeInput(symbol) {
+        return String(symbol || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * Round a price down to the symbol's tick size
+     */
+    roundPrice(symbol, price) {
+        const info = this.get(symbol);
+        return info && info.tickSize ? this.roundToStep(price, info.tickSize) : price;
+    }
+
+    /**
+     * Round a quantity down to the symbol's lot step
+     */
+    roundQuantity(symbol, quantity) {
+        const info = this.get(symbol);
+        return info && info.stepSize ? this.roundToStep(quantity, info.stepSize) : quantity;
+    }
+
+    /**
+     * Floor to a step without float drift
+     */
+    roundToStep(value, step) {
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        return parseFloat((Math.floor(value / step + 1e-9) * step).toFixed(decimals));
+    }
+}
+
+module.exports = SymbolRegistry;
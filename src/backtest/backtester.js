@@ -0,0 +1,352 @@
+/**
+ * Backtester Module
+ * Replays a signal strategy bar by bar over historical klines, and optionally
+ * historical exchange flows, without lookahead: every decision sees only the
+ * candles (and flow windows) closed by then and fills at the next candle's open
+ */
+
+const EventEmitter = require('events');
+const performance = require('./performance');
+const KlineHistory = require('../api/kline-history');
+const { FLOW_WINDOWS, lookbackWindows } = require('../core/flow-series');
+const { ConfigurationError, ValidationError } = require('../core/error-handler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Backtester extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.analyzer = config.analyzer;
+        this.klineHistory = config.klineHistory;
+        this.flowMonitor = config.flowMonitor;
+        this.logger = config.logger;
+        this.dataSource = config.dataSource || this.analyzer.dataSource;
+        this.capital = config.capital || 10000;
+        this.feeRate = config.feeRate !== undefined ? config.feeRate : 0.001;
+        this.slippage = config.slippage !== undefined ? config.slippage : 0.0005;
+    }
+
+    /**
+     * Backtest a strategy on a symbol
+     * options: { interval, days | startTime/endTime, strategy, indicators, period, flows, patterns,
+     *   capital, feeRate, slippage, allowShort, minStrength, stopLoss, takeProfit }
+     * feeRate, slippage, stopLoss and takeProfit are fractions (0.001 = 0.1%)
+     */
+    async run(symbol, options = {}) {
+        const settings = this.resolveSettings(options);
+        const [strategy] = this.analyzer.strategies.resolve(options.strategy || 'default');
+        settings.period = Math.max(settings.period, strategy.candles);
+        settings.patterns = Boolean(options.patterns) || strategy.needs('patterns');
+        const intervalMs = this.dataSource.mock.intervalMs(settings.interval);
+        const endTime = options.endTime || Date.now();
+        const startTime = options.startTime || endTime - (options.days || 30) * DAY_MS;
+
+        const klines = await this.getKlines(symbol, settings.interval, startTime - settings.period * intervalMs, endTime);
+        const firstInRange = klines.findIndex(kline => kline.openTime >= startTime);
+        const first = Math.max(settings.period - 1, firstInRange);
+        if (firstInRange === -1 || klines.length - first < 2) {
+            throw new ValidationError(
+                `Not enough ${settings.interval} klines for ${symbol}: ${klines.length} with a ${settings.period}-candle warm-up`,
+                'period',
+                settings.period
+            );
+        }
+
+        ['onChain', 'futures']
+            .filter(requirement => strategy.needs(requirement))
+            .forEach(requirement => {
+                if (this.logger) this.logger.warn(`${strategy.name} strategy uses ${requirement} data, which has no history - it reads as missing`);
+            });
+
+        const flows = options.flows || strategy.needs('flows')
+            ? await this.getFlowHistory(symbol, klines[first].openTime, endTime, options)
+            : null;
+
+        const state = { cash: settings.capital, position: null, pending: null, trades: [], equityCurve: [], barsInMarket: 0 };
+
+        for (let i = first; i < klines.length; i++) {
+            const bar = klines[i];
+            const held = Boolean(state.position);
+
+            // Orders decided at the previous close fill at this open
+            if (state.pending) {
+                this.fillPending(state, bar, settings);
+            }
+            if (state.position) {
+                this.checkExits(state, bar, settings);
+            }
+            if (held || state.position) {
+                state.barsInMarket++;
+            }
+
+            state.equityCurve.push({ timestamp: bar.closeTime, equity: this.markToMarket(state, bar.close) });
+
+            if (i < klines.length - 1) {
+                const window = klines.slice(i - settings.period + 1, i + 1);
+                const context = {
+                    symbol,
+                    interval: settings.interval,
+                    price: bar.close,
+                    klines: window,
+                    indicators: this.analyzer.calculateIndicators(window, settings.indicators),
+                    flows: flows ? this.flowMonitor.flowsAt(flows.history, bar.closeTime + 1, flows.options) : undefined,
+                    levels: strategy.needs('levels') ? this.analyzer.calculateLevels(window, bar.close) : undefined,
+                    session: strategy.needs('session') ? this.analyzer.calculateSessionVolume(window, bar.close) : undefined,
+                    patterns: settings.patterns ? this.analyzer.detectPatterns(window) : undefined
+                };
+                state.pending = this.decide(state.position, this.analyzer.evaluateStrategy(strategy, context), settings);
+            }
+
+            this.emit('progress', { symbol, bar: i - first + 1, bars: klines.length - first });
+        }
+
+        // Close whatever is still open at the last close
+        const last = klines[klines.length - 1];
+        if (state.position) {
+            this.closePosition(state, last.closeTime, last.close, 'end', settings);
+            state.equityCurve[state.equityCurve.length - 1].equity = state.cash;
+        }
+
+        return {
+            symbol,
+            interval: settings.interval,
+            strategy: strategy.name,
+            startTime: klines[first].openTime,
+            endTime: last.closeTime,
+            bars: klines.length - first,
+            settings: {
+                capital: settings.capital,
+                feeRate: settings.feeRate,
+                slippage: settings.slippage,
+                period: settings.period,
+                allowShort: settings.allowShort,
+                minStrength: settings.minStrength,
+                stopLoss: settings.stopLoss,
+                takeProfit: settings.takeProfit,
+                flows: Boolean(flows),
+                patterns: settings.patterns
+            },
+            metrics: performance.summarize(state.trades, state.equityCurve, {
+                capital: settings.capital,
+                intervalMs,
+                barsInMarket: state.barsInMarket,
+                firstPrice: klines[first].close,
+                lastPrice: last.close
+            }),
+            trades: state.trades,
+            equityCurve: state.equityCurve,
+            source: this.dataSource.combine(klines.source, flows?.history.source),
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Merge options over the configured defaults and check them
+     */
+    resolveSettings(options) {
+        const settings = {
+            interval: options.interval || '1h',
+            period: options.period || 100,
+            indicators: options.indicators || {},
+            capital: options.capital !== undefined ? options.capital : this.capital,
+            feeRate: options.feeRate !== undefined ? options.feeRate : this.feeRate,
+            slippage: options.slippage !== undefined ? options.slippage : this.slippage,
+            allowShort: Boolean(options.allowShort),
+            minStrength: options.minStrength || 0,
+            stopLoss: options.stopLoss || null,
+            takeProfit: options.takeProfit || null
+        };
+
+        this.analyzer.validateTimeframes([settings.interval]);
+
+        const checks = [
+            ['capital', settings.capital > 0],
+            ['period', Number.isInteger(settings.period) && settings.period >= 2],
+            ['feeRate', settings.feeRate >= 0 && settings.feeRate < 1],
+            ['slippage', settings.slippage >= 0 && settings.slippage < 1],
+            ['minStrength', settings.minStrength >= 0 && settings.minStrength <= 1],
+            ['stopLoss', settings.stopLoss === null || (settings.stopLoss > 0 && settings.stopLoss < 1)],
+            ['takeProfit', settings.takeProfit === null || settings.takeProfit > 0]
+        ];
+        for (const [field, valid] of checks) {
+            if (!valid) {
+                throw new ValidationError(`Invalid backtest ${field}: ${settings[field]}`, field, settings[field]);
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Closed candles for the range, oldest first. Without the kline cache the
+     * range is paged straight from Binance, or generated in mock mode
+     */
+    async getKlines(symbol, interval, startTime, endTime) {
+        let klines;
+        if (this.klineHistory) {
+            klines = await this.klineHistory.getKlines(symbol, interval, { startTime, endTime });
+        } else if (this.analyzer.binance) {
+            const history = new KlineHistory({ binance: this.analyzer.binance, logger: this.logger });
+            const range = await history.fetchRange(symbol, interval, startTime, endTime);
+            klines = this.dataSource.tag(range.klines, range.source);
+        } else if (this.dataSource.isStrict()) {
+            throw new ConfigurationError('Binance API not configured', 'binance');
+        } else {
+            const intervalMs = this.dataSource.mock.intervalMs(interval);
+            const count = Math.ceil((endTime - startTime) / intervalMs) + 1;
+            klines = this.dataSource.tag(this.dataSource.mock.klinesRange(symbol, interval, startTime, endTime, count), 'mock');
+        }
+
+        const now = Date.now();
+        const closed = klines.filter(kline => kline.closeTime < now);
+        closed.source = klines.source || 'live';
+        return closed;
+    }
+
+    /**
+     * Flows covering the range plus the lookback before it, with the whale
+     * thresholds to count against; sliced per bar with ExchangeFlowMonitor.flowsAt()
+     */
+    async getFlowHistory(symbol, startTime, endTime, options) {
+        if (!this.flowMonitor) {
+            throw new ConfigurationError('No flow provider configured', 'flowProvider.name');
+        }
+
+        const definition = FLOW_WINDOWS.hour;
+        const adaptive = this.flowMonitor.getAdaptive(options);
+        const lookback = adaptive ? lookbackWindows('hour', adaptive.lookbackDays) : definition.lookback;
+        const [history, thresholds] = await Promise.all([
+            this.flowMonitor.getFlows(symbol, {
+                window: 'hour',
+                from: startTime - (definition.points + lookback) * definition.ms,
+                to: endTime,
+                lookback
+            }),
+            this.flowMonitor.getThresholds(symbol, options)
+        ]);
+
+        return { history, options: { lookback, whale: thresholds.whale, adaptive } };
+    }
+
+    /**
+     * What to do at the next open: close the position on an opposite signal,
+     * then enter in the signal's direction (shorts only with allowShort)
+     */
+    decide(position, result, settings) {
+        if (result.signal === 'NEUTRAL' || result.strength < settings.minStrength) return null;
+
+        const side = result.signal === 'BULLISH' ? 'long' : 'short';
+        if (position && position.side === side) return null;
+
+        const open = side === 'long' || settings.allowShort ? side : null;
+        if (!position && !open) return null;
+
+        return { close: Boolean(position), open, signal: result };
+    }
+
+    /**
+     * Execute a pending decision at the bar's open
+     */
+    fillPending(state, bar, settings) {
+        const { close, open, signal } = state.pending;
+        state.pending = null;
+
+        if (close && state.position) {
+            this.closePosition(state, bar.openTime, bar.open, 'signal', settings);
+        }
+        if (open) {
+            this.openPosition(state, open, bar.openTime, bar.open, signal, settings);
+        }
+    }
+
+    /**
+     * Stop loss and take profit inside the bar; a gap through the level fills
+     * at the open, and a bar touching both counts as the stop. Gap fills are
+     * stamped with the bar's open time, intrabar fills with its close time
+     * as the moment within the bar is unknown
+     */
+    checkExits(state, bar, settings) {
+        const { side, stopPrice, takePrice } = state.position;
+        const long = side === 'long';
+        const exitTime = price => (price === bar.open ? bar.openTime : bar.closeTime);
+
+        if (stopPrice !== null && (long ? bar.low <= stopPrice : bar.high >= stopPrice)) {
+            const price = long ? Math.min(bar.open, stopPrice) : Math.max(bar.open, stopPrice);
+            this.closePosition(state, exitTime(price), price, 'stopLoss', settings);
+        } else if (takePrice !== null && (long ? bar.high >= takePrice : bar.low <= takePrice)) {
+            const price = long ? Math.max(bar.open, takePrice) : Math.min(bar.open, takePrice);
+            this.closePosition(state, exitTime(price), price, 'takeProfit', settings);
+        }
+    }
+
+    /**
+     * Put the whole equity into a position; the fee comes off the top
+     */
+    openPosition(state, side, time, price, signal, settings) {
+        const fillPrice = this.fillPrice(price, side === 'long' ? 'buy' : 'sell', settings);
+        const notional = state.cash / (1 + settings.feeRate);
+        const fee = notional * settings.feeRate;
+        const direction = side === 'long' ? 1 : -1;
+
+        state.cash -= fee;
+        state.position = {
+            side,
+            entryTime: time,
+            entryPrice: fillPrice,
+            quantity: notional / fillPrice,
+            entryEquity: notional + fee,
+            entryFee: fee,
+            stopPrice: settings.stopLoss ? fillPrice * (1 - direction * settings.stopLoss) : null,
+            takePrice: settings.takeProfit ? fillPrice * (1 + direction * settings.takeProfit) : null,
+            strength: signal.strength,
+            reasons: signal.reasons
+        };
+    }
+
+    /**
+     * Close the position and record the trade
+     */
+    closePosition(state, time, price, exitReason, settings) {
+        const position = state.position;
+        const direction = position.side === 'long' ? 1 : -1;
+        const fillPrice = this.fillPrice(price, position.side === 'long' ? 'sell' : 'buy', settings);
+        const fee = position.quantity * fillPrice * settings.feeRate;
+        const gross = direction * (fillPrice - position.entryPrice) * position.quantity;
+        const pnl = gross - position.entryFee - fee;
+
+        state.cash += gross - fee;
+        state.position = null;
+        state.trades.push({
+            side: position.side,
+            entryTime: position.entryTime,
+            entryPrice: position.entryPrice,
+            exitTime: time,
+            exitPrice: fillPrice,
+            quantity: position.quantity,
+            fees: position.entryFee + fee,
+            pnl,
+            returnPercent: (pnl / position.entryEquity) * 100,
+            exitReason,
+            strength: position.strength,
+            reasons: position.reasons
+        });
+    }
+
+    /**
+     * Price after slippage against the order
+     */
+    fillPrice(price, action, settings) {
+        return action === 'buy' ? price * (1 + settings.slippage) : price * (1 - settings.slippage);
+    }
+
+    /**
+     * Cash plus the open position's unrealized P&L
+     */
+    markToMarket(state, price) {
+        if (!state.position) return state.cash;
+        const { side, entryPrice, quantity } = state.position;
+        return state.cash + (side === 'long' ? 1 : -1) * (price - entryPrice) * quantity;
+    }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,92 @@
+/**
+ * Backtest Performance Module
+ * Trade and equity curve statistics. Returns and drawdowns are in percent
+ */
+
+const statistics = require('../core/statistics');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Largest peak-to-trough fall of an equity curve
+ * @param {Array<{timestamp: number, equity: number}>} equityCurve
+ */
+function maxDrawdown(equityCurve) {
+    let peak = null;
+    let worst = { percent: 0, peakTime: null, troughTime: null };
+
+    for (const point of equityCurve) {
+        if (!peak || point.equity > peak.equity) {
+            peak = point;
+            continue;
+        }
+
+        const percent = ((peak.equity - point.equity) / peak.equity) * 100;
+        if (percent > worst.percent) {
+            worst = { percent, peakTime: peak.timestamp, troughTime: point.timestamp };
+        }
+    }
+
+    return worst;
+}
+
+/**
+ * Annualized Sharpe ratio of per-bar returns (risk-free rate 0), null when flat
+ */
+function sharpeRatio(returns, periodsPerYear) {
+    const deviation = statistics.std(returns);
+    if (returns.length < 2 || !deviation) return null;
+    return (statistics.mean(returns) / deviation) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Per-bar returns of an equity curve
+ */
+function equityReturns(equityCurve) {
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+        returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+    }
+    return returns;
+}
+
+/**
+ * Summary statistics of a backtest
+ * trades are closed trades with pnl and returnPercent; barsInMarket counts bars with a position at any point
+ */
+function summarize(trades, equityCurve, { capital, intervalMs, barsInMarket, firstPrice, lastPrice }) {
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const losses = trades.filter(trade => trade.pnl <= 0);
+    const grossProfit = statistics.sum(wins.map(trade => trade.pnl));
+    const grossLoss = -statistics.sum(losses.map(trade => trade.pnl));
+    const finalEquity = equityCurve.length ? equityCurve[equityCurve.length - 1].equity : capital;
+    const drawdown = maxDrawdown(equityCurve);
+
+    return {
+        trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: trades.length ? (wins.length / trades.length) * 100 : null,
+        averageWin: wins.length ? grossProfit / wins.length : null,
+        averageLoss: losses.length ? -grossLoss / losses.length : null,
+        expectancy: trades.length ? statistics.mean(trades.map(trade => trade.pnl)) : null,
+        expectancyPercent: trades.length ? statistics.mean(trades.map(trade => trade.returnPercent)) : null,
+        profitFactor: grossLoss ? grossProfit / grossLoss : null,
+        fees: statistics.sum(trades.map(trade => trade.fees)),
+        finalEquity,
+        totalReturn: ((finalEquity - capital) / capital) * 100,
+        buyAndHoldReturn: firstPrice ? ((lastPrice - firstPrice) / firstPrice) * 100 : null,
+        maxDrawdown: drawdown.percent,
+        maxDrawdownPeak: drawdown.peakTime,
+        maxDrawdownTrough: drawdown.troughTime,
+        sharpe: sharpeRatio(equityReturns(equityCurve), YEAR_MS / intervalMs),
+        exposure: equityCurve.length ? (barsInMarket / equityCurve.length) * 100 : 0
+    };
+}
+
+module.exports = {
+    maxDrawdown,
+    sharpeRatio,
+    equityReturns,
+    summarize
+};
@@ -5,6 +5,7 @@
 const Joi = require('joi');
 const dotenv = require('dotenv');
 const path = require('path');
+const ThresholdTable = require('./thresholds');
 
 // Load environment variables
 dotenv.config();
@@ -22,6 +23,15 @@ const configSchema = Joi.object({
     cryptoquant: Joi.object({
         apiKey: Joi.string().optional()
     }),
+    dataSource: Joi.object({
+        mode: Joi.string().valid('live', 'mock', 'strict').default('live'),
+        seed: Joi.number().default(42)
+    }),
+    http: Joi.object({
+        timeout: Joi.number().default(10000),
+        maxRetries: Joi.number().integer().min(0).default(3),
+        rateLimit: Joi.number().default(1200)
+    }),
     telegram: Joi.object({
         enabled: Joi.boolean().default(false),
         botToken: Joi.string().when('enabled', {
@@ -37,11 +47,20 @@ const configSchema = Joi.object({
         interval: Joi.number().default(300000),
         whaleThresholdBTC: Joi.number().default(50),
         whaleThresholdETH: Joi.number().default(1000),
-        criticalInflowBTC: Joi.number().default(200),
-        criticalOutflowBTC: Joi.number().default(500),
-        criticalInflowETH: Joi.number().default(5000),
-        criticalOutflowETH: Joi.number().default(10000)
+        criticalInflowBTC: Joi.number(),
+        criticalOutflowBTC: Joi.number(),
+        criticalInflowETH: Joi.number(),
+        criticalOutflowETH: Joi.number()
     }),
+    thresholds: Joi.object().pattern(Joi.string(), Joi.object({
+        whale: Joi.number().positive().allow(null),
+        whaleUSD: Joi.number().positive().allow(null),
+        criticalInflow: Joi.number().positive().allow(null),
+        criticalInflowUSD: Joi.number().positive().allow(null),
+        criticalOutflow: Joi.number().positive().allow(null),
+        criticalOutflowUSD: Joi.number().positive().allow(null),
+        criticalZScore: Joi.number().positive().allow(null)
+    })),
     alerts: Joi.object({
         maxAlerts: Joi.number().default(100),
         cooldown: Joi.number().default(3600000),
@@ -57,17 +76,202 @@ const configSchema = Joi.object({
     logging: Joi.object({
         level: Joi.string().valid('trace', 'debug', 'info', 'warn', 'error', 'fatal').default('info'),
         pretty: Joi.boolean().default(true),
+        destination: Joi.string().valid('stdout', 'stderr').default('stdout'),
         file: Joi.string().optional()
     }),
     exchangeFlow: Joi.object({
         checkInterval: Joi.number().default(300000),
-        exchange: Joi.string().default('all_exchange')
+        exchange: Joi.string().default('all_exchange'),
+        criticalZScore: Joi.number().positive().default(2),
+        exchanges: Joi.array().items(Joi.string()).min(1)
+            .default(['binance', 'coinbase_advanced', 'okx', 'bybit', 'kraken']),
+        shareZScore: Joi.number().positive().default(2),
+        adaptive: Joi.object({
+            enabled: Joi.boolean().default(false),
+            method: Joi.string().valid('sigma', 'percentile').default('sigma'),
+            k: Joi.number().positive().default(3),
+            percentile: Joi.number().min(50).max(100).default(99),
+            lookbackDays: Joi.number().positive().default(7),
+            minWindows: Joi.number().integer().min(2).default(10)
+        })
+    }),
+    flowProvider: Joi.object({
+        name: Joi.string().allow(null).default(null),
+        replayFile: Joi.string().allow(null).default(null)
     }),
     priceMonitor: Joi.object({
         updateInterval: Joi.number().default(5000)
+    }),
+    orderBook: Joi.object({
+        depthLimit: Joi.number().valid(5, 10, 20, 50, 100, 500, 1000, 5000).default(1000),
+        speed: Joi.string().valid('100ms', '1000ms').default('100ms'),
+        wallNotional: Joi.number().default(1000000),
+        maxWallDistance: Joi.number().optional()
+    }),
+    tradeTape: Joi.object({
+        defaultThreshold: Joi.number().default(500000),
+        thresholds: Joi.object().pattern(Joi.string(), Joi.number()).default({}),
+        clusterWindow: Joi.number().default(10000)
+    }),
+    futures: Joi.object({
+        fundingThreshold: Joi.number().default(0.0005),
+        liquidationThreshold: Joi.number().default(100000),
+        liquidationWindow: Joi.number().default(3600000),
+        updateInterval: Joi.number().default(60000)
+    }),
+    onChain: Joi.object({
+        metrics: Joi.array().items(Joi.string().valid(
+            'exchange_reserve', 'miner_flows', 'stablecoin_reserve', 'whale_ratio',
+            'fund_flow_ratio', 'leverage_ratio', 'sopr', 'mvrv'
+        )).default(['exchange_reserve', 'whale_ratio', 'leverage_ratio', 'sopr', 'mvrv']),
+        weights: Joi.object().pattern(Joi.string(), Joi.number().min(0)).default({}),
+        signalWeight: Joi.number().min(0).default(2)
+    }),
+    levels: Joi.object({
+        strength: Joi.number().integer().min(1).default(3),
+        width: Joi.number().positive().default(0.5),
+        halfLife: Joi.number().positive().default(50),
+        bins: Joi.number().integer().min(1).default(24),
+        limit: Joi.number().integer().min(1).default(10)
+    }),
+    sessionVolume: Joi.object({
+        session: Joi.string().valid('day', 'week', 'month'),
+        bins: Joi.number().integer().min(1).default(24),
+        valueArea: Joi.number().greater(0).max(1).default(0.7)
+    }),
+    patterns: Joi.object({
+        signalWeight: Joi.number().min(0).default(1),
+        lookback: Joi.number().integer().min(1).default(3),
+        strength: Joi.number().integer().min(1).default(3),
+        maxAge: Joi.number().integer().min(1).default(30)
+    }),
+    flowSignal: Joi.object({
+        netflowWeight: Joi.number().min(0).default(1),
+        whaleWeight: Joi.number().min(0).default(1),
+        impactWeight: Joi.number().min(0).default(0.5)
+    }),
+    klineCache: Joi.object({
+        enabled: Joi.boolean().default(true),
+        dir: Joi.string().default(path.join(process.cwd(), '.cache', 'klines'))
+    }),
+    symbols: Joi.object({
+        refreshInterval: Joi.number().min(60000).default(3600000)
+    }),
+    backtest: Joi.object({
+        capital: Joi.number().positive().default(10000),
+        feeRate: Joi.number().min(0).max(0.1).default(0.001),
+        slippage: Joi.number().min(0).max(0.1).default(0.0005)
+    }),
+    scanner: Joi.object({
+        concurrency: Joi.number().integer().min(1).default(4),
+        minQuoteVolume: Joi.number().min(0).default(1000000),
+        limit: Joi.number().integer().min(1).default(50)
+    }),
+    strategies: Joi.object({
+        files: Joi.array().items(Joi.string()).default([]),
+        rules: Joi.array().items(Joi.object({
+            name: Joi.string().required(),
+            description: Joi.string(),
+            rules: Joi.array().items(Joi.object({
+                when: Joi.string().required(),
+                signal: Joi.string().valid('BULLISH', 'BEARISH').required(),
+                strength: Joi.number().min(0),
+                reason: Joi.string()
+            })).min(1).required()
+        })).default([])
     })
 });
 
+/**
+ * Numeric env values by config key, skipping unset ones (0 is a valid value)
+ */
+function parseNumbers(env, names) {
+    const weights = {};
+    for (const [key, name] of Object.entries(names)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            weights[key] = parseFloat(env[name]);
+        }
+    }
+    return weights;
+}
+
+/**
+ * Map USE_MOCK_DATA to a data source mode
+ * Accepts true/false as well as live/mock/strict
+ */
+function parseDataMode(value) {
+    if (!value) return undefined;
+
+    const normalized = value.toLowerCase();
+    if (normalized === 'true' || normalized === 'mock') return 'mock';
+    if (normalized === 'strict') return 'strict';
+    if (normalized === 'false' || normalized === 'live') return 'live';
+    return undefined;
+}
+
+const THRESHOLD_ENV = {
+    WHALE_THRESHOLD: 'whale',
+    CRITICAL_INFLOW: 'criticalInflow',
+    CRITICAL_OUTFLOW: 'criticalOutflow'
+};
+
+/**
+ * Build the per-asset threshold table
+ * Precedence: built-in < monitoring.* < userConfig.thresholds < env
+ * Env: WHALE_THRESHOLD[_USD][_<ASSET>], CRITICAL_INFLOW[_USD][_<ASSET>], CRITICAL_OUTFLOW[_USD][_<ASSET>]
+ * (no asset = default for every asset)
+ * A threshold set in either unit replaces both units of it from the layers
+ * below, so WHALE_THRESHOLD_USD_BTC replaces the built-in BTC whale in coins
+ */
+function parseThresholds(env, userConfig = {}) {
+    const table = {
+        default: { whaleUSD: 1000000 },
+        BTC: { whale: 50 },
+        ETH: { whale: 1000 }
+    };
+    const valid = value => value !== undefined && value !== null && !isNaN(value);
+    // Merge one layer's entry for an asset
+    const apply = (asset, entry) => {
+        const merged = { ...table[asset], ...entry };
+        for (const key of ThresholdTable.KEYS) {
+            if (valid(entry[key]) || valid(entry[`${key}USD`])) {
+                merged[key] = valid(entry[key]) ? entry[key] : null;
+                merged[`${key}USD`] = valid(entry[`${key}USD`]) ? entry[`${key}USD`] : null;
+            }
+        }
+        table[asset] = merged;
+    };
+
+    // Legacy BTC/ETH settings
+    const monitoring = userConfig.monitoring || {};
+    for (const asset of ['BTC', 'ETH']) {
+        const entry = {};
+        if (valid(monitoring[`whaleThreshold${asset}`])) entry.whale = monitoring[`whaleThreshold${asset}`];
+        if (valid(monitoring[`criticalInflow${asset}`])) entry.criticalInflow = monitoring[`criticalInflow${asset}`];
+        if (valid(monitoring[`criticalOutflow${asset}`])) entry.criticalOutflow = monitoring[`criticalOutflow${asset}`];
+        apply(asset, entry);
+    }
+
+    for (const [asset, entry] of Object.entries(userConfig.thresholds || {})) {
+        apply(asset === 'default' ? asset : asset.toUpperCase(), entry);
+    }
+
+    const fromEnv = {};
+    for (const [name, raw] of Object.entries(env)) {
+        const match = name.match(/^(WHALE_THRESHOLD|CRITICAL_INFLOW|CRITICAL_OUTFLOW)(_USD)?(?:_([A-Z0-9]+))?$/);
+        const value = match ? parseFloat(raw) : NaN;
+        if (valid(value)) {
+            const asset = match[3] || 'default';
+            fromEnv[asset] = { ...fromEnv[asset], [THRESHOLD_ENV[match[1]] + (match[2] ? 'USD' : '')]: value };
+        }
+    }
+    for (const [asset, entry] of Object.entries(fromEnv)) {
+        apply(asset, entry);
+    }
+
+    return table;
+}
+
 /**
  * Configuration class
  */
@@ -84,6 +288,17 @@ class Config {
             cryptoquant: {
                 apiKey: process.env.CRYPTOQUANT_API_KEY || userConfig.cryptoquant?.apiKey
             },
+            dataSource: {
+                mode: parseDataMode(process.env.USE_MOCK_DATA) || userConfig.dataSource?.mode || 'live',
+                seed: parseInt(process.env.MOCK_DATA_SEED) || userConfig.dataSource?.seed || 42
+            },
+            http: {
+                timeout: parseInt(process.env.API_TIMEOUT) || userConfig.http?.timeout || 10000,
+                maxRetries: parseInt(process.env.MAX_RETRIES) >= 0
+                    ? parseInt(process.env.MAX_RETRIES)
+                    : userConfig.http?.maxRetries ?? 3,
+                rateLimit: parseInt(process.env.RATE_LIMIT) || userConfig.http?.rateLimit || 1200
+            },
             telegram: {
                 enabled: process.env.TELEGRAM_ENABLED !== 'false' && (process.env.TELEGRAM_BOT_TOKEN || userConfig.telegram?.botToken) ? true : false,
                 botToken: process.env.TELEGRAM_BOT_TOKEN || userConfig.telegram?.botToken,
@@ -93,11 +308,12 @@ class Config {
                 interval: parseInt(process.env.MONITORING_INTERVAL) || userConfig.monitoring?.interval || 300000,
                 whaleThresholdBTC: parseFloat(process.env.WHALE_THRESHOLD_BTC) || userConfig.monitoring?.whaleThresholdBTC || 50,
                 whaleThresholdETH: parseFloat(process.env.WHALE_THRESHOLD_ETH) || userConfig.monitoring?.whaleThresholdETH || 1000,
-                criticalInflowBTC: parseFloat(process.env.CRITICAL_INFLOW_BTC) || userConfig.monitoring?.criticalInflowBTC || 200,
-                criticalOutflowBTC: parseFloat(process.env.CRITICAL_OUTFLOW_BTC) || userConfig.monitoring?.criticalOutflowBTC || 500,
-                criticalInflowETH: parseFloat(process.env.CRITICAL_INFLOW_ETH) || userConfig.monitoring?.criticalInflowETH || 5000,
-                criticalOutflowETH: parseFloat(process.env.CRITICAL_OUTFLOW_ETH) || userConfig.monitoring?.criticalOutflowETH || 10000
+                criticalInflowBTC: parseFloat(process.env.CRITICAL_INFLOW_BTC) || userConfig.monitoring?.criticalInflowBTC,
+                criticalOutflowBTC: parseFloat(process.env.CRITICAL_OUTFLOW_BTC) || userConfig.monitoring?.criticalOutflowBTC,
+                criticalInflowETH: parseFloat(process.env.CRITICAL_INFLOW_ETH) || userConfig.monitoring?.criticalInflowETH,
+                criticalOutflowETH: parseFloat(process.env.CRITICAL_OUTFLOW_ETH) || userConfig.monitoring?.criticalOutflowETH
             },
+            thresholds: parseThresholds(process.env, userConfig),
             alerts: {
                 maxAlerts: parseInt(process.env.MAX_ALERTS) || userConfig.alerts?.maxAlerts || 100,
                 cooldown: parseInt(process.env.ALERT_COOLDOWN) || userConfig.alerts?.cooldown || 3600000,
@@ -113,10 +329,100 @@ class Config {
             logging: {
                 level: process.env.LOG_LEVEL || userConfig.logging?.level || 'info',
                 pretty: process.env.LOG_PRETTY !== 'false' && (userConfig.logging?.pretty !== false),
+                destination: userConfig.logging?.destination || 'stdout',
                 file: process.env.LOG_FILE || userConfig.logging?.file
             },
-            exchangeFlow: userConfig.exchangeFlow || {},
-            priceMonitor: userConfig.priceMonitor || {}
+            exchangeFlow: {
+                ...userConfig.exchangeFlow,
+                criticalZScore: parseFloat(process.env.CRITICAL_FLOW_ZSCORE) || userConfig.exchangeFlow?.criticalZScore || 2,
+                exchanges: process.env.FLOW_EXCHANGES
+                    ? process.env.FLOW_EXCHANGES.split(',').map(exchange => exchange.trim()).filter(Boolean)
+                    : userConfig.exchangeFlow?.exchanges,
+                shareZScore: parseFloat(process.env.EXCHANGE_SHARE_ZSCORE) || userConfig.exchangeFlow?.shareZScore || 2,
+                adaptive: {
+                    ...userConfig.exchangeFlow?.adaptive,
+                    enabled: process.env.ADAPTIVE_THRESHOLDS
+                        ? process.env.ADAPTIVE_THRESHOLDS === 'true'
+                        : userConfig.exchangeFlow?.adaptive?.enabled || false,
+                    method: process.env.ADAPTIVE_THRESHOLD_METHOD || userConfig.exchangeFlow?.adaptive?.method || 'sigma',
+                    k: parseFloat(process.env.ADAPTIVE_THRESHOLD_K) || userConfig.exchangeFlow?.adaptive?.k || 3,
+                    percentile: parseFloat(process.env.ADAPTIVE_THRESHOLD_PERCENTILE) || userConfig.exchangeFlow?.adaptive?.percentile || 99,
+                    lookbackDays: parseFloat(process.env.ADAPTIVE_LOOKBACK_DAYS) || userConfig.exchangeFlow?.adaptive?.lookbackDays || 7
+                }
+            },
+            flowProvider: {
+                name: process.env.FLOW_PROVIDER || userConfig.flowProvider?.name || null,
+                replayFile: process.env.FLOW_REPLAY_FILE || userConfig.flowProvider?.replayFile || null
+            },
+            priceMonitor: userConfig.priceMonitor || {},
+            orderBook: {
+                ...userConfig.orderBook,
+                wallNotional: parseFloat(process.env.ORDER_BOOK_WALL_NOTIONAL) || userConfig.orderBook?.wallNotional || 1000000
+            },
+            tradeTape: {
+                ...userConfig.tradeTape,
+                defaultThreshold: parseFloat(process.env.TRADE_WHALE_THRESHOLD) || userConfig.tradeTape?.defaultThreshold || 500000,
+                clusterWindow: parseInt(process.env.TRADE_CLUSTER_WINDOW) || userConfig.tradeTape?.clusterWindow || 10000
+            },
+            futures: {
+                ...userConfig.futures,
+                fundingThreshold: parseFloat(process.env.FUNDING_SPIKE_THRESHOLD) || userConfig.futures?.fundingThreshold || 0.0005,
+                liquidationThreshold: parseFloat(process.env.LIQUIDATION_THRESHOLD) || userConfig.futures?.liquidationThreshold || 100000
+            },
+            onChain: {
+                ...userConfig.onChain
+            },
+            levels: {
+                ...userConfig.levels
+            },
+            sessionVolume: {
+                ...userConfig.sessionVolume
+            },
+            patterns: {
+                ...userConfig.patterns,
+                ...parseNumbers(process.env, {
+                    signalWeight: 'PATTERN_SIGNAL_WEIGHT',
+                    lookback: 'PATTERN_LOOKBACK',
+                    strength: 'PATTERN_SWING_STRENGTH'
+                })
+            },
+            flowSignal: {
+                ...userConfig.flowSignal,
+                ...parseNumbers(process.env, {
+                    netflowWeight: 'FLOW_SIGNAL_NETFLOW_WEIGHT',
+                    whaleWeight: 'FLOW_SIGNAL_WHALE_WEIGHT',
+                    impactWeight: 'FLOW_SIGNAL_IMPACT_WEIGHT'
+                })
+            },
+            klineCache: {
+                enabled: process.env.KLINE_CACHE !== 'false' && (userConfig.klineCache?.enabled !== false),
+                dir: process.env.KLINE_CACHE_DIR || userConfig.klineCache?.dir || path.join(process.cwd(), '.cache', 'klines')
+            },
+            symbols: {
+                refreshInterval: parseInt(process.env.SYMBOL_REFRESH_INTERVAL) || userConfig.symbols?.refreshInterval || 3600000
+            },
+            backtest: {
+                ...userConfig.backtest,
+                ...parseNumbers(process.env, {
+                    capital: 'BACKTEST_CAPITAL',
+                    feeRate: 'BACKTEST_FEE_RATE',
+                    slippage: 'BACKTEST_SLIPPAGE'
+                })
+            },
+            scanner: {
+                ...userConfig.scanner,
+                ...parseNumbers(process.env, {
+                    concurrency: 'SCANNER_CONCURRENCY',
+                    minQuoteVolume: 'SCANNER_MIN_QUOTE_VOLUME',
+                    limit: 'SCANNER_LIMIT'
+                })
+            },
+            strategies: {
+                files: process.env.STRATEGY_FILES
+                    ? process.env.STRATEGY_FILES.split(',').map(file => file.trim()).filter(Boolean)
+                    : userConfig.strategies?.files,
+                rules: userConfig.strategies?.rules
+            }
         };
 
         // Validate configuration
@@ -185,8 +491,8 @@ class Config {
                 ? 'https://testnet.binance.vision'
                 : 'https://api.binance.com',
             binanceWS: this.config.binance.testnet
-                ? 'wss://testnet.binance.vision/ws'
-                : 'wss://stream.binance.com:9443/ws',
+                ? 'wss://testnet.binance.vision/stream'
+                : 'wss://stream.binance.com:9443/stream',
             cryptoquant: 'https://api.cryptoquant.com/v1'
         };
     }
@@ -0,0 +1,111 @@
+/**
+ * Data Source Module
+ * Decides between live data, mock data and failing loudly
+ *
+ * Modes:
+ *   live   - call the API, fall back to mock data on failure (tagged source: 'mock')
+ *   mock   - never call the API, always return seeded mock data
+ *   strict - call the API, failures propagate as APIError
+ */
+
+const MockData = require('./mock-data');
+const { APIError } = require('./error-handler');
+
+const MODES = ['live', 'mock', 'strict'];
+
+class DataSource {
+    constructor(config = {}) {
+        this.mode = MODES.includes(config.mode) ? config.mode : 'live';
+        this.logger = config.logger;
+        this.mock = new MockData(config.seed);
+    }
+
+    /**
+     * Check if running on mock data only
+     */
+    isMock() {
+        return this.mode === 'mock';
+    }
+
+    /**
+     * Check if failures should propagate
+     */
+    isStrict() {
+        return this.mode === 'strict';
+    }
+
+    /**
+     * Fetch live data or mock data depending on mode
+     * @param {Function} liveFn - async, returns live data
+     * @param {Function} mockFn - returns mock data
+     * @param {string} service - service name for APIError
+     */
+    async fetch(liveFn, mockFn, service) {
+        if (this.isMock()) {
+            return this.tag(mockFn(), 'mock');
+        }
+
+        try {
+            return this.tag(await liveFn(), 'live');
+        } catch (error) {
+            if (this.isStrict()) {
+                throw this.toAPIError(error, service);
+            }
+
+            if (this.logger) {
+                this.logger.warn(`${service} request failed, using mock data: ${error.message}`);
+            }
+            return this.tag(mockFn(), 'mock');
+        }
+    }
+
+    /**
+     * Handle a failure outside of fetch() - rethrow in strict mode, else return mock
+     */
+    fallback(error, mockFn, service) {
+        if (this.isStrict()) {
+            throw this.toAPIError(error, service);
+        }
+        return this.tag(mockFn(), 'mock');
+    }
+
+    /**
+     * Attach source to a result (arrays get it as a property)
+     */
+    tag(data, source) {
+        if (Array.isArray(data)) {
+            data.source = source;
+            return data;
+        }
+        if (data && typeof data === 'object') {
+            return { ...data, source };
+        }
+        return data;
+    }
+
+    /**
+     * Combine several sources - any mock input makes the result mock
+     */
+    combine(...sources) {
+        return sources.includes('mock') ? 'mock' : 'live';
+    }
+
+    /**
+     * Wrap any error as APIError
+     */
+    toAPIError(error, service) {
+        if (error instanceof APIError) {
+            return error;
+        }
+        return new APIError(
+            error.response?.data?.msg || error.message,
+            service,
+            error.response?.status,
+            error.response?.data
+        );
+    }
+}
+
+DataSource.MODES = MODES;
+
+module.exports = DataSource;
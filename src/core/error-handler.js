@@ -22,6 +22,15 @@ class APIError extends WhaleTrackerError {
     }
 }
 
+class RateLimitError extends APIError {
+    constructor(message, service, statusCode, retryAfter, response) {
+        super(message, service, statusCode, response);
+        this.name = 'RateLimitError';
+        this.code = statusCode === 418 ? 'IP_BANNED' : 'RATE_LIMITED';
+        this.details.retryAfter = retryAfter;
+    }
+}
+
 class ConfigurationError extends WhaleTrackerError {
     constructor(message, field) {
         super(message, 'CONFIG_ERROR', { field });
@@ -124,6 +133,9 @@ class ErrorHandler {
         }
 
         // High severity
+        if (error instanceof RateLimitError && error.code === 'IP_BANNED') {
+            return 'high';
+        }
         if (error instanceof APIError && error.details?.statusCode >= 500) {
             return 'high';
         }
@@ -194,6 +206,15 @@ class ErrorHandler {
         }
 
         // API rate limits
+        if (error instanceof RateLimitError) {
+            return {
+                action: 'backoff',
+                delay: error.details.retryAfter || 60000,
+                message: error.code === 'IP_BANNED'
+                    ? 'IP banned by API - pausing requests'
+                    : 'Rate limit hit - backing off'
+            };
+        }
         if (error.message?.includes('rate limit')) {
             return {
                 action: 'backoff',
@@ -241,5 +262,6 @@ class ErrorHandler {
 module.exports = ErrorHandler;
 module.exports.WhaleTrackerError = WhaleTrackerError;
 module.exports.APIError = APIError;
+module.exports.RateLimitError = RateLimitError;
 module.exports.ConfigurationError = ConfigurationError;
 module.exports.ValidationError = ValidationError;
\ No newline at end of file
@@ -0,0 +1,256 @@
+/**
+ * Flow Series Module
+ * The normalized exchange flow shape every flow provider returns,
+ * plus the windowed statistics computed on it
+ */
+
+const statistics = require('./statistics');
+
+/**
+ * @typedef {Object} FlowResult
+ * @property {string} flowType - inflow, outflow or netflow
+ * @property {string} symbol
+ * @property {string} exchange
+ * @property {string} window - hour or day
+ * @property {Array<{timestamp: number, value: number, top10: number|null}>} series - oldest first
+ * @property {Object|null} latest - newest point of the series
+ * @property {Object} statistics - sum/mean over the last `points` windows, compared
+ *   against rolling sums of the same length over the lookback (zScore, percentileRank)
+ * @property {string} source - 'live', 'mock' or 'replay'
+ * @property {Date} timestamp
+ */
+
+/**
+ * Flow windows: length in ms, points summed for statistics (24h) and
+ * default lookback in points for the baseline
+ */
+const FLOW_WINDOWS = {
+    hour: { ms: 60 * 60 * 1000, points: 24, lookback: 7 * 24 },
+    day: { ms: 24 * 60 * 60 * 1000, points: 1, lookback: 30 }
+};
+
+/**
+ * Adaptive threshold defaults: mean + k·σ ('sigma') or a percentile of the
+ * last lookbackDays, trusted once the baseline has minWindows values
+ */
+const ADAPTIVE_DEFAULTS = {
+    method: 'sigma',
+    k: 3,
+    percentile: 99,
+    lookbackDays: 7,
+    minWindows: 10
+};
+
+/**
+ * Build a FlowResult (without source) from points in any order
+ */
+function buildFlowResult(flowType, points, context = {}) {
+    const window = context.window || 'hour';
+    const series = points.slice().sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+        flowType,
+        symbol: context.symbol,
+        exchange: context.exchange || 'all_exchange',
+        window,
+        from: series.length ? series[0].timestamp : null,
+        to: series.length ? series[series.length - 1].timestamp : null,
+        series,
+        latest: series.length ? series[series.length - 1] : null,
+        statistics: summarizeFlowSeries(series, context.points || FLOW_WINDOWS[window].points),
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Statistics for the last `points` windows of an oldest-first series
+ * The baseline is every earlier run of `points` consecutive windows
+ */
+function summarizeFlowSeries(series, points) {
+    const values = series.map(point => point.value);
+    const current = values.slice(-points);
+    const baseline = baselineSums(values, points);
+    const sum = statistics.sum(current);
+
+    const top10 = series.slice(-points).map(point => point.top10).filter(value => value !== null);
+
+    return {
+        points: current.length,
+        sum,
+        mean: statistics.mean(current),
+        min: current.length ? Math.min(...current) : null,
+        max: current.length ? Math.max(...current) : null,
+        whaleVolume: top10.length ? statistics.sum(top10) : null,
+        baseline: describeBaseline(baseline),
+        zScore: statistics.zScore(sum, baseline),
+        percentileRank: statistics.percentileRank(sum, baseline)
+    };
+}
+
+/**
+ * Sums of every run of `points` windows before the last `points` windows
+ */
+function baselineSums(values, points) {
+    return statistics.rollingSums(values.slice(0, Math.max(0, values.length - points)), points);
+}
+
+/**
+ * Typical whale transfer size (top10 / 10) of every window before the latest
+ */
+function whaleSizes(flow) {
+    return flow.series
+        .slice(0, -1)
+        .map(point => point.top10)
+        .filter(value => value !== null && value !== undefined)
+        .map(value => value / 10);
+}
+
+/**
+ * Windows of lookback covering a number of days
+ */
+function lookbackWindows(window, days) {
+    return Math.round((days * 24 * 60 * 60 * 1000) / FLOW_WINDOWS[window].ms);
+}
+
+/**
+ * Mean, deviation and size of a baseline
+ */
+function describeBaseline(values) {
+    return {
+        windows: values.length,
+        mean: values.length ? statistics.mean(values) : null,
+        std: values.length > 1 ? statistics.std(values) : null
+    };
+}
+
+/**
+ * Threshold from a baseline distribution, null when the baseline is too short
+ * Returns { type: 'adaptive', method, value, k | percentile, baseline }
+ */
+function adaptiveThreshold(values, adaptive = {}) {
+    const { method, k, percentile, minWindows } = { ...ADAPTIVE_DEFAULTS, ...adaptive };
+    if (values.length < Math.max(minWindows, 2)) return null;
+
+    const baseline = describeBaseline(values);
+    return method === 'percentile'
+        ? { type: 'adaptive', method, percentile, value: statistics.percentile(values, percentile), baseline }
+        : { type: 'adaptive', method, k, value: baseline.mean + k * baseline.std, baseline };
+}
+
+/**
+ * Short description of a threshold for alert messages
+ */
+function describeThreshold(threshold, unit) {
+    const rule = threshold.type !== 'adaptive'
+        ? 'fixed'
+        : threshold.method === 'percentile' ? `p${threshold.percentile}` : `mean + ${threshold.k}σ`;
+    const baseline = threshold.baseline.mean !== null
+        ? `, baseline ${threshold.baseline.mean.toFixed(2)} ± ${(threshold.baseline.std || 0).toFixed(2)}`
+        : '';
+    return `threshold ${threshold.value.toFixed(2)} ${unit} ${rule}${baseline}`;
+}
+
+/**
+ * Inflow - outflow per window, only where both series have a point
+ */
+function netflowSeries(inflow, outflow) {
+    const outflowByTime = new Map(outflow.series.map(point => [point.timestamp, point.value]));
+
+    return inflow.series
+        .filter(point => outflowByTime.has(point.timestamp))
+        .map(point => ({
+            timestamp: point.timestamp,
+            value: point.value - outflowByTime.get(point.timestamp),
+            top10: null
+        }));
+}
+
+/**
+ * Whale threshold for one direction: adaptive when configured and the
+ * baseline is long enough, otherwise the fixed amount (null = none)
+ */
+function whaleThreshold(flow, fixed, adaptive) {
+    const sizes = whaleSizes(flow);
+    const computed = adaptive ? adaptiveThreshold(sizes, adaptive) : null;
+    if (computed) return computed;
+
+    return fixed ? { type: 'fixed', value: fixed, baseline: describeBaseline(sizes) } : null;
+}
+
+/**
+ * Windows of the statistics period (e.g. the last 24h) with a whale transfer
+ * size above the threshold; adaptive thresholds use the windows before them
+ */
+function countWhales(flow, fixed, adaptive) {
+    const points = flow.statistics.points;
+    const sizes = flow.series.map(point => (point.top10 === null || point.top10 === undefined ? null : point.top10 / 10));
+    const baseline = sizes.slice(0, -points).filter(size => size !== null);
+
+    const computed = adaptive ? adaptiveThreshold(baseline, adaptive) : null;
+    const limit = computed || (fixed ? { type: 'fixed', value: fixed, baseline: describeBaseline(baseline) } : null);
+    if (!limit) {
+        return { count: 0, threshold: null };
+    }
+
+    return {
+        count: sizes.slice(-points).filter(size => size !== null && size > limit.value).length,
+        threshold: limit
+    };
+}
+
+/**
+ * Whale alerts from the latest window of inflow/outflow
+ * top10 is the sum of the 10 largest transfers, so top10 / 10 is the
+ * typical whale transfer size. Fixed outflow thresholds are doubled;
+ * adaptive ones come from each direction's own history
+ */
+function detectWhales(inflow, outflow, { symbol, threshold, adaptive, source }) {
+    const alerts = [];
+    const checks = [
+        { flow: inflow, type: 'WHALE_INFLOW', severity: 'high', impact: 'BEARISH', label: 'deposits', fixed: threshold },
+        { flow: outflow, type: 'WHALE_OUTFLOW', severity: 'medium', impact: 'BULLISH', label: 'withdrawals', fixed: threshold && threshold * 2 }
+    ];
+
+    for (const { flow, type, severity, impact, label, fixed } of checks) {
+        const whale = flow.latest?.top10;
+        const limit = whaleThreshold(flow, fixed, adaptive);
+        if (whale === null || whale === undefined || !limit || whale / 10 <= limit.value) continue;
+
+        alerts.push({
+            type,
+            severity,
+            amount: whale,
+            symbol,
+            impact,
+            source,
+            exchange: flow.exchange,
+            transferSize: whale / 10,
+            threshold: limit.value,
+            thresholdType: limit.type,
+            method: limit.method || null,
+            baseline: limit.baseline.mean,
+            baselineStd: limit.baseline.std,
+            baselineWindows: limit.baseline.windows,
+            message: `Large ${symbol} ${label} detected: top 10 moved ${whale.toFixed(2)} ${symbol} in the last ${flow.window} ` +
+                `(${(whale / 10).toFixed(2)} per transfer, ${describeThreshold(limit, symbol)})`
+        });
+    }
+
+    return alerts;
+}
+
+module.exports = {
+    FLOW_WINDOWS,
+    ADAPTIVE_DEFAULTS,
+    buildFlowResult,
+    summarizeFlowSeries,
+    baselineSums,
+    whaleSizes,
+    lookbackWindows,
+    describeBaseline,
+    adaptiveThreshold,
+    describeThreshold,
+    netflowSeries,
+    countWhales,
+    detectWhales
+};
@@ -0,0 +1,226 @@
+/**
+ * Kline Store Module
+ * On-disk candle cache, one JSON file per symbol/interval/month,
+ * plus a coverage index of the time ranges already fetched
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Gives overlapping writes in this process their own temp file
+let writeCount = 0;
+
+// Tail of the read-merge-write queue per file, shared by every store in the process
+const fileQueues = new Map();
+
+class KlineStore {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(process.cwd(), '.cache', 'klines');
+    }
+
+    /**
+     * Read cached klines in [startTime, endTime], oldest first
+     */
+    async read(symbol, interval, startTime, endTime) {
+        const klines = [];
+
+        for (const month of this.monthsBetween(startTime, endTime)) {
+            const rows = await this.readFile(this.getMonthPath(symbol, interval, month), []);
+            for (const row of rows) {
+                if (row[0] >= startTime && row[0] <= endTime) {
+                    klines.push(this.fromRow(row));
+                }
+            }
+        }
+
+        return klines.sort((a, b) => a.openTime - b.openTime);
+    }
+
+    /**
+     * Merge klines into the cache, deduped by openTime
+     */
+    async write(symbol, interval, klines) {
+        const byMonth = new Map();
+        for (const kline of klines) {
+            const month = this.getMonthKey(kline.openTime);
+            if (!byMonth.has(month)) byMonth.set(month, []);
+            byMonth.get(month).push(kline);
+        }
+
+        for (const [month, monthKlines] of byMonth) {
+            await this.updateFile(this.getMonthPath(symbol, interval, month), [], (existing) => {
+                const rows = new Map(existing.map(row => [row[0], row]));
+                monthKlines.forEach(kline => rows.set(kline.openTime, this.toRow(kline)));
+                return Array.from(rows.values()).sort((a, b) => a[0] - b[0]);
+            });
+        }
+    }
+
+    /**
+     * Get fetched ranges as sorted, merged [start, end] pairs
+     */
+    async getCoverage(symbol, interval) {
+        return this.readFile(this.getCoveragePath(symbol, interval), []);
+    }
+
+    /**
+     * Record that [startTime, endTime] has been fetched
+     */
+    async addCoverage(symbol, interval, startTime, endTime, intervalMs) {
+        return this.updateFile(this.getCoveragePath(symbol, interval), [], (ranges) => {
+            ranges.push([startTime, endTime]);
+            ranges.sort((a, b) => a[0] - b[0]);
+
+            // Merge overlapping and adjacent ranges
+            const merged = [];
+            for (const range of ranges) {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1] + intervalMs) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push([range[0], range[1]]);
+                }
+            }
+            return merged;
+        });
+    }
+
+    /**
+     * Get sub-ranges of [startTime, endTime] that are not covered yet
+     */
+    async getMissingRanges(symbol, interval, startTime, endTime) {
+        const coverage = await this.getCoverage(symbol, interval);
+        const missing = [];
+        let cursor = startTime;
+
+        for (const [start, end] of coverage) {
+            if (end < cursor) continue;
+            if (start > endTime) break;
+            if (start > cursor) {
+                missing.push([cursor, Math.min(start - 1, endTime)]);
+            }
+            cursor = Math.max(cursor, end + 1);
+            if (cursor > endTime) break;
+        }
+
+        if (cursor <= endTime) {
+            missing.push([cursor, endTime]);
+        }
+
+        return missing;
+    }
+
+    /**
+     * Remove cached data for a symbol/interval
+     */
+    async clear(symbol, interval) {
+        await fs.rm(path.join(this.dir, symbol, interval), { recursive: true, force: true });
+    }
+
+    /**
+     * List YYYY-MM keys touched by a time range
+     */
+    monthsBetween(startTime, endTime) {
+        const months = [];
+        const cursor = new Date(startTime);
+        cursor.setUTCDate(1);
+        cursor.setUTCHours(0, 0, 0, 0);
+
+        while (cursor.getTime() <= endTime) {
+            months.push(this.getMonthKey(cursor.getTime()));
+            cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+        }
+
+        return months;
+    }
+
+    /**
+     * Month key for a timestamp
+     */
+    getMonthKey(time) {
+        return new Date(time).toISOString().slice(0, 7);
+    }
+
+    /**
+     * Path of a month file
+     */
+    getMonthPath(symbol, interval, month) {
+        return path.join(this.dir, symbol, interval, `${month}.json`);
+    }
+
+    /**
+     * Path of the coverage index
+     */
+    getCoveragePath(symbol, interval) {
+        return path.join(this.dir, symbol, interval, 'coverage.json');
+    }
+
+    /**
+     * Compact row format keeps files small
+     */
+    toRow(kline) {
+        return [kline.openTime, kline.open, kline.high, kline.low, kline.close, kline.volume, kline.closeTime, kline.takerBuyVolume];
+    }
+
+    /**
+     * Row back to kline object (same shape as BinanceAPI.getKlines)
+     */
+    fromRow(row) {
+        return {
+            openTime: row[0],
+            open: row[1],
+            high: row[2],
+            low: row[3],
+            close: row[4],
+            volume: row[5],
+            closeTime: row[6],
+            // Rows cached before taker buy volume was stored have none
+            takerBuyVolume: row[7] ?? undefined
+        };
+    }
+
+    /**
+     * Read JSON file, default when missing
+     */
+    async readFile(file, fallback) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+    }
+
+    /**
+     * Read, change and write a JSON file, one update per file at a time so
+     * overlapping syncs cannot drop each other's rows
+     */
+    async updateFile(file, fallback, update) {
+        const key = path.resolve(file);
+        const previous = fileQueues.get(key) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const data = update(await this.readFile(file, fallback));
+            await this.writeFile(file, data);
+            return data;
+        });
+
+        fileQueues.set(key, next);
+        try {
+            return await next;
+        } finally {
+            if (fileQueues.get(key) === next) fileQueues.delete(key);
+        }
+    }
+
+    /**
+     * Write JSON atomically so an interrupted write cannot corrupt the cache
+     */
+    async writeFile(file, data) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.${++writeCount}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(data));
+        await fs.rename(tmp, file);
+    }
+}
+
+module.exports = KlineStore;
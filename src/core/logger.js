@@ -10,6 +10,8 @@ const path = require('path');
  */
 class Logger {
     constructor(config = {}) {
+        // stderr keeps stdout clean for machine-readable output
+        const fd = config.destination === 'stderr' ? 2 : 1;
         const options = {
             level: config.level || 'info',
             transport: config.pretty !== false ? {
@@ -17,12 +19,13 @@ class Logger {
                 options: {
                     colorize: true,
                     translateTime: 'HH:MM:ss',
-                    ignore: 'pid,hostname'
+                    ignore: 'pid,hostname',
+                    destination: fd
                 }
             } : undefined
         };
 
-        this.logger = pino(options);
+        this.logger = options.transport ? pino(options) : pino(options, pino.destination(fd));
 
         // Add file transport if configured
         if (config.file) {
@@ -0,0 +1,429 @@
+/**
+ * Mock Data Module
+ * Deterministic, seeded market data for offline mode and fallbacks
+ */
+
+const BASE_PRICES = {
+    'BTC': 50000,
+    'ETH': 3000,
+    'BNB': 400,
+    'SOL': 150,
+    'XRP': 0.6,
+    'ADA': 0.5,
+    'DOGE': 0.1,
+    'AVAX': 35,
+    'DOT': 7,
+    'LINK': 15,
+    'LTC': 80
+};
+
+const QUOTE_ASSETS = ['USDT', 'BTC'];
+
+// Typical level and daily drift of each on-chain metric
+const METRIC_PROFILES = {
+    exchange_reserve: { BTC: 2300000, ETH: 18000000, default: 1000000, drift: 0.003 },
+    miner_flows: { BTC: 0, default: 0, spread: 400 },
+    stablecoin_reserve: { default: 20000000000, drift: 0.01 },
+    whale_ratio: { default: 0.5, spread: 0.2 },
+    fund_flow_ratio: { default: 0.1, spread: 0.04 },
+    leverage_ratio: { default: 0.2, spread: 0.04 },
+    sopr: { default: 1, spread: 0.04 },
+    mvrv: { default: 2, spread: 0.6 }
+};
+
+// Typical hourly exchange inflow in coins
+const FLOW_LEVELS = {
+    BTC: 2000,
+    ETH: 12000,
+    default: 50000
+};
+
+// Typical share of total exchange flow per venue
+const EXCHANGE_SHARES = {
+    binance: 0.3,
+    coinbase_advanced: 0.15,
+    okx: 0.1,
+    bybit: 0.08,
+    kraken: 0.05,
+    default: 0.03
+};
+
+const INTERVAL_UNITS = {
+    's': 1000,
+    'm': 60 * 1000,
+    'h': 60 * 60 * 1000,
+    'd': 24 * 60 * 60 * 1000,
+    'w': 7 * 24 * 60 * 60 * 1000
+};
+
+// Binance weeks open on Monday, four days after the epoch's Thursday
+const WEEK_OFFSET_MS = 4 * 24 * 60 * 60 * 1000;
+
+// The mock price moves once per bucket, like the close of a 1m candle
+const PRICE_BUCKET_MS = 60 * 1000;
+
+class MockData {
+    constructor(seed = 42) {
+        this.seed = seed;
+    }
+
+    /**
+     * Create a PRNG seeded by the global seed plus call-specific keys
+     */
+    random(...keys) {
+        // FNV-1a hash of the key, then mulberry32
+        let h = 2166136261;
+        for (const ch of `${this.seed}:${keys.join(':')}`) {
+            h ^= ch.charCodeAt(0);
+            h = Math.imul(h, 16777619);
+        }
+
+        let state = h >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Base asset of a pair
+     */
+    baseAsset(symbol) {
+        return symbol.replace(/(USDT|BUSD|FDUSD|USDC|BTC)$/, '') || symbol;
+    }
+
+    /**
+     * Get mock price: the symbol's reference price moved by the current
+     * minute's factor, so it drifts over time and matches the 1m klines
+     */
+    price(symbol, time = Date.now()) {
+        const bucket = Math.floor(time / PRICE_BUCKET_MS) * PRICE_BUCKET_MS;
+        return this.referencePrice(symbol) * this.priceFactor(symbol, PRICE_BUCKET_MS, bucket);
+    }
+
+    /**
+     * Fixed per-symbol price the mock price and range klines move around
+     */
+    referencePrice(symbol) {
+        const quote = symbol.endsWith('BTC') && symbol !== 'BTC' ? BASE_PRICES['BTC'] : 1;
+        const base = (BASE_PRICES[this.baseAsset(symbol)] || 100) / quote;
+        const rand = this.random('price', symbol);
+        return base * (1 + (rand() - 0.5) * 0.02);
+    }
+
+    /**
+     * Get mock 24hr ticker
+     */
+    ticker(symbol) {
+        const rand = this.random('ticker', symbol);
+        const lastPrice = this.price(symbol);
+        const priceChangePercent = (rand() - 0.5) * 10;
+
+        return {
+            symbol,
+            priceChange: lastPrice * priceChangePercent / 100,
+            priceChangePercent,
+            lastPrice,
+            volume: rand() * 1000000,
+            quoteVolume: rand() * 50000000,
+            highPrice: lastPrice * 1.05,
+            lowPrice: lastPrice * 0.95
+        };
+    }
+
+    /**
+     * Get mock klines for a time range, oldest first
+     * Each closed candle depends only on its openTime, and the current candle closes at price()
+     */
+    klinesRange(symbol, interval = '1h', startTime, endTime = Date.now(), limit = 500) {
+        const intervalMs = this.intervalMs(interval);
+        const now = Date.now();
+        const last = Math.min(endTime, now);
+        const anchor = this.referencePrice(symbol);
+        const klines = [];
+
+        for (let openTime = this.candleOpen(interval, startTime + intervalMs - 1);
+            openTime <= last && klines.length < limit;
+            openTime += intervalMs) {
+            const rand = this.random('klineRange', symbol, interval, openTime);
+            const open = anchor * this.priceFactor(symbol, intervalMs, openTime - intervalMs);
+            const close = openTime + intervalMs > now
+                ? this.price(symbol, now)
+                : anchor * this.priceFactor(symbol, intervalMs, openTime);
+
+            const kline = {
+                openTime,
+                open,
+                high: Math.max(open, close) * (1 + rand() * 0.005),
+                low: Math.min(open, close) * (1 - rand() * 0.005),
+                close,
+                volume: 100 + rand() * 900,
+                closeTime: openTime + intervalMs - 1
+            };
+            kline.takerBuyVolume = this.takerBuyVolume(kline);
+            klines.push(kline);
+        }
+
+        return klines;
+    }
+
+    /**
+     * Mock taker buy volume: a little over half of up candles, under half of down candles
+     */
+    takerBuyVolume(kline) {
+        const range = kline.high - kline.low;
+        const body = range ? (kline.close - kline.open) / range : 0;
+        return kline.volume * (0.5 + body * 0.2);
+    }
+
+    /**
+     * Deterministic relative close for the candle opening at openTime
+     */
+    priceFactor(symbol, intervalMs, openTime) {
+        const rand = this.random('close', symbol, intervalMs, openTime);
+        const trend = Math.sin(openTime / (intervalMs * 60)) * 0.05 + Math.sin(openTime / (intervalMs * 9)) * 0.01;
+        return 1 + trend + (rand() - 0.5) * 0.01;
+    }
+
+    /**
+     * Get mock 24hr tickers for every mock symbol
+     */
+    tickers() {
+        return this.exchangeInfo().symbols.map(info => this.ticker(info.symbol));
+    }
+
+    /**
+     * Get mock /exchangeInfo payload
+     */
+    exchangeInfo() {
+        const symbols = [];
+
+        for (const quoteAsset of QUOTE_ASSETS) {
+            for (const baseAsset of Object.keys(BASE_PRICES)) {
+                if (baseAsset === quoteAsset) continue;
+
+                const price = quoteAsset === 'USDT'
+                    ? BASE_PRICES[baseAsset]
+                    : BASE_PRICES[baseAsset] / BASE_PRICES[quoteAsset];
+                const tickSize = Math.pow(10, Math.floor(Math.log10(price)) - 6);
+                const stepSize = Math.pow(10, Math.min(0, 1 - Math.floor(Math.log10(BASE_PRICES[baseAsset]))));
+
+                symbols.push({
+                    symbol: `${baseAsset}${quoteAsset}`,
+                    status: 'TRADING',
+                    baseAsset,
+                    quoteAsset,
+                    baseAssetPrecision: 8,
+                    quoteAssetPrecision: 8,
+                    filters: [
+                        { filterType: 'PRICE_FILTER', minPrice: tickSize.toFixed(8), maxPrice: '1000000.00000000', tickSize: tickSize.toFixed(8) },
+                        { filterType: 'LOT_SIZE', minQty: stepSize.toFixed(8), maxQty: '900000.00000000', stepSize: stepSize.toFixed(8) },
+                        { filterType: 'NOTIONAL', minNotional: quoteAsset === 'USDT' ? '5' : '0.0001' }
+                    ]
+                });
+            }
+        }
+
+        return { timezone: 'UTC', serverTime: Date.now(), symbols };
+    }
+
+    /**
+     * Get mock klines ending at the current candle
+     */
+    klines(symbol, interval = '1h', limit = 100) {
+        const rand = this.random('klines', symbol, interval);
+        const intervalMs = this.intervalMs(interval);
+        const lastOpen = this.candleOpen(interval, Date.now());
+
+        // Walk backwards from the mock price so the last close matches price()
+        const closes = [this.price(symbol)];
+        for (let i = 1; i < limit; i++) {
+            closes.unshift(closes[0] / (1 + (rand() - 0.5) * 0.02));
+        }
+
+        return closes.map((close, i) => {
+            const open = i === 0 ? close * (1 + (rand() - 0.5) * 0.01) : closes[i - 1];
+            const openTime = lastOpen - (limit - 1 - i) * intervalMs;
+            const kline = {
+                openTime,
+                open,
+                high: Math.max(open, close) * (1 + rand() * 0.005),
+                low: Math.min(open, close) * (1 - rand() * 0.005),
+                close,
+                volume: 100 + rand() * 900,
+                closeTime: openTime + intervalMs - 1
+            };
+            kline.takerBuyVolume = this.takerBuyVolume(kline);
+            return kline;
+        });
+    }
+
+    /**
+     * Get mock futures mark price and funding
+     */
+    markPrice(symbol) {
+        const rand = this.random('markPrice', symbol);
+        const indexPrice = this.price(symbol);
+        const fundingInterval = 8 * 60 * 60 * 1000;
+
+        return {
+            symbol,
+            markPrice: indexPrice * (1 + (rand() - 0.5) * 0.001),
+            indexPrice,
+            fundingRate: (rand() - 0.4) * 0.0005,
+            interestRate: 0.0001,
+            nextFundingTime: Math.ceil(Date.now() / fundingInterval) * fundingInterval,
+            time: Date.now()
+        };
+    }
+
+    /**
+     * Get mock funding rate history, oldest first
+     */
+    fundingRates(symbol, limit = 100) {
+        const rand = this.random('fundingRates', symbol);
+        const fundingInterval = 8 * 60 * 60 * 1000;
+        const last = Math.floor(Date.now() / fundingInterval) * fundingInterval;
+        const price = this.price(symbol);
+
+        return Array.from({ length: limit }, (_, i) => ({
+            symbol,
+            fundingRate: (rand() - 0.4) * 0.0005,
+            fundingTime: last - (limit - 1 - i) * fundingInterval,
+            markPrice: price * (1 + (rand() - 0.5) * 0.05)
+        }));
+    }
+
+    /**
+     * Get mock open interest history, oldest first
+     */
+    openInterestHistory(symbol, period = '5m', limit = 30) {
+        const rand = this.random('openInterest', symbol, period);
+        const periodMs = this.intervalMs(period);
+        const last = Math.floor(Date.now() / periodMs) * periodMs;
+        const price = this.price(symbol);
+
+        let openInterest = 4000000000 / price;
+        return Array.from({ length: limit }, (_, i) => {
+            openInterest *= 1 + (rand() - 0.5) * 0.02;
+            return {
+                symbol,
+                sumOpenInterest: openInterest,
+                sumOpenInterestValue: openInterest * price,
+                timestamp: last - (limit - 1 - i) * periodMs
+            };
+        });
+    }
+
+    /**
+     * Get mock long/short ratio history, oldest first
+     */
+    longShortRatios(symbol, period = '5m', limit = 30, type = 'position') {
+        const rand = this.random('longShort', symbol, period, type);
+        const periodMs = this.intervalMs(period);
+        const last = Math.floor(Date.now() / periodMs) * periodMs;
+
+        return Array.from({ length: limit }, (_, i) => {
+            const longAccount = 0.45 + rand() * 0.15;
+            return {
+                symbol,
+                longShortRatio: longAccount / (1 - longAccount),
+                longAccount,
+                shortAccount: 1 - longAccount,
+                timestamp: last - (limit - 1 - i) * periodMs
+            };
+        });
+    }
+
+    /**
+     * Get a mock on-chain metric series, newest first like CryptoQuant
+     */
+    metric(metric, symbol = 'BTC', limit = 30) {
+        const rand = this.random('metric', metric, symbol);
+        const profile = METRIC_PROFILES[metric] || { default: 1, spread: 0.1 };
+        const level = profile[symbol] !== undefined ? profile[symbol] : profile.default;
+        const day = 24 * 60 * 60 * 1000;
+        const today = Math.floor(Date.now() / day) * day;
+
+        const values = [];
+        let value = level;
+        for (let i = 0; i < limit; i++) {
+            value = profile.drift
+                ? value * (1 + (rand() - 0.5) * profile.drift * 2)
+                : level + (rand() - 0.5) * profile.spread * 2;
+            values.push({ date: new Date(today - (limit - 1 - i) * day), value });
+        }
+
+        return values.reverse();
+    }
+
+    /**
+     * Get mock CryptoQuant exchange flow rows, newest first
+     * Same columns as the API: <flowType>_total and <flowType>_top10
+     */
+    flowRows(flowType, symbol = 'ETH', window = 'hour', limit = 192, endTime = Date.now(), exchange = 'all_exchange') {
+        const step = window === 'day' ? INTERVAL_UNITS['d'] : INTERVAL_UNITS['h'];
+        const end = Math.floor(endTime / step) * step;
+        const rows = [];
+
+        for (let i = 0; i < limit; i++) {
+            const time = end - i * step;
+            const iso = new Date(time).toISOString();
+            const row = window === 'day'
+                ? { date: iso.slice(0, 10) }
+                : { datetime: iso.slice(0, 19).replace('T', ' ') };
+
+            if (flowType === 'netflow') {
+                const inflow = this.flowPoint('inflow', symbol, step, time, exchange);
+                const outflow = this.flowPoint('outflow', symbol, step, time, exchange);
+                row.netflow_total = inflow.total - outflow.total;
+            } else {
+                const point = this.flowPoint(flowType, symbol, step, time, exchange);
+                row[`${flowType}_total`] = point.total;
+                row[`${flowType}_top10`] = point.top10;
+            }
+
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * One window of mock flow, keyed by time so overlapping requests agree
+     */
+    flowPoint(flowType, symbol, step, time, exchange = 'all_exchange') {
+        const rand = this.random('flow', flowType, symbol, step, time, exchange);
+        const hourly = FLOW_LEVELS[symbol] || FLOW_LEVELS.default;
+        const share = exchange === 'all_exchange' ? 1 : (EXCHANGE_SHARES[exchange] || EXCHANGE_SHARES.default);
+        const base = hourly * share * (step / INTERVAL_UNITS['h']) * (flowType === 'outflow' ? 1.05 : 1);
+
+        // Occasional bursts give the baseline something to flag
+        const burst = rand() < 0.03 ? 3 : 1;
+        const total = base * (0.6 + rand() * 0.8) * burst;
+
+        return { total, top10: total * (0.1 + rand() * 0.2) };
+    }
+
+    /**
+     * Interval string to milliseconds
+     */
+    intervalMs(interval) {
+        const value = parseInt(interval) || 1;
+        return value * (INTERVAL_UNITS[interval.slice(-1)] || INTERVAL_UNITS['h']);
+    }
+
+    /**
+     * Open time of the candle containing time
+     */
+    candleOpen(interval, time) {
+        const intervalMs = this.intervalMs(interval);
+        const offset = interval.endsWith('w') ? WEEK_OFFSET_MS : 0;
+        return Math.floor((time - offset) / intervalMs) * intervalMs + offset;
+    }
+}
+
+module.exports = MockData;
@@ -0,0 +1,81 @@
+/**
+ * Statistics Module
+ * Small numeric helpers for time series baselines
+ */
+
+/**
+ * Sum of values
+ */
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Arithmetic mean, 0 for an empty list
+ */
+function mean(values) {
+    return values.length ? sum(values) / values.length : 0;
+}
+
+/**
+ * Sample standard deviation
+ */
+function std(values) {
+    if (values.length < 2) return 0;
+    const average = mean(values);
+    return Math.sqrt(values.reduce((total, value) => total + Math.pow(value - average, 2), 0) / (values.length - 1));
+}
+
+/**
+ * Standard score of a value against a baseline, null when the baseline is flat
+ */
+function zScore(value, baseline) {
+    const deviation = std(baseline);
+    return deviation ? (value - mean(baseline)) / deviation : null;
+}
+
+/**
+ * Percentage of baseline values at or below value (0-100), null without a baseline
+ */
+function percentileRank(value, baseline) {
+    if (baseline.length === 0) return null;
+    return (baseline.filter(entry => entry <= value).length / baseline.length) * 100;
+}
+
+/**
+ * Value at a percentile (0-100) using linear interpolation
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Sums of every `size` consecutive values
+ */
+function rollingSums(values, size) {
+    const sums = [];
+    let running = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        running += values[i];
+        if (i >= size) running -= values[i - size];
+        if (i >= size - 1) sums.push(running);
+    }
+
+    return sums;
+}
+
+module.exports = {
+    sum,
+    mean,
+    std,
+    zScore,
+    percentileRank,
+    percentile,
+    rollingSums
+};
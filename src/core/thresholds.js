@@ -0,0 +1,85 @@
+/**
+ * Threshold Table Module
+ * Per-asset whale and critical flow thresholds, in coins or USD notional
+ *
+ * Table shape: { default: {...}, BTC: {...}, SOL: {...} } where each entry may set
+ *   whale / whaleUSD                     - typical whale transfer size
+ *   criticalInflow / criticalInflowUSD   - 24h inflow that is always critical
+ *   criticalOutflow / criticalOutflowUSD - 24h outflow that is always critical
+ *   criticalZScore                       - relative flow threshold
+ * A coin amount wins over a USD amount; USD amounts need a price to apply.
+ */
+
+const KEYS = ['whale', 'criticalInflow', 'criticalOutflow'];
+
+class ThresholdTable {
+    constructor(table = {}) {
+        this.table = table;
+    }
+
+    /**
+     * Raw entry for an asset merged over the defaults
+     * An override in either unit replaces both units of that threshold
+     */
+    get(asset, overrides = {}) {
+        const entry = { ...this.table.default, ...this.table[asset.toUpperCase()] };
+
+        for (const key of KEYS) {
+            const coin = overrides[key];
+            const usd = overrides[`${key}USD`];
+            if (coin || usd) {
+                entry[key] = coin || null;
+                entry[`${key}USD`] = usd || null;
+            }
+        }
+        if (overrides.criticalZScore) {
+            entry.criticalZScore = overrides.criticalZScore;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Thresholds in coins for an asset; USD amounts are converted with price
+     * Returns { whale, criticalInflow, criticalOutflow, criticalZScore, units }
+     * where units says whether each value came from 'coin' or 'usd' (null = unset)
+     */
+    resolve(asset, price, overrides = {}) {
+        const entry = this.get(asset, overrides);
+        const resolved = { criticalZScore: entry.criticalZScore || null, units: {} };
+
+        for (const key of KEYS) {
+            if (entry[key] !== undefined && entry[key] !== null) {
+                resolved[key] = entry[key];
+                resolved.units[key] = 'coin';
+            } else if (entry[`${key}USD`] && price > 0) {
+                resolved[key] = entry[`${key}USD`] / price;
+                resolved.units[key] = 'usd';
+            } else {
+                resolved[key] = null;
+                resolved.units[key] = null;
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check if resolving an asset needs a price
+     */
+    needsPrice(asset, overrides = {}) {
+        const entry = this.get(asset, overrides);
+        return KEYS.some(key => (entry[key] === undefined || entry[key] === null) && entry[`${key}USD`]);
+    }
+
+    /**
+     * Assets with their own entry
+     */
+    assets() {
+        return Object.keys(this.table).filter(asset => asset !== 'default');
+    }
+}
+
+ThresholdTable.KEYS = KEYS;
+
+module.exports = ThresholdTable;
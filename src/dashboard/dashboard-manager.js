@@ -3,16 +3,20 @@
  */
 
 const EventEmitter = require('events');
+const DataSource = require('../core/data-source');
+const TechnicalAnalyzer = require('../monitors/technical-analyzer');
 
 class DashboardManager extends EventEmitter {
     constructor(config = {}) {
         super();
         this.config = config;
         this.logger = config.logger;
+        this.dataSource = config.dataSource || new DataSource({ logger: config.logger });
         this.dashboard = null;
         this.updateInterval = null;
         this.symbols = [];
         this.data = new Map();
+        this.balances = new Map();
     }
 
     /**
@@ -21,7 +25,12 @@ class DashboardManager extends EventEmitter {
     async start(symbols = [], options = {}) {
         this.symbols = symbols;
         this.binance = options.binance;
-        this.cryptoQuant = options.cryptoQuant;
+        this.flowProvider = options.flowProvider || null;
+        this.technicalAnalyzer = options.technicalAnalyzer || new TechnicalAnalyzer({
+            binance: this.binance,
+            dataSource: this.dataSource,
+            logger: this.logger
+        });
 
         // Initialize data storage
         symbols.forEach(symbol => {
@@ -70,6 +79,8 @@ class DashboardManager extends EventEmitter {
     async update() {
         const updates = [];
 
+        await this.updateBalances();
+
         for (const symbol of this.symbols) {
             try {
                 const update = await this.getSymbolData(symbol);
@@ -92,6 +103,24 @@ class DashboardManager extends EventEmitter {
         this.render();
     }
 
+    /**
+     * Refresh own account balances (requires signed Binance access)
+     */
+    async updateBalances() {
+        if (!this.binance || !this.binance.hasCredentials() || this.dataSource.isMock()) {
+            return;
+        }
+
+        try {
+            const balances = await this.binance.getBalances();
+            this.balances = new Map(balances.map(b => [b.asset, b]));
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('Failed to update balances:', error);
+            }
+        }
+    }
+
     /**
      * Get symbol data
      */
@@ -103,45 +132,28 @@ class DashboardManager extends EventEmitter {
             volume: 0,
             rsi: 50,
             flows: null,
+            position: this.balances.get(symbol.replace('USDT', '')) || null,
             lastUpdate: new Date()
         };
 
-        // Get price data
-        if (this.binance) {
-            try {
-                const [price, ticker] = await Promise.all([
-                    this.binance.getPrice(symbol),
-                    this.binance.get24hrTicker(symbol)
-                ]);
-
-                data.price = price;
-                data.change24h = parseFloat(ticker.priceChangePercent);
-                data.volume = parseFloat(ticker.volume) * price;
-            } catch (error) {
-                // Use mock data on error
-                data.price = this.getMockPrice(symbol);
-                data.change24h = (Math.random() - 0.5) * 10;
-                data.volume = Math.random() * 10000000;
-            }
-        } else {
-            // Use mock data
-            data.price = this.getMockPrice(symbol);
-            data.change24h = (Math.random() - 0.5) * 10;
-            data.volume = Math.random() * 10000000;
-        }
-
-        // Get RSI (simplified)
-        data.rsi = 50 + (Math.random() - 0.5) * 40;
-
-        // Get exchange flows for ETH/BTC
-        if (this.cryptoQuant && (symbol.includes('BTC') || symbol.includes('ETH'))) {
+        // Get price data and RSI
+        const analysis = await this.technicalAnalyzer.analyze(symbol);
+        data.price = analysis.currentPrice;
+        data.change24h = analysis.change24h;
+        data.volume = analysis.volume24h;
+        data.rsi = analysis.rsi;
+        data.source = analysis.source;
+
+        // Get exchange flows for assets the provider covers
+        const cryptoSymbol = symbol.replace('USDT', '');
+        if (this.flowProvider && this.flowProvider.supports({ flowTypes: ['netflow'], asset: cryptoSymbol })) {
             try {
-                const cryptoSymbol = symbol.replace('USDT', '');
-                const flows = await this.cryptoQuant.getExchangeFlow('netflow', {
+                const flows = await this.flowProvider.getExchangeFlow('netflow', {
                     symbol: cryptoSymbol,
                     exchange: 'all_exchange'
                 });
                 data.flows = flows;
+                data.source = this.dataSource.combine(data.source, flows.source);
             } catch (error) {
                 // Ignore flow errors
             }
@@ -160,11 +172,14 @@ class DashboardManager extends EventEmitter {
         console.log('═══════════════════════════════════════════════════════════════');
         console.log('                    BINANCE WHALE TRACKER                      ');
         console.log('═══════════════════════════════════════════════════════════════');
+        if (this.dataSource.isMock()) {
+            console.log('\x1b[33m            MOCK DATA MODE - prices are not real\x1b[0m');
+        }
         console.log('');
 
         // Header
-        console.log('Symbol\t\tPrice\t\t24h %\t\tVolume\t\tRSI');
-        console.log('─'.repeat(65));
+        console.log('Symbol\t\tPrice\t\t24h %\t\tVolume\t\tRSI\tHolding');
+        console.log('─'.repeat(75));
 
         // Data rows
         for (const [symbol, data] of this.data.entries()) {
@@ -176,12 +191,14 @@ class DashboardManager extends EventEmitter {
                 `$${data.price.toFixed(2).padEnd(12)}` +
                 `${changeColor}${data.change24h.toFixed(2)}%${resetColor}`.padEnd(20) +
                 `$${this.formatNumber(data.volume).padEnd(10)}` +
-                `${data.rsi.toFixed(1)}`
+                `${data.rsi.toFixed(1).padEnd(8)}` +
+                `${(data.position ? this.formatNumber(data.position.total) : '-').padEnd(10)}` +
+                `${data.source === 'mock' ? '\x1b[33m[MOCK]\x1b[0m' : ''}`
             );
         }
 
         console.log('');
-        console.log('─'.repeat(65));
+        console.log('─'.repeat(75));
         console.log(`Last Update: ${new Date().toLocaleTimeString()}`);
         console.log('Press Ctrl+C to exit');
     }
@@ -196,19 +213,6 @@ class DashboardManager extends EventEmitter {
         return num.toFixed(2);
     }
 
-    /**
-     * Get mock price
-     */
-    getMockPrice(symbol) {
-        const prices = {
-            'BTCUSDT': 50000,
-            'ETHUSDT': 3000,
-            'BNBUSDT': 400,
-            'SOLUSDT': 150
-        };
-        return prices[symbol] || 100;
-    }
-
     /**
      * Get dashboard status
      */
@@ -7,15 +7,27 @@ const EventEmitter = require('events');
 const Config = require('./core/config');
 const Logger = require('./core/logger');
 const ErrorHandler = require('./core/error-handler');
+const { ConfigurationError } = require('./core/error-handler');
+const DataSource = require('./core/data-source');
 
 // API Clients
 const BinanceAPI = require('./api/binance-api');
 const CryptoQuantClient = require('./api/cryptoquant-client');
+const StreamManager = require('./api/stream-manager');
+const RequestScheduler = require('./api/request-scheduler');
+const OrderBook = require('./api/order-book');
+const SymbolRegistry = require('./api/symbol-registry');
+const BinanceFuturesAPI = require('./api/binance-futures-api');
+const KlineHistory = require('./api/kline-history');
+const KlineStore = require('./core/kline-store');
 
 // Monitors
 const TechnicalAnalyzer = require('./monitors/technical-analyzer');
 const ExchangeFlowMonitor = require('./monitors/exchange-flow-monitor');
 const PriceMonitor = require('./monitors/price-monitor');
+const OrderBookMonitor = require('./monitors/order-book-monitor');
+const TradeTapeMonitor = require('./monitors/trade-tape-monitor');
+const FuturesMonitor = require('./monitors/futures-monitor');
 
 // Alert System
 const AlertManager = require('./alerts/alert-manager');
@@ -24,6 +36,31 @@ const TelegramNotifier = require('./alerts/telegram-notifier');
 // Dashboard
 const DashboardManager = require('./dashboard/dashboard-manager');
 
+// Indicator, pattern and price level libraries
+const indicators = require('./indicators');
+const patterns = require('./patterns');
+const levels = require('./levels');
+
+// Signal strategies
+const Strategy = require('./strategies/strategy');
+const DefaultStrategy = require('./strategies/default-strategy');
+const RuleStrategy = require('./strategies/rule-strategy');
+const StrategyRegistry = require('./strategies/strategy-registry');
+
+// Backtesting
+const Backtester = require('./backtest/backtester');
+const performance = require('./backtest/performance');
+
+// Market scanning
+const MarketScanner = require('./scanner/market-scanner');
+const scannerFilters = require('./scanner/filters');
+
+// On-chain flow providers
+const FlowProvider = require('./providers/flow-provider');
+const ProviderRegistry = require('./providers/provider-registry');
+const CryptoQuantProvider = require('./providers/cryptoquant-provider');
+const ReplayFlowProvider = require('./providers/replay-provider');
+
 /**
  * Main WhaleTracker class
  * Provides unified interface for all tracking features
@@ -36,15 +73,26 @@ class WhaleTracker extends EventEmitter {
         this.config = new Config(userConfig);
         this.logger = new Logger(this.config.get('logging'));
         this.errorHandler = new ErrorHandler(this.logger);
+        this.dataSource = new DataSource({
+            ...this.config.get('dataSource'),
+            logger: this.logger
+        });
 
         // Initialize API clients
         this.binance = null;
         this.cryptoQuant = null;
+        this.flowProviders = null;
+        this.flowProvider = null;
+        this.strategies = null;
 
         // Initialize monitors
         this.technicalAnalyzer = null;
         this.exchangeFlowMonitor = null;
         this.priceMonitor = null;
+        this.orderBookMonitor = null;
+        this.tradeTapeMonitor = null;
+        this.backtester = null;
+        this.scanner = null;
 
         // Initialize alert system
         this.alertManager = null;
@@ -66,39 +114,159 @@ class WhaleTracker extends EventEmitter {
         try {
             this.logger.info('Initializing Whale Tracker...');
 
+            this.logger.info(`Data source mode: ${this.dataSource.mode}`);
+
             // Initialize API clients
+            const httpConfig = {
+                ...this.config.get('http'),
+                dataSource: this.dataSource,
+                logger: this.logger
+            };
+
+            // Market data endpoints are public, so Binance works without keys
             const binanceConfig = this.config.get('binance');
-            if (binanceConfig.apiKey) {
-                this.binance = new BinanceAPI(binanceConfig);
-                await this.binance.initialize();
-                this.logger.info('Binance API initialized');
+            this.binance = new BinanceAPI({ ...binanceConfig, ...httpConfig });
+            await this.binance.initialize();
+            this.logger.info('Binance API initialized');
+
+            // USD-M futures market data is public as well
+            this.futures = new BinanceFuturesAPI({ testnet: binanceConfig.testnet, ...httpConfig });
+
+            // Cached kline history for long lookbacks
+            const klineCacheConfig = this.config.get('klineCache');
+            if (klineCacheConfig.enabled) {
+                this.klineHistory = new KlineHistory({
+                    binance: this.binance,
+                    dir: klineCacheConfig.dir,
+                    logger: this.logger
+                });
+            }
+
+            this.symbols = new SymbolRegistry({
+                binance: this.binance,
+                logger: this.logger,
+                ...this.config.get('symbols')
+            });
+            try {
+                await this.symbols.start();
+                this.logger.info(`Loaded ${this.symbols.symbols.size} symbols`);
+            } catch (error) {
+                this.logger.warn(`Symbol registry unavailable, skipping symbol validation: ${error.message}`);
             }
 
             const cryptoQuantConfig = this.config.get('cryptoquant');
-            if (cryptoQuantConfig.apiKey) {
-                this.cryptoQuant = new CryptoQuantClient(cryptoQuantConfig.apiKey);
+            if (cryptoQuantConfig.apiKey || this.dataSource.isMock()) {
+                this.cryptoQuant = new CryptoQuantClient(cryptoQuantConfig.apiKey, {
+                    ...httpConfig,
+                    thresholds: this.config.get('thresholds')
+                });
                 this.logger.info('CryptoQuant API initialized');
             }
 
+            // On-chain flow providers; FLOW_PROVIDER picks one, else the first that serves flows
+            const flowProviderConfig = this.config.get('flowProvider');
+            this.flowProviders = new ProviderRegistry({ logger: this.logger });
+            if (this.cryptoQuant) {
+                this.flowProviders.register(new CryptoQuantProvider({ client: this.cryptoQuant, logger: this.logger }));
+            }
+            if (flowProviderConfig.replayFile) {
+                this.flowProviders.register(new ReplayFlowProvider({
+                    file: flowProviderConfig.replayFile,
+                    dataSource: this.dataSource,
+                    thresholds: this.config.get('thresholds'),
+                    logger: this.logger
+                }));
+            }
+            await this.flowProviders.initialize();
+            this.flowProvider = this.flowProviders.resolve(flowProviderConfig.name, { flowTypes: ['inflow', 'outflow'] });
+            if (this.flowProvider) {
+                this.logger.info(`Using ${this.flowProvider.name} flow provider`);
+            }
+
             // Initialize monitors
+            this.exchangeFlowMonitor = new ExchangeFlowMonitor({
+                dataSource: this.dataSource,
+                provider: this.flowProvider,
+                binance: this.binance,
+                thresholds: this.config.get('thresholds'),
+                onChain: this.config.get('onChain'),
+                logger: this.logger,
+                ...this.config.get('exchangeFlow')
+            });
+
+            // Signal strategies: the built-in default plus configured rule sets and modules
+            const strategyConfig = this.config.get('strategies');
+            this.strategies = new StrategyRegistry({ logger: this.logger });
+            this.strategies.register(new DefaultStrategy({
+                onChainWeight: this.config.get('onChain').signalWeight,
+                flowWeights: this.config.get('flowSignal'),
+                patternWeight: this.config.get('patterns').signalWeight
+            }));
+            strategyConfig.rules.forEach(definition => this.strategies.register(definition));
+            for (const file of strategyConfig.files) {
+                await this.strategies.load(file);
+            }
+
             this.technicalAnalyzer = new TechnicalAnalyzer({
+                dataSource: this.dataSource,
                 binance: this.binance,
                 cryptoQuant: this.cryptoQuant,
+                futures: this.futures,
+                klineHistory: this.klineHistory,
+                flowMonitor: this.flowProvider ? this.exchangeFlowMonitor : undefined,
+                strategies: this.strategies,
+                onChain: this.config.get('onChain'),
+                flowSignal: this.config.get('flowSignal'),
+                patterns: this.config.get('patterns'),
+                levels: this.config.get('levels'),
+                sessionVolume: this.config.get('sessionVolume'),
                 logger: this.logger
             });
 
-            this.exchangeFlowMonitor = new ExchangeFlowMonitor({
-                cryptoQuant: this.cryptoQuant,
+            this.backtester = new Backtester({
+                dataSource: this.dataSource,
+                analyzer: this.technicalAnalyzer,
+                klineHistory: this.klineHistory,
+                flowMonitor: this.flowProvider ? this.exchangeFlowMonitor : undefined,
                 logger: this.logger,
-                ...this.config.get('exchangeFlow')
+                ...this.config.get('backtest')
+            });
+
+            this.scanner = new MarketScanner({
+                dataSource: this.dataSource,
+                binance: this.binance,
+                symbols: this.symbols,
+                analyzer: this.technicalAnalyzer,
+                logger: this.logger,
+                ...this.config.get('scanner')
             });
 
             this.priceMonitor = new PriceMonitor({
+                dataSource: this.dataSource,
                 binance: this.binance,
                 logger: this.logger,
                 ...this.config.get('priceMonitor')
             });
 
+            this.orderBookMonitor = new OrderBookMonitor({
+                binance: this.binance,
+                logger: this.logger,
+                ...this.config.get('orderBook')
+            });
+
+            this.tradeTapeMonitor = new TradeTapeMonitor({
+                binance: this.binance,
+                logger: this.logger,
+                ...this.config.get('tradeTape')
+            });
+
+            this.futuresMonitor = new FuturesMonitor({
+                dataSource: this.dataSource,
+                futures: this.futures,
+                logger: this.logger,
+                ...this.config.get('futures')
+            });
+
             // Initialize alert system
             this.alertManager = new AlertManager({
                 logger: this.logger,
@@ -133,6 +301,7 @@ class WhaleTracker extends EventEmitter {
         this._checkInitialized();
 
         try {
+            symbol = this.symbols.validate(symbol);
             this.logger.info(`Starting monitoring for ${symbol}`, options);
 
             const monitorConfig = {
@@ -147,7 +316,7 @@ class WhaleTracker extends EventEmitter {
             }
 
             // Start exchange flow monitoring
-            if (options.exchangeFlow !== false && this.cryptoQuant) {
+            if (options.exchangeFlow !== false && this.flowProvider) {
                 await this.exchangeFlowMonitor.startMonitoring(symbol, monitorConfig);
             }
 
@@ -156,6 +325,21 @@ class WhaleTracker extends EventEmitter {
                 await this.priceMonitor.startMonitoring(symbol, monitorConfig);
             }
 
+            // Start local order book (opt-in, needs live streams)
+            if (options.orderBook && this.binance && !this.dataSource.isMock()) {
+                await this.orderBookMonitor.startMonitoring(symbol, monitorConfig);
+            }
+
+            // Start trade tape whale detection (opt-in, needs live streams)
+            if (options.tradeTape && this.binance && !this.dataSource.isMock()) {
+                await this.tradeTapeMonitor.startMonitoring(symbol, monitorConfig);
+            }
+
+            // Start funding and liquidation monitoring (opt-in, perpetuals)
+            if (options.futures && this.futures) {
+                await this.futuresMonitor.startMonitoring(symbol, monitorConfig);
+            }
+
             this.activeMonitors.set(symbol, monitorConfig);
             this.emit('monitoring_started', { symbol, config: monitorConfig });
 
@@ -178,12 +362,16 @@ class WhaleTracker extends EventEmitter {
         this._checkInitialized();
 
         try {
+            symbol = this.symbols.normalizeInput(symbol);
             this.logger.info(`Stopping monitoring for ${symbol}`);
 
             // Stop all monitors for this symbol
             await this.technicalAnalyzer.stopAnalysis(symbol);
             await this.exchangeFlowMonitor.stopMonitoring(symbol);
             await this.priceMonitor.stopMonitoring(symbol);
+            await this.orderBookMonitor.stopMonitoring(symbol);
+            await this.tradeTapeMonitor.stopMonitoring(symbol);
+            await this.futuresMonitor.stopMonitoring(symbol);
 
             this.activeMonitors.delete(symbol);
             this.emit('monitoring_stopped', { symbol });
@@ -206,6 +394,7 @@ class WhaleTracker extends EventEmitter {
         this._checkInitialized();
 
         try {
+            symbol = this.symbols.validate(symbol);
             this.logger.info(`Analyzing ${symbol}`, options);
 
             const analysis = await this.technicalAnalyzer.analyze(symbol, options);
@@ -224,14 +413,138 @@ class WhaleTracker extends EventEmitter {
         }
     }
 
+    /**
+     * Register a signal strategy - a Strategy, { name, evaluate } or a { name, rules } rule set
+     */
+    registerStrategy(definition) {
+        this._checkInitialized();
+        return this.strategies.register(definition);
+    }
+
+    /**
+     * Load a signal strategy from a .json rule set or a JS module
+     */
+    async loadStrategy(file) {
+        this._checkInitialized();
+        return this.strategies.load(file);
+    }
+
+    /**
+     * List registered signal strategies
+     */
+    listStrategies() {
+        this._checkInitialized();
+        return this.strategies.list();
+    }
+
+    /**
+     * Backtest a signal strategy on historical klines (and optionally flows)
+     * options: { interval, days | startTime/endTime, strategy, indicators, flows, patterns,
+     *   capital, feeRate, slippage, allowShort, minStrength, stopLoss, takeProfit }
+     */
+    async backtest(symbol, options = {}) {
+        this._checkInitialized();
+
+        try {
+            symbol = this.symbols.validate(symbol);
+            this.logger.info(`Backtesting ${symbol}`, options);
+
+            return await this.backtester.run(symbol, options);
+
+        } catch (error) {
+            this.errorHandler.handleError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Scan all pairs of a quote asset, analyze the busiest ones and rank those passing the filters
+     * options: { quoteAsset, interval, period, strategy, minQuoteVolume, limit, concurrency,
+     *   filters (see scanner.filters), sortBy }
+     */
+    async scanMarket(options = {}) {
+        this._checkInitialized();
+
+        try {
+            this.logger.info('Scanning market', { quoteAsset: options.quoteAsset, interval: options.interval });
+            return await this.scanner.scan(options);
+
+        } catch (error) {
+            this.errorHandler.handleError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get metadata for a symbol (tick size, lot size, min notional)
+     */
+    getSymbolInfo(symbol) {
+        this._checkInitialized();
+        return this.symbols.get(this.symbols.validate(symbol));
+    }
+
+    /**
+     * List tradable symbols, optionally filtered by quote/base asset
+     */
+    async getSymbols(filter = {}) {
+        this._checkInitialized();
+        await this.symbols.ensureLoaded();
+        return this.symbols.list(filter);
+    }
+
+    /**
+     * Get the most traded symbols by 24h quote volume
+     */
+    async getTopSymbols(options = {}) {
+        this._checkInitialized();
+
+        const quoteAsset = options.quoteAsset || 'USDT';
+        const limit = options.limit || 10;
+
+        await this.symbols.ensureLoaded();
+        const tradable = new Set(this.symbols.list({ quoteAsset }).map(info => info.symbol));
+        const tickers = await this.binance.get24hrTickers();
+
+        return tickers
+            .filter(ticker => tradable.has(ticker.symbol))
+            .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
+            .slice(0, limit)
+            .map(ticker => ticker.symbol);
+    }
+
+    /**
+     * Backfill historical klines into the local cache
+     * options: { startTime, endTime } or { days }
+     */
+    async backfillKlines(symbol, interval = '1h', options = {}) {
+        this._checkInitialized();
+
+        if (!this.klineHistory) {
+            throw new ConfigurationError('Kline cache is disabled', 'klineCache.enabled');
+        }
+
+        try {
+            symbol = this.symbols.validate(symbol);
+            const endTime = options.endTime || Date.now();
+            const startTime = options.startTime || endTime - (options.days || 30) * 24 * 60 * 60 * 1000;
+
+            this.logger.info(`Backfilling ${symbol} ${interval}`, { startTime, endTime });
+            return await this.klineHistory.backfill(symbol, interval, { startTime, endTime });
+
+        } catch (error) {
+            this.errorHandler.handleError(error);
+            throw error;
+        }
+    }
+
     /**
      * Get exchange flows for a symbol
      */
     async getExchangeFlows(symbol = 'ETH', options = {}) {
         this._checkInitialized();
 
-        if (!this.cryptoQuant) {
-            throw new Error('CryptoQuant API not configured');
+        if (!this.flowProvider) {
+            throw new ConfigurationError('No flow provider configured', 'flowProvider.name');
         }
 
         try {
@@ -253,6 +566,53 @@ class WhaleTracker extends EventEmitter {
         }
     }
 
+    /**
+     * Get an asset's whale and critical flow thresholds in coins
+     * options: { whaleThreshold, whaleThresholdUSD, criticalInflow(USD), criticalOutflow(USD) }
+     */
+    async getThresholds(symbol, options = {}) {
+        this._checkInitialized();
+        return this.exchangeFlowMonitor.getThresholds(symbol, options);
+    }
+
+    /**
+     * Get exchange flows split by venue, ranked by net balance
+     * options: { exchanges, window, from, to, lookback }
+     */
+    async getExchangeBreakdown(symbol = 'ETH', options = {}) {
+        this._checkInitialized();
+
+        if (!this.flowProvider) {
+            throw new ConfigurationError('No flow provider configured', 'flowProvider.name');
+        }
+
+        try {
+            this.logger.info(`Getting exchange breakdown for ${symbol}`, options);
+            return await this.exchangeFlowMonitor.getExchangeBreakdown(symbol, options);
+        } catch (error) {
+            this.errorHandler.handleError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get own account balances (requires Binance API key and secret)
+     */
+    async getBalances(options = {}) {
+        this._checkInitialized();
+
+        if (!this.binance || !this.binance.hasCredentials()) {
+            throw new ConfigurationError('Binance API credentials not configured', 'binance.apiKey');
+        }
+
+        try {
+            return await this.binance.getBalances(options);
+        } catch (error) {
+            this.errorHandler.handleError(error);
+            throw error;
+        }
+    }
+
     /**
      * Add a price alert
      */
@@ -260,6 +620,7 @@ class WhaleTracker extends EventEmitter {
         this._checkInitialized();
 
         try {
+            symbol = this.symbols.validate(symbol);
             this.logger.info(`Adding alert for ${symbol} at ${price} (${type})`, options);
 
             const alert = await this.alertManager.addAlert({
@@ -312,18 +673,21 @@ class WhaleTracker extends EventEmitter {
         this._checkInitialized();
 
         try {
+            symbols = symbols.map(symbol => this.symbols.validate(symbol));
             this.logger.info('Starting dashboard', { symbols, options });
 
             if (!this.dashboard) {
                 this.dashboard = new DashboardManager({
                     logger: this.logger,
+                    dataSource: this.dataSource,
                     ...this.config.get('dashboard')
                 });
             }
 
             await this.dashboard.start(symbols, {
                 binance: this.binance,
-                cryptoQuant: this.cryptoQuant,
+                flowProvider: this.flowProvider,
+                technicalAnalyzer: this.technicalAnalyzer,
                 ...options
             });
 
@@ -370,9 +734,12 @@ class WhaleTracker extends EventEmitter {
             initialized: this.isInitialized,
             activeMonitors: Array.from(this.activeMonitors.keys()),
             activeAlerts: this.activeAlerts.size,
+            dataMode: this.dataSource.mode,
             apis: {
                 binance: !!this.binance,
+                futures: !!this.futures,
                 cryptoQuant: !!this.cryptoQuant,
+                flowProvider: this.flowProvider ? this.flowProvider.name : null,
                 telegram: !!this.telegramNotifier
             },
             dashboard: this.dashboard ? 'running' : 'stopped'
@@ -397,7 +764,9 @@ class WhaleTracker extends EventEmitter {
             }
 
             // Cleanup
+            if (this.symbols) this.symbols.stop();
             if (this.binance) await this.binance.cleanup();
+            if (this.futures) await this.futures.cleanup();
             if (this.telegramNotifier) await this.telegramNotifier.cleanup();
 
             this.emit('shutdown');
@@ -428,11 +797,16 @@ class WhaleTracker extends EventEmitter {
         if (this.exchangeFlowMonitor) {
             this.exchangeFlowMonitor.on('whale_detected', (whale) => {
                 this.emit('whale_detected', whale);
+                this._notifyWhale(whale);
             });
 
             this.exchangeFlowMonitor.on('flow_alert', (alert) => {
                 this.emit('flow_alert', alert);
             });
+
+            this.exchangeFlowMonitor.on('exchange_breakdown', (update) => {
+                this.emit('exchange_breakdown', update);
+            });
         }
 
         // Forward price monitor events
@@ -446,6 +820,38 @@ class WhaleTracker extends EventEmitter {
             });
         }
 
+        // Forward trade tape events
+        if (this.tradeTapeMonitor) {
+            this.tradeTapeMonitor.on('whale_detected', (whale) => {
+                this.emit('whale_detected', whale);
+                this._notifyWhale(whale);
+            });
+        }
+
+        // Forward order book events
+        if (this.orderBookMonitor) {
+            this.orderBookMonitor.on('whale_wall', (wall) => {
+                this.emit('whale_wall', wall);
+            });
+
+            this.orderBookMonitor.on('whale_wall_removed', (wall) => {
+                this.emit('whale_wall_removed', wall);
+            });
+        }
+
+        // Forward futures events
+        if (this.futuresMonitor) {
+            this.futuresMonitor.on('funding_spike', (spike) => {
+                this.emit('funding_spike', spike);
+                this._notifyWhale(spike);
+            });
+
+            this.futuresMonitor.on('liquidation', (liquidation) => {
+                this.emit('liquidation', liquidation);
+                this._notifyWhale(liquidation);
+            });
+        }
+
         // Forward alert manager events
         if (this.alertManager) {
             this.alertManager.on('alert_triggered', (alert) => {
@@ -454,6 +860,17 @@ class WhaleTracker extends EventEmitter {
         }
     }
 
+    /**
+     * Send whale detections to Telegram
+     */
+    _notifyWhale(whale) {
+        if (!this.telegramNotifier) return;
+
+        this.telegramNotifier.send(whale).catch((error) => {
+            this.logger.error('Failed to send whale notification:', error);
+        });
+    }
+
     /**
      * Check if initialized
      */
@@ -470,16 +887,30 @@ module.exports = {
     Config,
     Logger,
     ErrorHandler,
+    DataSource,
+    KlineStore,
+    indicators,
+    patterns,
+    levels,
 
     // Export individual components for advanced usage
     api: {
         BinanceAPI,
-        CryptoQuantClient
+        CryptoQuantClient,
+        StreamManager,
+        RequestScheduler,
+        OrderBook,
+        SymbolRegistry,
+        BinanceFuturesAPI,
+        KlineHistory
     },
     monitors: {
         TechnicalAnalyzer,
         ExchangeFlowMonitor,
-        PriceMonitor
+        PriceMonitor,
+        OrderBookMonitor,
+        TradeTapeMonitor,
+        FuturesMonitor
     },
     alerts: {
         AlertManager,
@@ -487,6 +918,26 @@ module.exports = {
     },
     dashboard: {
         DashboardManager
+    },
+    strategies: {
+        Strategy,
+        DefaultStrategy,
+        RuleStrategy,
+        StrategyRegistry
+    },
+    backtest: {
+        Backtester,
+        performance
+    },
+    scanner: {
+        MarketScanner,
+        filters: scannerFilters
+    },
+    providers: {
+        FlowProvider,
+        ProviderRegistry,
+        CryptoQuantProvider,
+        ReplayFlowProvider
     }
 };
 
@@ -0,0 +1,33 @@
+/**
+ * Indicator Library
+ * Full-series technical indicators with proper warm-up. Every indicator
+ * returns { value, series } (see ./series); price indicators take an array
+ * of numbers, bar indicators take klines ({ openTime, high, low, close, volume })
+ */
+
+const { sma, ema, wma, smaSeries, emaSeries, wmaSeries, wilderSeries } = require('./moving-averages');
+const { rsi, macd, stochastic } = require('./momentum');
+const { bollinger, atr, trueRangeSeries } = require('./volatility');
+const { obv, vwap } = require('./volume');
+const { adx } = require('./trend');
+
+module.exports = {
+    sma,
+    ema,
+    wma,
+    rsi,
+    macd,
+    bollinger,
+    atr,
+    stochastic,
+    obv,
+    vwap,
+    adx,
+
+    // Raw series helpers for building further indicators
+    smaSeries,
+    emaSeries,
+    wmaSeries,
+    wilderSeries,
+    trueRangeSeries
+};
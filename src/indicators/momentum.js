@@ -0,0 +1,76 @@
+/**
+ * Momentum Indicators Module
+ * RSI, MACD and Stochastic
+ */
+
+const { empty, result, results, checkPeriod } = require('./series');
+const { smaSeries, emaSeries, wilderSeries } = require('./moving-averages');
+
+/**
+ * Relative Strength Index with Wilder smoothing, first value at period
+ * A flat market reads 50, a market without losses 100
+ */
+function rsi(values, period = 14) {
+    checkPeriod(period);
+    const gains = empty(values.length);
+    const losses = empty(values.length);
+
+    for (let i = 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        gains[i] = Math.max(change, 0);
+        losses[i] = Math.max(-change, 0);
+    }
+
+    const averageGain = wilderSeries(gains, period);
+    const averageLoss = wilderSeries(losses, period);
+
+    return result(averageGain.map((gain, i) => {
+        const loss = averageLoss[i];
+        if (gain === null || loss === null) return null;
+        if (loss === 0) return gain === 0 ? 50 : 100;
+        return 100 - 100 / (1 + gain / loss);
+    }));
+}
+
+/**
+ * MACD: fast EMA - slow EMA, with a signal EMA over the MACD line itself
+ * The line starts at slow - 1, the signal and histogram at slow + signal - 2
+ */
+function macd(values, { fast = 12, slow = 26, signal = 9 } = {}) {
+    const fastSeries = emaSeries(values, fast);
+    const slowSeries = emaSeries(values, slow);
+
+    const line = fastSeries.map((value, i) =>
+        (value === null || slowSeries[i] === null ? null : value - slowSeries[i]));
+    const signalLine = emaSeries(line, signal);
+    const histogram = line.map((value, i) =>
+        (value === null || signalLine[i] === null ? null : value - signalLine[i]));
+
+    return results({ macd: line, signal: signalLine, histogram });
+}
+
+/**
+ * Stochastic oscillator over klines
+ * %K = close within the period's high-low range (50 when the range is flat),
+ * smoothed over `smoothing` bars; %D = SMA of %K over `signal` bars
+ */
+function stochastic(klines, { period = 14, smoothing = 3, signal = 3 } = {}) {
+    checkPeriod(period);
+    const raw = empty(klines.length);
+
+    for (let i = period - 1; i < klines.length; i++) {
+        const window = klines.slice(i - period + 1, i + 1);
+        const highest = Math.max(...window.map(k => k.high));
+        const lowest = Math.min(...window.map(k => k.low));
+        raw[i] = highest === lowest ? 50 : ((klines[i].close - lowest) / (highest - lowest)) * 100;
+    }
+
+    const k = smoothing > 1 ? smaSeries(raw, smoothing) : raw;
+    return results({ k, d: smaSeries(k, signal) });
+}
+
+module.exports = {
+    rsi,
+    macd,
+    stochastic
+};
@@ -0,0 +1,125 @@
+/**
+ * Moving Averages Module
+ * SMA, EMA, WMA and Wilder smoothing over number series
+ */
+
+const { empty, afterWarmUp, result, checkPeriod } = require('./series');
+
+/**
+ * Simple moving average series, first value at period - 1
+ */
+function smaSeries(values, period) {
+    checkPeriod(period);
+    return afterWarmUp(values, (data) => {
+        const series = empty(data.length);
+        let sum = 0;
+
+        for (let i = 0; i < data.length; i++) {
+            sum += data[i];
+            if (i >= period) sum -= data[i - period];
+            if (i >= period - 1) series[i] = sum / period;
+        }
+
+        return series;
+    });
+}
+
+/**
+ * Exponential moving average series seeded with the SMA of the first period
+ * values, so the first value is at period - 1
+ */
+function emaSeries(values, period) {
+    checkPeriod(period);
+    const k = 2 / (period + 1);
+
+    return afterWarmUp(values, (data) => {
+        const series = empty(data.length);
+        if (data.length < period) return series;
+
+        let ema = data.slice(0, period).reduce((total, value) => total + value, 0) / period;
+        series[period - 1] = ema;
+
+        for (let i = period; i < data.length; i++) {
+            ema = (data[i] - ema) * k + ema;
+            series[i] = ema;
+        }
+
+        return series;
+    });
+}
+
+/**
+ * Linearly weighted moving average series (newest value weighs period)
+ */
+function wmaSeries(values, period) {
+    checkPeriod(period);
+    const divisor = (period * (period + 1)) / 2;
+
+    return afterWarmUp(values, (data) => {
+        const series = empty(data.length);
+
+        for (let i = period - 1; i < data.length; i++) {
+            let weighted = 0;
+            for (let j = 0; j < period; j++) {
+                weighted += data[i - period + 1 + j] * (j + 1);
+            }
+            series[i] = weighted / divisor;
+        }
+
+        return series;
+    });
+}
+
+/**
+ * Wilder smoothing (RMA): seeded with the SMA of the first period values,
+ * then prev + (value - prev) / period
+ */
+function wilderSeries(values, period) {
+    checkPeriod(period);
+
+    return afterWarmUp(values, (data) => {
+        const series = empty(data.length);
+        if (data.length < period) return series;
+
+        let average = data.slice(0, period).reduce((total, value) => total + value, 0) / period;
+        series[period - 1] = average;
+
+        for (let i = period; i < data.length; i++) {
+            average = (average * (period - 1) + data[i]) / period;
+            series[i] = average;
+        }
+
+        return series;
+    });
+}
+
+/**
+ * Simple moving average
+ */
+function sma(values, period = 20) {
+    return result(smaSeries(values, period));
+}
+
+/**
+ * Exponential moving average
+ */
+function ema(values, period = 20) {
+    return result(emaSeries(values, period));
+}
+
+/**
+ * Weighted moving average
+ */
+function wma(values, period = 20) {
+    return result(wmaSeries(values, period));
+}
+
+module.exports = {
+    smaSeries,
+    emaSeries,
+    wmaSeries,
+    wilderSeries,
+    sma,
+    ema,
+    wma
+};
@@ -0,0 +1,76 @@
+/**
+ * Indicator Series Helpers
+ * Every indicator returns { value, series }: series is aligned with the
+ * input (null while the indicator warms up) and value is its last entry.
+ * Indicators with several lines return an object of lines for both
+ */
+
+const { ValidationError } = require('../core/error-handler');
+
+/**
+ * Series of nulls
+ */
+function empty(length) {
+    return new Array(length).fill(null);
+}
+
+/**
+ * Index of the first non-null value, -1 if there is none
+ */
+function firstIndex(values) {
+    return values.findIndex(value => value !== null && value !== undefined);
+}
+
+/**
+ * Apply a series function to the values after any leading nulls,
+ * keeping the output aligned with the input
+ */
+function afterWarmUp(values, fn) {
+    const start = firstIndex(values);
+    if (start === -1) return empty(values.length);
+    return empty(start).concat(fn(values.slice(start)));
+}
+
+/**
+ * Last entry of a series, null when empty
+ */
+function last(series) {
+    return series.length ? series[series.length - 1] : null;
+}
+
+/**
+ * Single-line indicator result
+ */
+function result(series) {
+    return { value: last(series), series };
+}
+
+/**
+ * Multi-line indicator result - { value: { line: latest }, series: { line: [...] } }
+ */
+function results(lines) {
+    const value = {};
+    for (const [name, series] of Object.entries(lines)) {
+        value[name] = last(series);
+    }
+    return { value, series: lines };
+}
+
+/**
+ * Reject periods that are not positive integers
+ */
+function checkPeriod(period, field = 'period') {
+    if (!Number.isInteger(period) || period < 1) {
+        throw new ValidationError(`${field} must be a positive integer`, field, period);
+    }
+}
+
+module.exports = {
+    empty,
+    firstIndex,
+    afterWarmUp,
+    last,
+    result,
+    results,
+    checkPeriod
+};
@@ -0,0 +1,43 @@
+/**
+ * Trend Indicators Module
+ * ADX with directional indicators
+ */
+
+const { empty, results, checkPeriod } = require('./series');
+const { wilderSeries } = require('./moving-averages');
+const { trueRangeSeries } = require('./volatility');
+
+/**
+ * Average Directional Index (Wilder)
+ * +DI/-DI start at period, ADX (Wilder-smoothed DX) at 2 * period - 1
+ */
+function adx(klines, period = 14) {
+    checkPeriod(period);
+    const plusDM = empty(klines.length);
+    const minusDM = empty(klines.length);
+
+    for (let i = 1; i < klines.length; i++) {
+        const up = klines[i].high - klines[i - 1].high;
+        const down = klines[i - 1].low - klines[i].low;
+        plusDM[i] = up > down && up > 0 ? up : 0;
+        minusDM[i] = down > up && down > 0 ? down : 0;
+    }
+
+    const range = wilderSeries(trueRangeSeries(klines), period);
+    const plus = wilderSeries(plusDM, period);
+    const minus = wilderSeries(minusDM, period);
+
+    const plusDI = range.map((value, i) => (value === null ? null : value ? (plus[i] / value) * 100 : 0));
+    const minusDI = range.map((value, i) => (value === null ? null : value ? (minus[i] / value) * 100 : 0));
+    const dx = plusDI.map((value, i) => {
+        if (value === null) return null;
+        const total = value + minusDI[i];
+        return total ? (Math.abs(value - minusDI[i]) / total) * 100 : 0;
+    });
+
+    return results({ adx: wilderSeries(dx, period), plusDI, minusDI });
+}
+
+module.exports = {
+    adx
+};
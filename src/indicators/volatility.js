@@ -0,0 +1,55 @@
+/**
+ * Volatility Indicators Module
+ * Bollinger Bands, True Range and ATR
+ */
+
+const { empty, result, results, checkPeriod } = require('./series');
+const { smaSeries, wilderSeries } = require('./moving-averages');
+
+/**
+ * Bollinger Bands: SMA +/- multiplier population standard deviations
+ */
+function bollinger(values, { period = 20, multiplier = 2 } = {}) {
+    const middle = smaSeries(values, period);
+    const upper = empty(values.length);
+    const lower = empty(values.length);
+
+    middle.forEach((mean, i) => {
+        if (mean === null) return;
+        const window = values.slice(i - period + 1, i + 1);
+        const deviation = Math.sqrt(window.reduce((total, value) => total + Math.pow(value - mean, 2), 0) / period);
+        upper[i] = mean + deviation * multiplier;
+        lower[i] = mean - deviation * multiplier;
+    });
+
+    return results({ upper, middle, lower });
+}
+
+/**
+ * True range series; the first bar has no previous close and is null
+ */
+function trueRangeSeries(klines) {
+    return klines.map((kline, i) => {
+        if (i === 0) return null;
+        const previousClose = klines[i - 1].close;
+        return Math.max(
+            kline.high - kline.low,
+            Math.abs(kline.high - previousClose),
+            Math.abs(kline.low - previousClose)
+        );
+    });
+}
+
+/**
+ * Average True Range with Wilder smoothing, first value at period
+ */
+function atr(klines, period = 14) {
+    checkPeriod(period);
+    return result(wilderSeries(trueRangeSeries(klines), period));
+}
+
+module.exports = {
+    bollinger,
+    trueRangeSeries,
+    atr
+};
@@ -0,0 +1,52 @@
+/**
+ * Volume Indicators Module
+ * On-Balance Volume and VWAP
+ */
+
+const { result } = require('./series');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * On-Balance Volume, starting from 0 at the first bar
+ */
+function obv(klines) {
+    let total = 0;
+
+    return result(klines.map((kline, i) => {
+        if (i > 0) {
+            const previousClose = klines[i - 1].close;
+            if (kline.close > previousClose) total += kline.volume;
+            else if (kline.close < previousClose) total -= kline.volume;
+        }
+        return total;
+    }));
+}
+
+/**
+ * Volume weighted average of the typical price (high + low + close) / 3
+ * Cumulative over the klines, or reset every UTC day with anchor 'day'
+ */
+function vwap(klines, { anchor = null } = {}) {
+    let priceVolume = 0;
+    let volume = 0;
+    let session = null;
+
+    return result(klines.map((kline) => {
+        const day = Math.floor(kline.openTime / DAY_MS);
+        if (anchor === 'day' && day !== session) {
+            priceVolume = 0;
+            volume = 0;
+            session = day;
+        }
+
+        priceVolume += ((kline.high + kline.low + kline.close) / 3) * kline.volume;
+        volume += kline.volume;
+        return volume ? priceVolume / volume : null;
+    }));
+}
+
+module.exports = {
+    obv,
+    vwap
+};
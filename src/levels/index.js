@@ -0,0 +1,25 @@
+/**
+ * Price Levels Library
+ * Support/resistance zones from swing pivots, pivot points and volume profile,
+ * and session volume analytics (anchored VWAP, value area, volume delta)
+ */
+
+const { findZones, countTouches } = require('./zones');
+const { pivotPoints, previousPeriod, periodFor, periodStart } = require('./pivot-points');
+const { volumeProfile, valueArea } = require('./volume-profile');
+const { sessionVolume, anchoredVwap, volumeDelta, tradesToKlines } = require('./session-volume');
+
+module.exports = {
+    findZones,
+    countTouches,
+    pivotPoints,
+    previousPeriod,
+    periodFor,
+    periodStart,
+    volumeProfile,
+    valueArea,
+    sessionVolume,
+    anchoredVwap,
+    volumeDelta,
+    tradesToKlines
+};
@@ -0,0 +1,103 @@
+/**
+ * Pivot Points Module
+ * Classic, Fibonacci and Camarilla pivot points from the previous period's
+ * high, low and close. The period follows the candle size: days for intraday
+ * candles, weeks for daily candles and months for anything longer
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// 1970-01-01 was a Thursday, so UTC weeks start 4 days after the epoch
+const WEEK_OFFSET = 4 * DAY_MS;
+
+/**
+ * Pivot period for candles of intervalMs
+ */
+function periodFor(intervalMs) {
+    if (intervalMs < DAY_MS) return 'day';
+    if (intervalMs < WEEK_MS) return 'week';
+    return 'month';
+}
+
+/**
+ * UTC start of the day, week (Monday) or month containing time
+ */
+function periodStart(time, period) {
+    if (period === 'day') return Math.floor(time / DAY_MS) * DAY_MS;
+    if (period === 'week') return Math.floor((time - WEEK_OFFSET) / WEEK_MS) * WEEK_MS + WEEK_OFFSET;
+
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+/**
+ * High, low and close of the last complete period before the latest candle's,
+ * null when the klines do not cover all of it
+ */
+function previousPeriod(klines, period) {
+    if (klines.length < 2) return null;
+    const resolved = period || periodFor(klines[1].openTime - klines[0].openTime);
+
+    const current = periodStart(klines[klines.length - 1].openTime, resolved);
+    const previous = klines.filter(kline => kline.openTime < current);
+    if (previous.length === 0) return null;
+
+    const start = periodStart(previous[previous.length - 1].openTime, resolved);
+    if (klines[0].openTime > start) return null;
+
+    const candles = previous.filter(kline => kline.openTime >= start);
+    return {
+        period: resolved,
+        start,
+        high: Math.max(...candles.map(kline => kline.high)),
+        low: Math.min(...candles.map(kline => kline.low)),
+        close: candles[candles.length - 1].close
+    };
+}
+
+/**
+ * Pivot levels from a period's { high, low, close }
+ */
+function pivotPoints({ high, low, close }) {
+    const pivot = (high + low + close) / 3;
+    const range = high - low;
+
+    return {
+        classic: {
+            pivot,
+            r1: 2 * pivot - low,
+            r2: pivot + range,
+            r3: high + 2 * (pivot - low),
+            s1: 2 * pivot - high,
+            s2: pivot - range,
+            s3: low - 2 * (high - pivot)
+        },
+        fibonacci: {
+            pivot,
+            r1: pivot + 0.382 * range,
+            r2: pivot + 0.618 * range,
+            r3: pivot + range,
+            s1: pivot - 0.382 * range,
+            s2: pivot - 0.618 * range,
+            s3: pivot - range
+        },
+        camarilla: {
+            pivot,
+            r1: close + (range * 1.1) / 12,
+            r2: close + (range * 1.1) / 6,
+            r3: close + (range * 1.1) / 4,
+            r4: close + (range * 1.1) / 2,
+            s1: close - (range * 1.1) / 12,
+            s2: close - (range * 1.1) / 6,
+            s3: close - (range * 1.1) / 4,
+            s4: close - (range * 1.1) / 2
+        }
+    };
+}
+
+module.exports = {
+    periodFor,
+    periodStart,
+    previousPeriod,
+    pivotPoints
+};
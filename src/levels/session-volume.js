@@ -0,0 +1,152 @@
+/**
+ * Session Volume Module
+ * Volume analytics for the session holding the latest candle (the UTC day
+ * for intraday candles, else the week or month) or from an anchor time:
+ * anchored VWAP with standard deviation bands, the session's volume profile
+ * with POC/VAH/VAL, and buy/sell volume delta with its cumulative sum (CVD).
+ * Buy volume is the candles' taker buy volume; candles without it get an
+ * estimate from where they closed in their range
+ */
+
+const { periodFor, periodStart } = require('./pivot-points');
+const { volumeProfile } = require('./volume-profile');
+
+/**
+ * One single-price bar per aggregated trade ({ price, quantity, time, isBuyerMaker }),
+ * so trades from the aggTrade stream can stand in for klines
+ */
+function tradesToKlines(trades) {
+    return trades.map(trade => ({
+        openTime: trade.time,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume: trade.quantity,
+        closeTime: trade.time,
+        // The buyer is the taker unless they made the market
+        takerBuyVolume: trade.isBuyerMaker ? 0 : trade.quantity
+    }));
+}
+
+/**
+ * Taker buy volume of a kline, estimated from the close within the range when missing
+ */
+function buyVolume(kline) {
+    if (typeof kline.takerBuyVolume === 'number' && !isNaN(kline.takerBuyVolume)) {
+        return kline.takerBuyVolume;
+    }
+    const range = kline.high - kline.low;
+    return range ? kline.volume * ((kline.close - kline.low) / range) : kline.volume / 2;
+}
+
+/**
+ * Volume-weighted average of the typical price from the first kline, with
+ * bands at 1 and 2 volume-weighted standard deviations
+ * @returns {Object|null} { value, stdDev, upper1, lower1, upper2, lower2 }
+ */
+function anchoredVwap(klines) {
+    let volume = 0;
+    let priceVolume = 0;
+    let squareVolume = 0;
+
+    for (const kline of klines) {
+        const typical = (kline.high + kline.low + kline.close) / 3;
+        volume += kline.volume;
+        priceVolume += typical * kline.volume;
+        squareVolume += typical * typical * kline.volume;
+    }
+    if (volume === 0) return null;
+
+    const value = priceVolume / volume;
+    const stdDev = Math.sqrt(Math.max(squareVolume / volume - value * value, 0));
+    return {
+        value,
+        stdDev,
+        upper1: value + stdDev,
+        lower1: value - stdDev,
+        upper2: value + 2 * stdDev,
+        lower2: value - 2 * stdDev
+    };
+}
+
+/**
+ * Buy/sell volume and their delta, with each kline's delta and the cumulative
+ * delta (CVD) after it; the total delta is the final CVD
+ * @returns {Object} { buyVolume, sellVolume, delta, deltaPercent, estimated, series: [{ openTime, delta, cvd }] }
+ */
+function volumeDelta(klines) {
+    let buy = 0;
+    let sell = 0;
+    const series = klines.map(kline => {
+        const buys = buyVolume(kline);
+        buy += buys;
+        sell += kline.volume - buys;
+        return { openTime: kline.openTime, delta: 2 * buys - kline.volume, cvd: buy - sell };
+    });
+
+    const total = buy + sell;
+    return {
+        buyVolume: buy,
+        sellVolume: sell,
+        delta: buy - sell,
+        deltaPercent: total ? ((buy - sell) / total) * 100 : 0,
+        estimated: klines.some(kline => typeof kline.takerBuyVolume !== 'number' || isNaN(kline.takerBuyVolume)),
+        series
+    };
+}
+
+/**
+ * Session volume analytics over the klines
+ * options: { session: day | week | month (by candle size), anchor: start time
+ *   that overrides the session, bins: profile bins (24), valueArea: share of
+ *   the volume in the value area (0.7), price: for the position (latest close) }
+ * @returns {Object|null} { session, start, candles, partial, vwap, profile, delta, position }
+ */
+function sessionVolume(klines, options = {}) {
+    const { bins = 24, valueArea = 0.7 } = options;
+    if (klines.length === 0) return null;
+
+    const last = klines[klines.length - 1];
+    const session = options.anchor !== undefined
+        ? 'anchored'
+        : options.session || periodFor(klines.length > 1 ? klines[1].openTime - klines[0].openTime : last.closeTime + 1 - last.openTime);
+    const start = options.anchor !== undefined ? options.anchor : periodStart(last.openTime, session);
+    const candles = klines.filter(kline => kline.openTime >= start);
+    if (candles.length === 0) return null;
+
+    const price = options.price !== undefined ? options.price : last.close;
+    const vwap = anchoredVwap(candles);
+    const profile = volumeProfile(candles, { bins, valueArea });
+
+    return {
+        session,
+        start,
+        candles: candles.length,
+        // The klines begin after the session start, so part of it is missing
+        partial: klines[0].openTime > start,
+        vwap,
+        profile: {
+            poc: profile.poc.price,
+            vah: profile.vah,
+            val: profile.val,
+            low: profile.low,
+            high: profile.high,
+            nodes: profile.nodes.map(node => node.price)
+        },
+        delta: volumeDelta(candles),
+        position: {
+            vwap: vwap ? price - vwap.value : null,
+            vwapStdDev: vwap && vwap.stdDev ? (price - vwap.value) / vwap.stdDev : null,
+            valueArea: price > profile.vah ? 'above' : price < profile.val ? 'below' : 'inside'
+        }
+    };
+}
+
+module.exports = {
+    tradesToKlines,
+    buyVolume,
+    anchoredVwap,
+    volumeDelta,
+    sessionVolume
+};
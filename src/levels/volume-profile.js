@@ -0,0 +1,87 @@
+/**
+ * Volume Profile Module
+ * Volume traded at each price, from klines: every candle's volume is spread
+ * evenly over its high-low range and split across equal-width price bins.
+ * The value area is the range around the point of control (POC) that holds
+ * a share of the volume (70% by default)
+ */
+
+const { checkPeriod } = require('../indicators/series');
+
+/**
+ * Value area of profile bins: starting at the POC, add the busier of the
+ * neighbouring bins until the area holds share of the volume
+ * @returns {Object} { high, low, volume }
+ */
+function valueArea(profile, pocIndex, share) {
+    const total = profile.reduce((sum, bin) => sum + bin.volume, 0);
+    let first = pocIndex;
+    let last = pocIndex;
+    let volume = profile[pocIndex].volume;
+
+    while (volume < total * share && (first > 0 || last < profile.length - 1)) {
+        const below = first > 0 ? profile[first - 1].volume : -1;
+        const above = last < profile.length - 1 ? profile[last + 1].volume : -1;
+        if (above >= below) {
+            volume += profile[++last].volume;
+        } else {
+            volume += profile[--first].volume;
+        }
+    }
+
+    return { high: profile[last].high, low: profile[first].low, volume };
+}
+
+/**
+ * Volume by price over the klines
+ * options: { bins: number of price bins (24), nodeRatio: volume over the
+ * mean bin that makes a local peak a high-volume node (1.5), valueArea:
+ * share of the volume in the value area (0.7) }
+ * @returns {Object|null} { low, high, binSize, bins: [{ low, high, price, volume }], poc, vah, val, nodes }
+ */
+function volumeProfile(klines, { bins = 24, nodeRatio = 1.5, valueArea: share = 0.7 } = {}) {
+    checkPeriod(bins, 'bins');
+    if (klines.length === 0) return null;
+
+    const low = Math.min(...klines.map(kline => kline.low));
+    const high = Math.max(...klines.map(kline => kline.high));
+    const binSize = (high - low) / bins || 1;
+    const profile = Array.from({ length: bins }, (_, i) => ({
+        low: low + i * binSize,
+        high: low + (i + 1) * binSize,
+        price: low + (i + 0.5) * binSize,
+        volume: 0
+    }));
+
+    for (const kline of klines) {
+        const range = kline.high - kline.low;
+        const first = Math.min(Math.floor((kline.low - low) / binSize), bins - 1);
+        const last = Math.min(Math.floor((kline.high - low) / binSize), bins - 1);
+
+        for (let i = first; i <= last; i++) {
+            // A candle without range puts all its volume in one bin
+            const overlap = range
+                ? (Math.min(kline.high, profile[i].high) - Math.max(kline.low, profile[i].low)) / range
+                : 1;
+            profile[i].volume += kline.volume * Math.max(overlap, 0);
+        }
+    }
+
+    const total = profile.reduce((sum, bin) => sum + bin.volume, 0);
+    const mean = total / bins;
+    const poc = profile.reduce((best, bin) => (bin.volume > best.volume ? bin : best), profile[0]);
+    const area = valueArea(profile, profile.indexOf(poc), share);
+
+    // High-volume nodes: local peaks well above the average bin
+    const nodes = profile.filter((bin, i) =>
+        bin.volume >= mean * nodeRatio &&
+        (i === 0 || bin.volume >= profile[i - 1].volume) &&
+        (i === bins - 1 || bin.volume >= profile[i + 1].volume));
+
+    return { low, high, binSize, totalVolume: total, bins: profile, poc, vah: area.high, val: area.low, nodes };
+}
+
+module.exports = {
+    valueArea,
+    volumeProfile
+};
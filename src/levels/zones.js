@@ -0,0 +1,175 @@
+/**
+ * Support/Resistance Zones Module
+ * Swing pivots, pivot points and high-volume nodes that sit within a zone
+ * width (a fraction of ATR) of each other are clustered into one zone.
+ * Zones are scored on their swings, their touches (distinct visits of the
+ * price, weighted by recency) and the pivot points and volume nodes inside
+ */
+
+const library = require('../indicators');
+const { swingPoints } = require('../patterns/swings');
+const { previousPeriod, pivotPoints } = require('./pivot-points');
+const { volumeProfile } = require('./volume-profile');
+
+// Score per swing pivot, pivot point level and volume node in a zone
+const WEIGHTS = {
+    swing: 1,
+    pivotPoint: 0.5,
+    volumeNode: 1,
+    poc: 1.5
+};
+
+/**
+ * Candidate levels: swing highs/lows, pivot points and high-volume nodes
+ */
+function candidateLevels(swings, pivots, profile) {
+    const levels = swings.map(swing => ({
+        price: swing.price,
+        source: 'swing',
+        label: `swing ${swing.type}`,
+        weight: WEIGHTS.swing
+    }));
+
+    if (pivots) {
+        for (const [method, points] of Object.entries(pivots)) {
+            for (const [name, price] of Object.entries(points)) {
+                // The pivot itself is the same for classic and Fibonacci
+                if (name === 'pivot' && method !== 'classic') continue;
+                levels.push({ price, source: method, label: `${method} ${name.toUpperCase()}`, weight: WEIGHTS.pivotPoint });
+            }
+        }
+    }
+
+    if (profile) {
+        profile.nodes.forEach(node => {
+            const poc = node === profile.poc;
+            levels.push({ price: node.price, source: 'volume', label: poc ? 'POC' : 'HVN', weight: poc ? WEIGHTS.poc : WEIGHTS.volumeNode });
+        });
+    }
+
+    return levels.sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Group sorted levels that span no more than width from a group's lowest level
+ */
+function cluster(levels, width) {
+    const groups = [];
+    for (const level of levels) {
+        const group = groups[groups.length - 1];
+        if (group && level.price - group[0].price <= width) {
+            group.push(level);
+        } else {
+            groups.push([level]);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Distinct visits of the price to [low, high] - runs of consecutive candles
+ * overlapping the zone - and their recency-weighted count
+ */
+function countTouches(klines, low, high, halfLife) {
+    const lastIndex = klines.length - 1;
+    let touches = 0;
+    let weighted = 0;
+    let lastTouch = null;
+
+    for (let i = 0; i <= lastIndex; i++) {
+        const inside = klines[i].low <= high && klines[i].high >= low;
+        if (!inside) continue;
+
+        lastTouch = klines[i].openTime;
+        const endsRun = i === lastIndex || klines[i + 1].low > high || klines[i + 1].high < low;
+        if (endsRun) {
+            touches++;
+            weighted += Math.pow(0.5, (lastIndex - i) / halfLife);
+        }
+    }
+
+    return { touches, weighted, lastTouch };
+}
+
+/**
+ * Ranked support/resistance zones around price
+ * options: { price (latest close), strength: candles on each side of a swing (3),
+ *   width: zone width in ATRs (0.5), halfLife: candles for a touch to count half (50),
+ *   bins: volume profile bins (24), pivotPeriod: day | week | month (by candle size),
+ *   limit: zones returned (10) }
+ * @returns {Object} { zones, support, resistance, pivotPoints, volumeProfile }
+ */
+function findZones(klines, options = {}) {
+    const {
+        strength = 3,
+        width = 0.5,
+        halfLife = 50,
+        bins = 24,
+        pivotPeriod,
+        limit = 10
+    } = options;
+    if (klines.length === 0) {
+        return { zones: [], support: null, resistance: null, pivotPoints: null, volumeProfile: null };
+    }
+
+    const price = options.price !== undefined ? options.price : klines[klines.length - 1].close;
+    const atr = library.atr(klines, 14).value || price * 0.01;
+    const zoneWidth = atr * width;
+
+    const period = previousPeriod(klines, pivotPeriod);
+    const pivots = period ? pivotPoints(period) : null;
+    const profile = volumeProfile(klines, { bins });
+
+    const zones = cluster(candidateLevels(swingPoints(klines, strength), pivots, profile), zoneWidth).map((group) => {
+        const swings = group.filter(level => level.source === 'swing');
+        const center = (swings.length ? swings : group).reduce((sum, level) => sum + level.price, 0) /
+            (swings.length || group.length);
+        const low = group[0].price - zoneWidth / 4;
+        const high = group[group.length - 1].price + zoneWidth / 4;
+        const { touches, weighted, lastTouch } = countTouches(klines, low, high, halfLife);
+        const inside = price >= low && price <= high;
+
+        return {
+            type: center <= price ? 'support' : 'resistance',
+            price: center,
+            low,
+            high,
+            inside,
+            touches,
+            lastTouch,
+            swings: swings.length,
+            sources: Array.from(new Set(group.filter(level => level.source !== 'swing').map(level => level.label))),
+            score: group.reduce((sum, level) => sum + level.weight, 0) + weighted,
+            distance: center - price,
+            distancePercent: ((center - price) / price) * 100,
+            distanceATR: (center - price) / atr
+        };
+    });
+
+    const ranked = zones.sort((a, b) => b.score - a.score).slice(0, limit);
+    const top = ranked.length ? ranked[0].score : 0;
+    ranked.forEach(zone => {
+        zone.strength = top ? Math.round((zone.score / top) * 100) / 100 : 0;
+    });
+
+    // Nearest zone on each side that is at least a quarter as strong as the best
+    const nearest = (type) => ranked
+        .filter(zone => zone.type === type && zone.strength >= 0.25)
+        .sort((a, b) => Math.abs(a.distance) - Math.abs(b.distance))[0] || null;
+
+    return {
+        zones: ranked,
+        support: nearest('support'),
+        resistance: nearest('resistance'),
+        pivotPoints: pivots && { ...period, ...pivots },
+        volumeProfile: profile && { poc: profile.poc.price, nodes: profile.nodes.map(node => node.price) }
+    };
+}
+
+module.exports = {
+    WEIGHTS,
+    candidateLevels,
+    cluster,
+    countTouches,
+    findZones
+};
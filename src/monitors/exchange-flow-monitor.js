@@ -1,20 +1,54 @@
 /**
  * Exchange Flow Monitor Module
+ * Works against any FlowProvider (CryptoQuant, replay, ...)
  */
 
 const EventEmitter = require('events');
+const DataSource = require('../core/data-source');
+const ThresholdTable = require('../core/thresholds');
+const CryptoQuantClient = require('../api/cryptoquant-client');
+const CryptoQuantProvider = require('../providers/cryptoquant-provider');
+const statistics = require('../core/statistics');
+const {
+    FLOW_WINDOWS,
+    ADAPTIVE_DEFAULTS,
+    buildFlowResult,
+    summarizeFlowSeries,
+    netflowSeries,
+    baselineSums,
+    lookbackWindows,
+    adaptiveThreshold,
+    describeThreshold,
+    countWhales
+} = require('../core/flow-series');
+const { ConfigurationError } = require('../core/error-handler');
 
 class ExchangeFlowMonitor extends EventEmitter {
     constructor(config = {}) {
         super();
-        this.cryptoQuant = config.cryptoQuant;
+        // A bare CryptoQuantClient is still accepted and wrapped
+        this.provider = config.provider || (config.cryptoQuant
+            ? new CryptoQuantProvider({ client: config.cryptoQuant, logger: config.logger })
+            : null);
+        this.binance = config.binance;
         this.logger = config.logger;
         this.config = config;
+        this.dataSource = config.dataSource || new DataSource({ logger: config.logger });
+        this.thresholds = config.thresholds instanceof ThresholdTable
+            ? config.thresholds
+            : new ThresholdTable(config.thresholds);
+        this.onChain = config.onChain || {};
+        this.criticalZScore = config.criticalZScore || 2;
+        this.exchanges = config.exchanges || ['binance', 'coinbase_advanced', 'okx', 'bybit', 'kraken'];
+        this.shareZScore = config.shareZScore || 2;
+        this.adaptive = { ...ADAPTIVE_DEFAULTS, ...config.adaptive };
         this.activeMonitors = new Map();
     }
 
     /**
      * Start monitoring exchange flows
+     * Threshold overrides: whaleThreshold, whaleThresholdUSD, criticalInflow(USD), criticalOutflow(USD)
+     * adaptive: true/false or { method, k, percentile, lookbackDays } over the configured mode
      */
     async startMonitoring(symbol, options = {}) {
         const updateInterval = options.interval || 300000; // 5 minutes default
@@ -26,15 +60,19 @@ class ExchangeFlowMonitor extends EventEmitter {
         const monitorInterval = setInterval(async () => {
             try {
                 const flows = await this.getFlows(symbol, options);
+                const thresholds = await this.getThresholds(symbol, options);
+                const adaptive = this.getAdaptive(options);
 
                 // Emit flow update
-                this.emit('flow_update', { symbol, flows });
+                this.emit('flow_update', { symbol, flows, thresholds });
 
                 // Check for whale movements
-                if (this.cryptoQuant) {
-                    const whaleData = await this.cryptoQuant.detectWhaleMovements({
-                        symbol: symbol.replace('USDT', ''),
-                        threshold: options.whaleThreshold || (symbol.includes('BTC') ? 50 : 1000)
+                if (this.provider && (thresholds.whale || adaptive) && this.provider.supports({ whaleVolume: true })) {
+                    const whaleData = await this.provider.detectWhaleMovements({
+                        symbol: this.getAsset(symbol),
+                        exchange: options.exchange,
+                        threshold: thresholds.whale,
+                        adaptive
                     });
 
                     if (whaleData.alerts && whaleData.alerts.length > 0) {
@@ -47,8 +85,20 @@ class ExchangeFlowMonitor extends EventEmitter {
                     }
                 }
 
-                // Check for critical flows
-                this.checkCriticalFlows(symbol, flows);
+                // Check for critical flows (never on fallback mock data)
+                if (flows.source !== 'mock' || this.dataSource.isMock()) {
+                    this.checkCriticalFlows(symbol, flows, thresholds, adaptive);
+                }
+
+                // Per-exchange breakdown (opt-in, one request pair per venue)
+                if (options.byExchange) {
+                    const breakdown = await this.getExchangeBreakdown(symbol, options);
+                    this.emit('exchange_breakdown', { symbol, breakdown });
+
+                    if (breakdown.source !== 'mock' || this.dataSource.isMock()) {
+                        this.checkExchangeShares(symbol, breakdown);
+                    }
+                }
 
             } catch (error) {
                 if (this.logger) {
@@ -74,91 +124,389 @@ class ExchangeFlowMonitor extends EventEmitter {
      * Get exchange flows
      */
     async getFlows(symbol, options = {}) {
-        const cryptoSymbol = symbol.replace('USDT', '');
+        const cryptoSymbol = this.getAsset(symbol);
 
-        if (!this.cryptoQuant) {
-            return this.getMockFlows(cryptoSymbol);
+        if (!this.provider) {
+            if (this.dataSource.isStrict()) {
+                throw new ConfigurationError('No flow provider configured', 'flowProvider.name');
+            }
+            return this.dataSource.tag(this.getMockFlows(cryptoSymbol), 'mock');
         }
 
         try {
+            const adaptive = this.getAdaptive(options);
+            const flowOptions = {
+                symbol: cryptoSymbol,
+                exchange: options.exchange || this.config.exchange || 'all_exchange',
+                window: options.window,
+                from: options.from,
+                to: options.to,
+                lookback: options.lookback !== undefined || !adaptive
+                    ? options.lookback
+                    : lookbackWindows(options.window || 'hour', adaptive.lookbackDays)
+            };
             const [inflow, outflow] = await Promise.all([
-                this.cryptoQuant.getExchangeFlow('inflow', {
-                    symbol: cryptoSymbol,
-                    exchange: options.exchange || 'all_exchange'
-                }),
-                this.cryptoQuant.getExchangeFlow('outflow', {
-                    symbol: cryptoSymbol,
-                    exchange: options.exchange || 'all_exchange'
-                })
+                this.provider.getExchangeFlow('inflow', flowOptions),
+                this.provider.getExchangeFlow('outflow', flowOptions)
             ]);
 
-            // Calculate netflow
-            const netflow = {
-                netBalance: (outflow?.statistics?.total24h || 0) - (inflow?.statistics?.total24h || 0),
-                statistics: {
-                    netBalance: (outflow?.statistics?.total24h || 0) - (inflow?.statistics?.total24h || 0)
-                }
-            };
+            // On-chain metrics (opt-in) weigh into the impact
+            const onChain = options.onChain
+                ? await this.getOnChainBias(cryptoSymbol)
+                : undefined;
 
-            // Determine market impact
-            const marketImpact = this.determineMarketImpact(inflow, outflow, netflow);
-
-            return {
-                inflow,
-                outflow,
-                netflow,
-                marketImpact,
-                timestamp: new Date()
-            };
+            return this.combineFlows(inflow, outflow, onChain);
 
         } catch (error) {
             if (this.logger) {
                 this.logger.error('Failed to get flows:', error);
             }
-            return this.getMockFlows(cryptoSymbol);
+            return this.dataSource.fallback(error, () => this.getMockFlows(cryptoSymbol), this.provider.name);
         }
     }
 
     /**
-     * Check for critical flow conditions
+     * Derive netflow (inflow - outflow, positive = coins moving onto exchanges) and impact
      */
-    checkCriticalFlows(symbol, flows) {
-        const isBTC = symbol.includes('BTC');
-        const criticalInflow = isBTC ? 200 : 5000;
-        const criticalOutflow = isBTC ? 500 : 10000;
+    combineFlows(inflow, outflow, onChain) {
+        const series = netflowSeries(inflow, outflow);
+        const statistics = summarizeFlowSeries(series, inflow.statistics.points);
+        const netflow = {
+            flowType: 'netflow',
+            window: inflow.window,
+            series,
+            netBalance: statistics.sum,
+            statistics
+        };
 
-        if (flows.inflow?.statistics?.total24h > criticalInflow) {
-            this.emit('flow_alert', {
-                type: 'CRITICAL_INFLOW',
-                severity: 'high',
-                symbol,
-                amount: flows.inflow.statistics.total24h,
-                message: `High inflow detected: ${flows.inflow.statistics.total24h.toFixed(2)} ${isBTC ? 'BTC' : 'ETH'}`
+        return {
+            inflow,
+            outflow,
+            netflow,
+            marketImpact: this.determineMarketImpact(inflow, outflow, netflow, onChain),
+            onChain,
+            source: this.dataSource.combine(inflow.source, outflow.source, onChain?.source),
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Get flows per exchange, ranked by net balance (largest net inflow first)
+     * Each venue's share of total inflow is compared with its own baseline share
+     */
+    async getExchangeBreakdown(symbol, options = {}) {
+        const cryptoSymbol = this.getAsset(symbol);
+        const exchanges = options.exchanges || this.exchanges;
+
+        if (!this.provider && this.dataSource.isStrict()) {
+            throw new ConfigurationError('No flow provider configured', 'flowProvider.name');
+        }
+
+        const provider = this.provider || this.getMockProvider();
+        if (!provider.supports({ breakdown: true })) {
+            throw new ConfigurationError(`${provider.name} provider has no per-exchange flows`, 'flowProvider.name');
+        }
+        const flowOptions = {
+            symbol: cryptoSymbol,
+            window: options.window,
+            from: options.from,
+            to: options.to,
+            lookback: options.lookback
+        };
+
+        const total = await provider.getExchangeFlow('inflow', { ...flowOptions, exchange: 'all_exchange' });
+        const venues = await Promise.all(exchanges.map(async (exchange) => {
+            const [inflow, outflow] = await Promise.all([
+                provider.getExchangeFlow('inflow', { ...flowOptions, exchange }),
+                provider.getExchangeFlow('outflow', { ...flowOptions, exchange })
+            ]);
+            return { exchange, ...this.combineFlows(inflow, outflow) };
+        }));
+
+        const ranked = venues
+            .map(venue => ({
+                exchange: venue.exchange,
+                inflow: venue.inflow,
+                outflow: venue.outflow,
+                netflow: venue.netflow,
+                netBalance: venue.netflow.netBalance,
+                marketImpact: venue.marketImpact,
+                share: this.getInflowShare(venue.inflow, total),
+                source: venue.source
+            }))
+            .sort((a, b) => b.netBalance - a.netBalance)
+            .map((venue, i) => ({ ...venue, rank: i + 1 }));
+
+        return {
+            symbol,
+            window: total.window,
+            total,
+            exchanges: ranked,
+            spikes: ranked.filter(venue => venue.share.spike).map(venue => venue.exchange),
+            source: this.dataSource.combine(total.source, ...ranked.map(venue => venue.source)),
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Share of total inflow over the statistics window vs the same share over the lookback
+     */
+    getInflowShare(inflow, total) {
+        const totalByTime = new Map(total.series.map(point => [point.timestamp, point.value]));
+        const aligned = inflow.series.filter(point => totalByTime.has(point.timestamp));
+        const points = inflow.statistics.points;
+
+        const venueSums = statistics.rollingSums(aligned.map(point => point.value), points);
+        const totalSums = statistics.rollingSums(aligned.map(point => totalByTime.get(point.timestamp)), points);
+        const shares = venueSums.map((value, i) => (totalSums[i] ? value / totalSums[i] : 0));
+
+        // Baseline windows must not overlap the current one
+        const current = shares.length ? shares[shares.length - 1] : null;
+        const baseline = shares.slice(0, Math.max(0, shares.length - points));
+        const zScore = current !== null ? statistics.zScore(current, baseline) : null;
+
+        return {
+            current,
+            baseline: baseline.length ? statistics.mean(baseline) : null,
+            zScore,
+            spike: zScore !== null && zScore >= this.shareZScore
+        };
+    }
+
+    /**
+     * Alert when one venue takes an unusual share of inflow - dumps tend to land on one exchange first
+     */
+    checkExchangeShares(symbol, breakdown) {
+        const asset = this.getAsset(symbol);
+
+        breakdown.exchanges
+            .filter(venue => venue.share.spike)
+            .forEach(venue => {
+                this.emit('flow_alert', {
+                    type: 'EXCHANGE_INFLOW_SPIKE',
+                    severity: 'high',
+                    symbol,
+                    exchange: venue.exchange,
+                    amount: venue.inflow.statistics.sum,
+                    share: venue.share.current,
+                    baselineShare: venue.share.baseline,
+                    zScore: venue.share.zScore,
+                    threshold: this.shareZScore,
+                    impact: 'BEARISH',
+                    message: `${venue.exchange} took ${(venue.share.current * 100).toFixed(1)}% of ${asset} inflow ` +
+                        `(usually ${(venue.share.baseline * 100).toFixed(1)}%)`
+                });
             });
+    }
+
+    /**
+     * Score configured on-chain metrics for an asset, if the provider has any
+     */
+    async getOnChainBias(asset) {
+        const requested = this.onChain.metrics || this.provider.getCapabilities().metrics;
+        if (!this.provider.supports({ metrics: requested })) {
+            if (this.logger) {
+                this.logger.warn(`${this.provider.name} provider has no on-chain metrics, ignoring on-chain bias`);
+            }
+            return undefined;
         }
 
-        if (flows.outflow?.statistics?.total24h > criticalOutflow) {
+        const { metrics, source } = await this.provider.getOnChainMetrics(asset, requested);
+        return { ...this.provider.scoreMetrics(metrics, this.onChain.weights), source };
+    }
+
+    /**
+     * Resolve the asset's thresholds in coins, pricing USD thresholds when needed
+     */
+    async getThresholds(symbol, options = {}) {
+        const asset = this.getAsset(symbol);
+        const overrides = {
+            whale: options.whaleThreshold,
+            whaleUSD: options.whaleThresholdUSD,
+            criticalInflow: options.criticalInflow,
+            criticalInflowUSD: options.criticalInflowUSD,
+            criticalOutflow: options.criticalOutflow,
+            criticalOutflowUSD: options.criticalOutflowUSD
+        };
+
+        let price;
+        if (this.thresholds.needsPrice(asset, overrides) && this.binance) {
+            try {
+                const priceData = await this.binance.getPriceData(`${asset}USDT`);
+                // A fallback mock price would turn USD thresholds into nonsense
+                if (priceData.source !== 'mock' || this.dataSource.isMock()) {
+                    price = priceData.price;
+                }
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.warn(`No price for ${asset}, skipping USD thresholds: ${error.message}`);
+                }
+            }
+        }
+
+        return { ...this.thresholds.resolve(asset, price, overrides), price: price || null };
+    }
+
+    /**
+     * Whale transfer windows in the flows' statistics period (e.g. the last 24h)
+     * Outflows use twice the fixed whale threshold, as in whale detection
+     */
+    async getWhaleActivity(symbol, flows, options = {}) {
+        const thresholds = await this.getThresholds(symbol, options);
+        const adaptive = this.getAdaptive(options);
+        const inflow = countWhales(flows.inflow, thresholds.whale, adaptive);
+        const outflow = countWhales(flows.outflow, thresholds.whale && thresholds.whale * 2, adaptive);
+
+        return {
+            inflow: inflow.count,
+            outflow: outflow.count,
+            thresholds: { inflow: inflow.threshold, outflow: outflow.threshold }
+        };
+    }
+
+    /**
+     * Flows as they stood at `time`, from a longer history fetched with getFlows({ from, to })
+     * Keeps only windows closed by then, trimmed to the statistics period plus lookback,
+     * and counts whale windows against { whale, adaptive } as getWhaleActivity does
+     */
+    flowsAt(history, time, options = {}) {
+        const window = history.inflow.window || 'hour';
+        const definition = FLOW_WINDOWS[window];
+        const lookback = options.lookback !== undefined ? options.lookback : definition.lookback;
+        const context = { symbol: history.inflow.symbol, exchange: history.inflow.exchange, window, points: definition.points };
+
+        const upTo = (flow) => ({
+            ...buildFlowResult(
+                flow.flowType,
+                flow.series.filter(point => point.timestamp + definition.ms <= time).slice(-(definition.points + lookback)),
+                context
+            ),
+            source: flow.source
+        });
+
+        const flows = this.combineFlows(upTo(history.inflow), upTo(history.outflow));
+        const inflow = countWhales(flows.inflow, options.whale, options.adaptive);
+        const outflow = countWhales(flows.outflow, options.whale && options.whale * 2, options.adaptive);
+
+        return {
+            ...flows,
+            whales: {
+                inflow: inflow.count,
+                outflow: outflow.count,
+                thresholds: { inflow: inflow.threshold, outflow: outflow.threshold }
+            }
+        };
+    }
+
+    /**
+     * Adaptive threshold settings for a run, null when thresholds are fixed
+     */
+    getAdaptive(options = {}) {
+        const override = options.adaptive;
+        const enabled = override !== undefined ? override !== false : this.adaptive.enabled;
+        if (!enabled) return null;
+
+        return typeof override === 'object' ? { ...this.adaptive, ...override } : this.adaptive;
+    }
+
+    /**
+     * Check for flows far outside their own recent baseline, or above an absolute threshold
+     * In adaptive mode the 24h sum is compared with a threshold from the baseline sums instead
+     */
+    checkCriticalFlows(symbol, flows, thresholds = this.thresholds.resolve(this.getAsset(symbol)), adaptive = null) {
+        const asset = this.getAsset(symbol);
+        const zThreshold = thresholds.criticalZScore || this.criticalZScore;
+        const checks = [
+            { flow: flows.inflow, type: 'CRITICAL_INFLOW', severity: 'high', label: 'inflow', impact: 'BEARISH', limit: thresholds.criticalInflow },
+            { flow: flows.outflow, type: 'CRITICAL_OUTFLOW', severity: 'medium', label: 'outflow', impact: 'BULLISH', limit: thresholds.criticalOutflow }
+        ];
+
+        for (const { flow, type, severity, label, impact, limit } of checks) {
+            const stats = flow?.statistics;
+            if (!stats) continue;
+
+            const computed = adaptive
+                ? adaptiveThreshold(baselineSums(flow.series.map(point => point.value), stats.points), adaptive)
+                : null;
+            if (computed) {
+                if (stats.sum < computed.value) continue;
+
+                this.emit('flow_alert', {
+                    type,
+                    severity,
+                    symbol,
+                    asset,
+                    amount: stats.sum,
+                    zScore: stats.zScore,
+                    percentileRank: stats.percentileRank,
+                    baseline: computed.baseline.mean,
+                    baselineStd: computed.baseline.std,
+                    baselineWindows: computed.baseline.windows,
+                    threshold: computed.value,
+                    thresholdType: 'adaptive',
+                    method: computed.method,
+                    impact,
+                    message: `High ${label} detected: ${stats.sum.toFixed(2)} ${asset} (${describeThreshold(computed, asset)})`
+                });
+                continue;
+            }
+
+            const unusual = stats.zScore !== null && stats.zScore >= zThreshold;
+            const aboveLimit = limit !== null && limit !== undefined && stats.sum >= limit;
+            if (!unusual && !aboveLimit) continue;
+
+            const context = unusual
+                ? `z ${stats.zScore.toFixed(2)}, ${stats.percentileRank.toFixed(0)}th percentile`
+                : `above ${limit.toFixed(2)} ${asset}`;
+
             this.emit('flow_alert', {
-                type: 'CRITICAL_OUTFLOW',
-                severity: 'medium',
+                type,
+                severity,
                 symbol,
-                amount: flows.outflow.statistics.total24h,
-                message: `High outflow detected: ${flows.outflow.statistics.total24h.toFixed(2)} ${isBTC ? 'BTC' : 'ETH'}`
+                asset,
+                amount: stats.sum,
+                zScore: stats.zScore,
+                percentileRank: stats.percentileRank,
+                baseline: stats.baseline.mean,
+                baselineStd: stats.baseline.std,
+                baselineWindows: stats.baseline.windows,
+                threshold: unusual ? zThreshold : limit,
+                thresholdType: unusual ? 'zScore' : 'amount',
+                impact,
+                message: `High ${label} detected: ${stats.sum.toFixed(2)} ${asset} (${context})`
             });
         }
     }
 
     /**
-     * Determine market impact
+     * Base asset of a pair or asset symbol
      */
-    determineMarketImpact(inflow, outflow, netflow) {
-        const netBalance = netflow?.statistics?.netBalance || 0;
-        const inflowTotal = inflow?.statistics?.total24h || 0;
-        const outflowTotal = outflow?.statistics?.total24h || 0;
+    getAsset(symbol) {
+        return symbol.replace(/USDT$/, '');
+    }
 
-        if (netBalance < -1000) {
+    /**
+     * Determine market impact from how unusual the netflow is
+     */
+    determineMarketImpact(inflow, outflow, netflow, onChain) {
+        const zScore = netflow?.statistics?.zScore || 0;
+
+        // Net deposits are sell pressure, net withdrawals are accumulation
+        let score = 0;
+        if (zScore >= 1) {
+            score = -1;
+        } else if (zScore <= -1) {
+            score = 1;
+        }
+
+        // On-chain bias can tip a neutral flow reading or cancel a weak one
+        if (onChain && onChain.factors.length > 0) {
+            score += onChain.score * (this.onChain.signalWeight !== undefined ? this.onChain.signalWeight : 2) / 2;
+        }
+
+        if (score <= -0.5) {
             return 'BEARISH';
-        } else if (netBalance > 1000) {
+        } else if (score >= 0.5) {
             return 'BULLISH';
         } else {
             return 'NEUTRAL';
@@ -166,37 +514,29 @@ class ExchangeFlowMonitor extends EventEmitter {
     }
 
     /**
-     * Get mock flows for testing
+     * Get mock flows for testing, built through the same netflow path as live data
      */
     getMockFlows(symbol) {
-        const isBTC = symbol === 'BTC';
-        const base = isBTC ? 100 : 1000;
+        const provider = this.getMockProvider();
+        const inflow = this.dataSource.tag(provider.getMockExchangeFlow('inflow', { symbol }), 'mock');
+        const outflow = this.dataSource.tag(provider.getMockExchangeFlow('outflow', { symbol }), 'mock');
+        return this.combineFlows(inflow, outflow);
+    }
 
-        return {
-            inflow: {
-                statistics: {
-                    total24h: base + Math.random() * base,
-                    whaleVolume: base * 0.3,
-                    whaleTransactions: Math.floor(Math.random() * 10)
-                }
-            },
-            outflow: {
-                statistics: {
-                    total24h: base + Math.random() * base * 1.2,
-                    whaleVolume: base * 0.4,
-                    whaleTransactions: Math.floor(Math.random() * 12)
-                }
-            },
-            netflow: {
-                statistics: {
-                    netBalance: (Math.random() - 0.5) * base * 2
-                }
-            },
-            marketImpact: Math.random() > 0.5 ? 'BULLISH' : 'BEARISH',
-            timestamp: new Date(),
-            isMockData: true
-        };
+    /**
+     * Offline provider for mock flows when no real provider is configured or one fails
+     */
+    getMockProvider() {
+        if (!this.mockProvider) {
+            this.mockProvider = new CryptoQuantProvider({
+                client: new CryptoQuantClient(null, {
+                    dataSource: new DataSource({ mode: 'mock', seed: this.dataSource.mock.seed, logger: this.logger })
+                }),
+                logger: this.logger
+            });
+        }
+        return this.mockProvider;
     }
 }
 
-module.exports = ExchangeFlowMonitor;
\ No newline at end of file
+module.exports = ExchangeFlowMonitor;
@@ -0,0 +1,180 @@
+/**
+ * Futures Monitor Module
+ * Watches perpetual funding rates and the liquidation stream
+ */
+
+const EventEmitter = require('events');
+const DataSource = require('../core/data-source');
+
+class FuturesMonitor extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.futures = config.futures;
+        this.logger = config.logger;
+        this.config = config;
+        this.dataSource = config.dataSource || new DataSource({ logger: config.logger });
+        this.fundingThreshold = config.fundingThreshold || 0.0005; // 0.05% per funding interval
+        this.liquidationThreshold = config.liquidationThreshold || 100000; // quote notional
+        this.liquidationWindow = config.liquidationWindow || 3600000;
+        this.activeMonitors = new Map();
+    }
+
+    /**
+     * Start watching funding and liquidations for a symbol
+     */
+    async startMonitoring(symbol, options = {}) {
+        if (this.activeMonitors.has(symbol) || !this.futures) {
+            return;
+        }
+
+        const monitor = {
+            fundingThreshold: options.fundingThreshold || this.fundingThreshold,
+            liquidationThreshold: options.liquidationThreshold || this.liquidationThreshold,
+            funding: null,
+            fundingSpike: false,
+            liquidations: [],
+            unsubscribers: [],
+            interval: null
+        };
+        this.activeMonitors.set(symbol, monitor);
+
+        // Streams are live-only; mock mode polls the mock mark price instead
+        if (!this.dataSource.isMock()) {
+            monitor.unsubscribers.push(
+                this.futures.subscribeToMarkPrice(symbol, (mark) => this.processFunding(symbol, mark, 'live'), { speed: '3s' }),
+                this.futures.subscribeToLiquidations(symbol, (order) => this.processLiquidation(symbol, order))
+            );
+        } else {
+            const updateInterval = options.updateInterval || this.config.updateInterval || 60000;
+            monitor.interval = setInterval(() => this.pollFunding(symbol), updateInterval);
+        }
+
+        await this.pollFunding(symbol);
+    }
+
+    /**
+     * Stop watching a symbol
+     */
+    async stopMonitoring(symbol) {
+        if (this.activeMonitors.has(symbol)) {
+            const monitor = this.activeMonitors.get(symbol);
+            monitor.unsubscribers.forEach(unsubscribe => unsubscribe());
+            clearInterval(monitor.interval);
+            this.activeMonitors.delete(symbol);
+        }
+    }
+
+    /**
+     * Fetch mark price and funding over REST
+     */
+    async pollFunding(symbol) {
+        try {
+            const mark = await this.futures.getMarkPrice(symbol);
+            this.processFunding(symbol, mark, mark.source);
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error(`Funding check failed for ${symbol}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Track funding and emit once when it crosses the threshold
+     */
+    processFunding(symbol, mark, source) {
+        const monitor = this.activeMonitors.get(symbol);
+        if (!monitor) return;
+
+        monitor.funding = { ...mark, source };
+        const magnitude = Math.abs(mark.fundingRate);
+
+        // Re-arm only after funding cools off, so a rate hovering at the threshold stays quiet
+        if (monitor.fundingSpike) {
+            if (magnitude < monitor.fundingThreshold * 0.8) {
+                monitor.fundingSpike = false;
+            }
+            return;
+        }
+
+        if (magnitude < monitor.fundingThreshold) return;
+
+        // Fallback mock data must not raise real alerts
+        if (source === 'mock' && !this.dataSource.isMock()) return;
+
+        monitor.fundingSpike = true;
+        const longsPay = mark.fundingRate > 0;
+
+        this.emit('funding_spike', {
+            type: 'FUNDING_SPIKE',
+            symbol,
+            severity: magnitude >= monitor.fundingThreshold * 3 ? 'high' : 'medium',
+            fundingRate: mark.fundingRate,
+            markPrice: mark.markPrice,
+            nextFundingTime: mark.nextFundingTime,
+            threshold: monitor.fundingThreshold,
+            // Crowded longs are squeeze fuel for the downside and vice versa
+            impact: longsPay ? 'BEARISH' : 'BULLISH',
+            message: `Funding ${(mark.fundingRate * 100).toFixed(4)}% - ${longsPay ? 'longs' : 'shorts'} paying`,
+            source,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Record a liquidation and emit when it is large
+     */
+    processLiquidation(symbol, order) {
+        const monitor = this.activeMonitors.get(symbol);
+        if (!monitor) return;
+
+        const now = Date.now();
+        monitor.liquidations.push({ side: order.liquidatedSide, notional: order.notional, time: now });
+        monitor.liquidations = monitor.liquidations.filter(entry => now - entry.time <= this.liquidationWindow);
+
+        if (order.notional < monitor.liquidationThreshold) return;
+
+        const isLong = order.liquidatedSide === 'LONG';
+        this.emit('liquidation', {
+            type: isLong ? 'LONG_LIQUIDATION' : 'SHORT_LIQUIDATION',
+            symbol,
+            severity: order.notional >= monitor.liquidationThreshold * 10 ? 'high' : 'medium',
+            side: order.side,
+            liquidatedSide: order.liquidatedSide,
+            price: order.averagePrice,
+            quantity: order.filledQuantity,
+            notional: order.notional,
+            threshold: monitor.liquidationThreshold,
+            impact: isLong ? 'BEARISH' : 'BULLISH',
+            message: `${isLong ? 'Long' : 'Short'} liquidated: ${order.filledQuantity} @ ${order.averagePrice}`,
+            source: 'live',
+            timestamp: new Date(order.tradeTime || now)
+        });
+    }
+
+    /**
+     * Get latest funding and recent liquidation totals
+     */
+    getSummary(symbol) {
+        const monitor = this.activeMonitors.get(symbol);
+        if (!monitor) return null;
+
+        const totals = { LONG: 0, SHORT: 0 };
+        monitor.liquidations.forEach(entry => {
+            totals[entry.side] += entry.notional;
+        });
+
+        return {
+            symbol,
+            funding: monitor.funding,
+            fundingSpike: monitor.fundingSpike,
+            liquidations: {
+                window: this.liquidationWindow,
+                count: monitor.liquidations.length,
+                longNotional: totals.LONG,
+                shortNotional: totals.SHORT
+            }
+        };
+    }
+}
+
+module.exports = FuturesMonitor;
@@ -0,0 +1,91 @@
+/**
+ * Order Book Monitor Module
+ * Maintains local order books and reports on-book whale walls
+ */
+
+const EventEmitter = require('events');
+const OrderBook = require('../api/order-book');
+
+class OrderBookMonitor extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.binance = config.binance;
+        this.logger = config.logger;
+        this.config = config;
+        this.books = new Map();
+    }
+
+    /**
+     * Start maintaining a local book for a symbol
+     */
+    async startMonitoring(symbol, options = {}) {
+        if (this.books.has(symbol) || !this.binance) {
+            return;
+        }
+
+        const book = new OrderBook(symbol, {
+            binance: this.binance,
+            depthLimit: options.depthLimit || this.config.depthLimit,
+            speed: options.depthSpeed || this.config.speed,
+            wallNotional: options.wallNotional || this.config.wallNotional,
+            maxWallDistance: options.maxWallDistance || this.config.maxWallDistance
+        });
+
+        book.on('whale_wall', (wall) => this.emit('whale_wall', wall));
+        book.on('whale_wall_removed', (wall) => this.emit('whale_wall_removed', wall));
+        book.on('synced', (info) => this.emit('book_synced', info));
+        book.on('gap', (info) => {
+            if (this.logger) {
+                this.logger.warn(`Order book gap for ${symbol}, resyncing`, info);
+            }
+        });
+        book.on('sync_error', ({ error }) => {
+            if (this.logger) {
+                this.logger.error(`Order book sync failed for ${symbol}:`, error);
+            }
+        });
+
+        this.books.set(symbol, book);
+        await book.start();
+    }
+
+    /**
+     * Stop maintaining a symbol's book
+     */
+    async stopMonitoring(symbol) {
+        if (this.books.has(symbol)) {
+            this.books.get(symbol).stop();
+            this.books.delete(symbol);
+        }
+    }
+
+    /**
+     * Get local book for a symbol
+     */
+    getBook(symbol) {
+        return this.books.get(symbol) || null;
+    }
+
+    /**
+     * Get book summary for a symbol
+     */
+    getSummary(symbol, options = {}) {
+        const book = this.getBook(symbol);
+        if (!book || !book.synced) return null;
+
+        const percent = options.percent || 1;
+        return {
+            symbol,
+            bestBid: book.getBestBid(),
+            bestAsk: book.getBestAsk(),
+            spread: book.getSpread(),
+            bidLiquidity: book.getCumulativeLiquidity('bid', { percent }),
+            askLiquidity: book.getCumulativeLiquidity('ask', { percent }),
+            walls: book.getWalls(),
+            lastUpdateId: book.lastUpdateId,
+            timestamp: new Date()
+        };
+    }
+}
+
+module.exports = OrderBookMonitor;
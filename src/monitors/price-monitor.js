@@ -3,6 +3,8 @@
  */
 
 const EventEmitter = require('events');
+const DataSource = require('../core/data-source');
+const { ConfigurationError } = require('../core/error-handler');
 
 class PriceMonitor extends EventEmitter {
     constructor(config = {}) {
@@ -10,6 +12,7 @@ class PriceMonitor extends EventEmitter {
         this.binance = config.binance;
         this.logger = config.logger;
         this.config = config;
+        this.dataSource = config.dataSource || new DataSource({ logger: config.logger });
         this.activeMonitors = new Map();
         this.priceHistory = new Map();
         this.alerts = new Map();
@@ -30,48 +33,68 @@ class PriceMonitor extends EventEmitter {
             this.priceHistory.set(symbol, []);
         }
 
-        const monitorInterval = setInterval(async () => {
-            try {
-                const price = await this.getCurrentPrice(symbol);
-                const history = this.priceHistory.get(symbol);
+        // Push mode: take prices from the kline stream instead of polling REST
+        if (options.stream && this.binance && !this.dataSource.isMock()) {
+            let lastProcessed = 0;
+            const unsubscribe = this.binance.subscribeToKlines(symbol, '1m', (kline) => {
+                // Keep history spacing consistent with polling mode
+                if (Date.now() - lastProcessed < updateInterval) return;
+                lastProcessed = Date.now();
+                this.processPrice(symbol, kline.close, 'live');
+            });
+
+            this.activeMonitors.set(symbol, { unsubscribe });
+        } else {
+            const monitorInterval = setInterval(async () => {
+                try {
+                    const { price, source } = await this.getCurrentPriceData(symbol);
+                    this.processPrice(symbol, price, source);
+                } catch (error) {
+                    if (this.logger) {
+                        this.logger.error('Price monitoring error:', error);
+                    }
+                }
+            }, updateInterval);
 
-                // Add to history
-                history.push({
-                    price,
-                    timestamp: new Date()
-                });
+            this.activeMonitors.set(symbol, { interval: monitorInterval });
+        }
 
-                // Keep only last 100 prices
-                if (history.length > 100) {
-                    history.shift();
-                }
+        // Get initial price
+        const initial = await this.getCurrentPriceData(symbol);
+        this.emit('monitoring_started', { symbol, price: initial.price, source: initial.source });
+    }
 
-                // Emit price update
-                this.emit('price_update', {
-                    symbol,
-                    price,
-                    change: this.calculateChange(symbol),
-                    timestamp: new Date()
-                });
+    /**
+     * Record a new price and run checks
+     */
+    processPrice(symbol, price, source = 'live') {
+        const history = this.priceHistory.get(symbol);
 
-                // Check alerts
-                this.checkAlerts(symbol, price);
+        // Add to history
+        history.push({
+            price,
+            timestamp: new Date()
+        });
 
-                // Check for significant movements
-                this.checkSignificantMovements(symbol, price);
+        // Keep only last 100 prices
+        if (history.length > 100) {
+            history.shift();
+        }
 
-            } catch (error) {
-                if (this.logger) {
-                    this.logger.error('Price monitoring error:', error);
-                }
-            }
-        }, updateInterval);
+        // Emit price update
+        this.emit('price_update', {
+            symbol,
+            price,
+            change: this.calculateChange(symbol),
+            source,
+            timestamp: new Date()
+        });
 
-        this.activeMonitors.set(symbol, monitorInterval);
+        // Check alerts
+        this.checkAlerts(symbol, price);
 
-        // Get initial price
-        const initialPrice = await this.getCurrentPrice(symbol);
-        this.emit('monitoring_started', { symbol, price: initialPrice });
+        // Check for significant movements
+        this.checkSignificantMovements(symbol, price);
     }
 
     /**
@@ -79,7 +102,12 @@ class PriceMonitor extends EventEmitter {
      */
     async stopMonitoring(symbol) {
         if (this.activeMonitors.has(symbol)) {
-            clearInterval(this.activeMonitors.get(symbol));
+            const monitor = this.activeMonitors.get(symbol);
+            if (monitor.unsubscribe) {
+                monitor.unsubscribe();
+            } else {
+                clearInterval(monitor.interval);
+            }
             this.activeMonitors.delete(symbol);
             this.emit('monitoring_stopped', { symbol });
         }
@@ -89,14 +117,21 @@ class PriceMonitor extends EventEmitter {
      * Get current price
      */
     async getCurrentPrice(symbol) {
+        const data = await this.getCurrentPriceData(symbol);
+        return data.price;
+    }
+
+    /**
+     * Get current price with its data source
+     */
+    async getCurrentPriceData(symbol) {
         if (this.binance) {
-            try {
-                return await this.binance.getPrice(symbol);
-            } catch (error) {
-                return this.getMockPrice(symbol);
-            }
+            return this.binance.getPriceData(symbol);
+        }
+        if (this.dataSource.isStrict()) {
+            throw new ConfigurationError('Binance API not configured', 'binance');
         }
-        return this.getMockPrice(symbol);
+        return { symbol, price: this.getMockPrice(symbol), source: 'mock' };
     }
 
     /**
@@ -251,18 +286,7 @@ class PriceMonitor extends EventEmitter {
      * Get mock price for testing
      */
     getMockPrice(symbol) {
-        const basePrices = {
-            'BTCUSDT': 50000,
-            'ETHUSDT': 3000,
-            'BNBUSDT': 400,
-            'SOLUSDT': 150,
-            'ADAUSDT': 0.5
-        };
-
-        const base = basePrices[symbol] || 100;
-        const variance = base * 0.01; // 1% variance
-
-        return base + (Math.random() - 0.5) * variance;
+        return this.dataSource.mock.price(symbol);
     }
 }
 
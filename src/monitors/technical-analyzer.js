@@ -3,13 +3,46 @@
  */
 
 const EventEmitter = require('events');
+const DataSource = require('../core/data-source');
+const library = require('../indicators');
+const patternLibrary = require('../patterns');
+const levelLibrary = require('../levels');
+const StrategyRegistry = require('../strategies/strategy-registry');
+const DefaultStrategy = require('../strategies/default-strategy');
+const { ConfigurationError, ValidationError } = require('../core/error-handler');
+
+// Binance kline intervals; 1M is left out as its candles vary in length
+const KLINE_INTERVALS = ['1s', '1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w'];
+
+// Klines Binance returns per request
+const MAX_KLINES = 1000;
+
+// |confluence score| needed for a multi-timeframe BULLISH/BEARISH signal
+const CONFLUENCE_THRESHOLD = 0.25;
 
 class TechnicalAnalyzer extends EventEmitter {
     constructor(config = {}) {
         super();
         this.binance = config.binance;
         this.cryptoQuant = config.cryptoQuant;
+        this.futures = config.futures;
+        this.klineHistory = config.klineHistory;
+        this.flowMonitor = config.flowMonitor;
+        this.onChain = config.onChain || {};
+        this.flowSignal = config.flowSignal || {};
+        this.patterns = config.patterns || {};
+        this.levels = config.levels || {};
+        this.sessionVolume = config.sessionVolume || {};
         this.logger = config.logger;
+        this.dataSource = config.dataSource || new DataSource({ logger: config.logger });
+        this.strategies = config.strategies || new StrategyRegistry({ logger: config.logger });
+        if (!this.strategies.has('default')) {
+            this.strategies.register(new DefaultStrategy({
+                onChainWeight: this.onChain.signalWeight,
+                flowWeights: this.flowSignal,
+                patternWeight: this.patterns.signalWeight
+            }));
+        }
         this.activeAnalysis = new Map();
     }
 
@@ -24,28 +57,67 @@ class TechnicalAnalyzer extends EventEmitter {
             return;
         }
 
-        const analysisInterval = setInterval(async () => {
-            try {
-                const analysis = await this.analyze(symbol, options);
-                this.emit('analysis', { symbol, analysis });
+        // Push mode: re-run analysis whenever a candle closes
+        if (options.stream && this.binance && !this.dataSource.isMock()) {
+            const unsubscribe = this.binance.subscribeToKlines(symbol, interval, (kline) => {
+                if (kline.isClosed) {
+                    this.runAnalysis(symbol, options);
+                }
+            });
+
+            this.activeAnalysis.set(symbol, { unsubscribe });
+            return;
+        }
+
+        const analysisInterval = setInterval(() => this.runAnalysis(symbol, options), updateInterval);
+
+        this.activeAnalysis.set(symbol, { interval: analysisInterval });
+    }
 
-                // Check for signals
-                if (analysis.signal !== 'NEUTRAL') {
+    /**
+     * Run one analysis pass and emit results
+     */
+    async runAnalysis(symbol, options = {}) {
+        try {
+            const analysis = await this.analyze(symbol, options);
+            this.emit('analysis', { symbol, analysis });
+
+            // Check for signals
+            if (analysis.signal !== 'NEUTRAL') {
+                this.emit('signal', {
+                    symbol,
+                    strategy: analysis.strategy,
+                    signal: analysis.signal,
+                    strength: analysis.signalStrength,
+                    reasons: analysis.reasons,
+                    factors: analysis.factors,
+                    summary: analysis.summary,
+                    timeframes: analysis.timeframes,
+                    confluence: analysis.confluence,
+                    analysis
+                });
+            }
+
+            // Every further selected strategy signals on its own
+            Object.values(analysis.strategies || {})
+                .filter(result => result.name !== analysis.strategy && result.signal !== 'NEUTRAL')
+                .forEach(result => {
                     this.emit('signal', {
                         symbol,
-                        signal: analysis.signal,
-                        strength: analysis.signalStrength,
+                        strategy: result.name,
+                        signal: result.signal,
+                        strength: result.strength,
+                        reasons: result.reasons,
+                        factors: result.factors,
+                        summary: result.summary,
                         analysis
                     });
-                }
-            } catch (error) {
-                if (this.logger) {
-                    this.logger.error('Analysis error:', error);
-                }
+                });
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('Analysis error:', error);
             }
-        }, updateInterval);
-
-        this.activeAnalysis.set(symbol, analysisInterval);
+        }
     }
 
     /**
@@ -53,31 +125,84 @@ class TechnicalAnalyzer extends EventEmitter {
      */
     async stopAnalysis(symbol) {
         if (this.activeAnalysis.has(symbol)) {
-            clearInterval(this.activeAnalysis.get(symbol));
+            const analysis = this.activeAnalysis.get(symbol);
+            if (analysis.unsubscribe) {
+                analysis.unsubscribe();
+            } else {
+                clearInterval(analysis.interval);
+            }
             this.activeAnalysis.delete(symbol);
         }
     }
 
     /**
      * Perform technical analysis
+     * strategy picks one or more registered strategies by name (default: 'default');
+     * the first one sets the signal. With timeframes (e.g. ['15m', '1h', '4h', '1d'])
+     * every timeframe gets its own indicators and signal, and the overall signal
+     * comes from their confluence
      */
     async analyze(symbol, options = {}) {
         const interval = options.interval || '1h';
-        const period = options.period || 100;
+        this.validateTimeframes([interval]);
+        const timeframes = this.validateTimeframes(options.timeframes);
+        const strategies = this.strategies.resolve(options.strategy || 'default');
+        // Widen the window for long-period rule variables such as ema200
+        const period = Math.max(options.period || 100, ...strategies.map(strategy => strategy.candles));
+        const needs = (requirement) => strategies.some(strategy => strategy.needs(requirement));
+        if (options.anchor !== undefined && !Number.isFinite(options.anchor)) {
+            throw new ValidationError('Session anchor must be a timestamp', 'anchor', options.anchor);
+        }
 
         try {
             // Get market data
-            const [price, ticker, klines] = await Promise.all([
-                this.binance ? this.binance.getPrice(symbol) : this.getMockPrice(symbol),
-                this.binance ? this.binance.get24hrTicker(symbol) : this.getMockTicker(symbol),
-                this.binance ? this.binance.getKlines(symbol, interval, period) : this.getMockKlines(symbol)
-            ]);
+            const { price, ticker, klines, source } = await this.getMarketData(symbol, interval, period);
 
             // Calculate indicators
             const indicators = this.calculateIndicators(klines, options.indicators);
 
-            // Determine signal
-            const signal = this.determineSignal(indicators, price);
+            // Support/resistance zones
+            const levels = this.calculateLevels(klines, price);
+
+            // Session VWAP, value area and volume delta (from options.anchor when given)
+            const session = this.calculateSessionVolume(klines, price, options.anchor);
+
+            // Candlestick and chart patterns (opt-in, or for strategies that use them)
+            const patterns = options.patterns || needs('patterns')
+                ? this.detectPatterns(klines)
+                : undefined;
+
+            // On-chain bias (opt-in, CryptoQuant)
+            const onChain = (options.onChain || needs('onChain')) && this.cryptoQuant
+                ? await this.getOnChainBias(symbol)
+                : undefined;
+
+            // Perpetuals positioning (opt-in, extra requests)
+            const futures = (options.futures || needs('futures')) && this.futures
+                ? await this.getFuturesData(symbol, interval)
+                : undefined;
+
+            // Exchange flows and whale activity (opt-in, or for strategies that use them)
+            const flows = (options.flows || needs('flows')) && this.flowMonitor
+                ? await this.getFlowData(symbol)
+                : undefined;
+
+            // Run the selected strategies; the first one decides the signal
+            const context = { symbol, interval, price, klines, indicators, levels, session, onChain, futures, flows, patterns };
+            const results = strategies.map(strategy => this.evaluateStrategy(strategy, context));
+            let signal = { type: results[0].signal, strength: results[0].strength };
+
+            // Per-timeframe signals and their confluence (opt-in)
+            let multiTimeframe;
+            if (timeframes) {
+                multiTimeframe = await this.analyzeTimeframes(symbol, timeframes, { ...options, period }, strategies[0], context);
+                signal = { type: multiTimeframe.confluence.signal, strength: multiTimeframe.confluence.strength };
+            }
+
+            const byName = {};
+            results.forEach(result => {
+                byName[result.name] = result;
+            });
 
             return {
                 symbol,
@@ -87,8 +212,31 @@ class TechnicalAnalyzer extends EventEmitter {
                 ...indicators,
                 signal: signal.type,
                 signalStrength: signal.strength,
-                support: this.calculateSupport(klines),
-                resistance: this.calculateResistance(klines),
+                strategy: results[0].name,
+                reasons: results[0].reasons,
+                factors: results[0].factors,
+                summary: results[0].summary,
+                strategies: byName,
+                support: this.calculateSupport(klines, levels),
+                resistance: this.calculateResistance(klines, levels),
+                zones: levels.zones,
+                pivotPoints: levels.pivotPoints,
+                session,
+                patterns,
+                futures,
+                onChain,
+                flows: flows && {
+                    netflow: flows.netflow.netBalance,
+                    netflowZScore: flows.netflow.statistics.zScore,
+                    marketImpact: flows.marketImpact,
+                    whales: flows.whales,
+                    source: flows.source
+                },
+                timeframes: multiTimeframe?.timeframes,
+                confluence: multiTimeframe?.confluence,
+                source: this.dataSource.combine(
+                    source, futures?.source, onChain?.source, flows?.source, multiTimeframe?.source
+                ),
                 timestamp: new Date()
             };
 
@@ -96,117 +244,308 @@ class TechnicalAnalyzer extends EventEmitter {
             if (this.logger) {
                 this.logger.error('Analysis failed:', error);
             }
-            return this.getMockAnalysis(symbol);
+            return this.dataSource.fallback(error, () => this.getMockAnalysis(symbol), 'binance');
         }
     }
 
     /**
-     * Calculate technical indicators
+     * Check timeframes against the Binance intervals, shortest first
+     * Returns null when no multi-timeframe analysis was requested
      */
-    calculateIndicators(klines, indicatorConfig = {}) {
-        const closes = klines.map(k => k.close);
-        const volumes = klines.map(k => k.volume);
-
-        const indicators = {};
-
-        // RSI
-        if (indicatorConfig.rsi !== false) {
-            indicators.rsi = this.calculateRSI(closes, 14);
+    validateTimeframes(timeframes) {
+        if (!timeframes || timeframes.length === 0) return null;
+
+        const invalid = timeframes.find(timeframe => !KLINE_INTERVALS.includes(timeframe));
+        if (invalid) {
+            throw new ValidationError(
+                `Unsupported timeframe ${invalid} (use ${KLINE_INTERVALS.join(', ')})`,
+                'timeframes',
+                invalid
+            );
         }
 
-        // MACD
-        if (indicatorConfig.macd) {
-            indicators.macd = this.calculateMACD(closes);
-        }
+        return Array.from(new Set(timeframes))
+            .sort((a, b) => this.dataSource.mock.intervalMs(a) - this.dataSource.mock.intervalMs(b));
+    }
 
-        // Bollinger Bands
-        if (indicatorConfig.bb) {
-            indicators.bollingerBands = this.calculateBollingerBands(closes, 20, 2);
-        }
+    /**
+     * Indicators and a strategy signal per timeframe, plus their confluence
+     */
+    async analyzeTimeframes(symbol, timeframes, options, strategy, context) {
+        const results = await Promise.all(timeframes.map(async (timeframe) => {
+            const klines = await this.getKlines(symbol, timeframe, options.period);
+            const indicators = this.calculateIndicators(klines, { ...options.indicators, series: false });
+            const levels = this.calculateLevels(klines);
+            const session = this.calculateSessionVolume(klines, undefined, options.anchor);
+            const patterns = context.patterns ? this.detectPatterns(klines) : undefined;
+            const signal = this.evaluateStrategy(strategy, { ...context, interval: timeframe, klines, indicators, levels, session, patterns });
 
-        // Volume analysis
-        indicators.volumeChange = this.calculateVolumeChange(volumes);
+            return {
+                interval: timeframe,
+                signal: signal.signal,
+                strength: signal.strength,
+                reasons: signal.reasons,
+                ...indicators,
+                support: this.calculateSupport(klines, levels),
+                resistance: this.calculateResistance(klines, levels),
+                patterns,
+                source: klines.source || 'live'
+            };
+        }));
+
+        const byInterval = {};
+        results.forEach(result => {
+            byInterval[result.interval] = result;
+        });
 
-        return indicators;
+        return {
+            timeframes: byInterval,
+            confluence: this.calculateConfluence(results, options.timeframeWeights),
+            source: this.dataSource.combine(...results.map(result => result.source))
+        };
     }
 
     /**
-     * Calculate RSI
+     * Combine per-timeframe signals into a -1..+1 confluence score
+     * bias is the weighted mean of direction x strength and agreement the weighted
+     * share of timeframes pointing the same way; score = bias x agreement, so
+     * mixed or neutral timeframes pull it toward 0
      */
-    calculateRSI(prices, period = 14) {
-        if (prices.length < period + 1) return 50;
+    calculateConfluence(results, weights = {}) {
+        const direction = { BULLISH: 1, BEARISH: -1, NEUTRAL: 0 };
+        let totalWeight = 0;
+        let weightedBias = 0;
+        let weightedDirection = 0;
+
+        for (const result of results) {
+            const weight = weights[result.interval] !== undefined ? weights[result.interval] : 1;
+            totalWeight += weight;
+            weightedBias += weight * direction[result.signal] * result.strength;
+            weightedDirection += weight * direction[result.signal];
+        }
 
-        let gains = 0;
-        let losses = 0;
+        const bias = totalWeight ? weightedBias / totalWeight : 0;
+        const agreement = totalWeight ? Math.abs(weightedDirection) / totalWeight : 0;
+        const score = bias * agreement;
 
-        for (let i = 1; i <= period; i++) {
-            const difference = prices[i] - prices[i - 1];
-            if (difference >= 0) {
-                gains += difference;
-            } else {
-                losses -= difference;
+        let signal = 'NEUTRAL';
+        if (score >= CONFLUENCE_THRESHOLD) signal = 'BULLISH';
+        else if (score <= -CONFLUENCE_THRESHOLD) signal = 'BEARISH';
+
+        return {
+            score,
+            signal,
+            strength: signal === 'NEUTRAL' ? 0 : Math.min(Math.abs(score), 1),
+            bias,
+            agreement,
+            bullish: results.filter(result => result.signal === 'BULLISH').map(result => result.interval),
+            bearish: results.filter(result => result.signal === 'BEARISH').map(result => result.interval),
+            neutral: results.filter(result => result.signal === 'NEUTRAL').map(result => result.interval)
+        };
+    }
+
+    /**
+     * Fetch klines for one interval, from the local history when available
+     */
+    async getKlines(symbol, interval, period) {
+        if (!this.binance) {
+            if (this.dataSource.isStrict()) {
+                throw new ConfigurationError('Binance API not configured', 'binance');
             }
+            return this.dataSource.tag(this.getMockKlines(symbol, interval, period), 'mock');
         }
 
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
+        if (this.klineHistory) {
+            return this.klineHistory.getKlines(symbol, interval, { limit: period });
+        }
+        if (period > MAX_KLINES && this.logger) {
+            this.logger.warn(`${period} ${interval} klines requested without kline history, only the last ${MAX_KLINES} are fetched`);
+        }
+        return this.binance.getKlines(symbol, interval, Math.min(period, MAX_KLINES));
+    }
 
-        if (avgLoss === 0) return 100;
+    /**
+     * Fetch price, ticker and klines, tracking whether any of it is mock data
+     */
+    async getMarketData(symbol, interval, period) {
+        if (!this.binance) {
+            if (this.dataSource.isStrict()) {
+                throw new ConfigurationError('Binance API not configured', 'binance');
+            }
+            return {
+                price: this.getMockPrice(symbol),
+                ticker: this.getMockTicker(symbol),
+                klines: this.getMockKlines(symbol, interval, period),
+                source: 'mock'
+            };
+        }
 
-        const rs = avgGain / avgLoss;
-        const rsi = 100 - (100 / (1 + rs));
+        const [priceData, ticker, klines] = await Promise.all([
+            this.binance.getPriceData(symbol),
+            this.binance.get24hrTicker(symbol),
+            this.getKlines(symbol, interval, period)
+        ]);
 
-        return Math.round(rsi * 100) / 100;
+        return {
+            price: priceData.price,
+            ticker,
+            klines,
+            source: this.dataSource.combine(priceData.source, ticker.source, klines.source)
+        };
     }
 
     /**
-     * Calculate MACD
+     * Fetch funding, open interest and top trader positioning
      */
-    calculateMACD(prices) {
-        // Simplified MACD calculation
-        const ema12 = this.calculateEMA(prices, 12);
-        const ema26 = this.calculateEMA(prices, 26);
-        const macdLine = ema12 - ema26;
-        const signal = this.calculateEMA([macdLine], 9);
-        const histogram = macdLine - signal;
+    async getFuturesData(symbol, interval) {
+        const [mark, openInterest, longShort] = await Promise.all([
+            this.futures.getMarkPrice(symbol),
+            this.futures.getOpenInterestHistory(symbol, { period: interval, limit: 30 }),
+            this.futures.getTopLongShortRatio(symbol, { period: interval, limit: 1 })
+        ]);
+
+        const firstOI = openInterest[0];
+        const lastOI = openInterest[openInterest.length - 1];
+        const lastRatio = longShort[longShort.length - 1];
 
         return {
-            macd: macdLine,
-            signal,
-            histogram
+            markPrice: mark.markPrice,
+            indexPrice: mark.indexPrice,
+            basisPercent: ((mark.markPrice - mark.indexPrice) / mark.indexPrice) * 100,
+            fundingRate: mark.fundingRate,
+            nextFundingTime: mark.nextFundingTime,
+            openInterest: lastOI ? lastOI.sumOpenInterest : null,
+            openInterestValue: lastOI ? lastOI.sumOpenInterestValue : null,
+            openInterestChange: firstOI && lastOI
+                ? ((lastOI.sumOpenInterest - firstOI.sumOpenInterest) / firstOI.sumOpenInterest) * 100
+                : null,
+            longShortRatio: lastRatio ? lastRatio.longShortRatio : null,
+            source: this.dataSource.combine(mark.source, openInterest.source, longShort.source)
         };
     }
 
     /**
-     * Calculate EMA
+     * Score configured CryptoQuant metrics for the base asset
      */
-    calculateEMA(prices, period) {
-        if (prices.length < period) return prices[prices.length - 1];
+    async getOnChainBias(symbol) {
+        const asset = this.dataSource.mock.baseAsset(symbol);
+        const { metrics, source } = await this.cryptoQuant.getOnChainMetrics(asset, this.onChain.metrics);
+        const bias = this.cryptoQuant.scoreMetrics(metrics, this.onChain.weights);
+
+        return { ...bias, asset, source };
+    }
+
+    /**
+     * Exchange flows with whale transfer counts for the statistics window
+     */
+    async getFlowData(symbol) {
+        const flows = await this.flowMonitor.getFlows(symbol);
+        const whales = await this.flowMonitor.getWhaleActivity(symbol, flows);
+        return { ...flows, whales };
+    }
+
+    /**
+     * Candlestick patterns of the last candles and chart patterns, most confident first
+     */
+    detectPatterns(klines) {
+        return patternLibrary.detect(klines, {
+            lookback: this.patterns.lookback,
+            strength: this.patterns.strength,
+            maxAge: this.patterns.maxAge
+        });
+    }
 
-        const k = 2 / (period + 1);
-        let ema = prices[0];
+    /**
+     * Calculate technical indicators - latest values, plus full series with
+     * indicatorConfig.series. sma/ema take a period (true = 20)
+     */
+    calculateIndicators(klines, indicatorConfig = {}) {
+        const closes = klines.map(k => k.close);
+        const volumes = klines.map(k => k.volume);
+
+        const computed = {};
 
-        for (let i = 1; i < prices.length; i++) {
-            ema = prices[i] * k + ema * (1 - k);
+        if (indicatorConfig.rsi !== false) {
+            computed.rsi = library.rsi(closes, 14);
+        }
+        if (indicatorConfig.macd) {
+            computed.macd = library.macd(closes);
+        }
+        if (indicatorConfig.bb) {
+            computed.bollingerBands = library.bollinger(closes, { period: 20, multiplier: 2 });
+        }
+        if (indicatorConfig.sma) {
+            computed.sma = library.sma(closes, indicatorConfig.sma === true ? 20 : indicatorConfig.sma);
+        }
+        if (indicatorConfig.ema) {
+            computed.ema = library.ema(closes, indicatorConfig.ema === true ? 20 : indicatorConfig.ema);
+        }
+        if (indicatorConfig.atr) {
+            computed.atr = library.atr(klines, 14);
+        }
+        if (indicatorConfig.stochastic) {
+            computed.stochastic = library.stochastic(klines);
+        }
+        if (indicatorConfig.adx) {
+            computed.adx = library.adx(klines, 14);
+        }
+        if (indicatorConfig.obv) {
+            computed.obv = library.obv(klines);
+        }
+        if (indicatorConfig.vwap) {
+            computed.vwap = library.vwap(klines);
         }
 
-        return ema;
+        const result = {};
+        for (const [name, indicator] of Object.entries(computed)) {
+            result[name] = indicator.value;
+        }
+
+        // RSI reads neutral until it has warmed up
+        if (computed.rsi) {
+            result.rsi = computed.rsi.value !== null ? Math.round(computed.rsi.value * 100) / 100 : 50;
+        }
+
+        // Volume analysis
+        result.volumeChange = this.calculateVolumeChange(volumes);
+
+        if (indicatorConfig.series) {
+            result.series = {};
+            for (const [name, indicator] of Object.entries(computed)) {
+                result.series[name] = indicator.series;
+            }
+        }
+
+        return result;
     }
 
     /**
-     * Calculate Bollinger Bands
+     * Calculate RSI (Wilder) of the latest close, 50 until warmed up
      */
-    calculateBollingerBands(prices, period = 20, stdDev = 2) {
-        const sma = prices.slice(-period).reduce((a, b) => a + b, 0) / period;
-        const variance = prices.slice(-period)
-            .reduce((sum, price) => sum + Math.pow(price - sma, 2), 0) / period;
-        const std = Math.sqrt(variance);
+    calculateRSI(prices, period = 14) {
+        const { value } = library.rsi(prices, period);
+        return value !== null ? Math.round(value * 100) / 100 : 50;
+    }
 
-        return {
-            upper: sma + (std * stdDev),
-            middle: sma,
-            lower: sma - (std * stdDev)
-        };
+    /**
+     * Calculate MACD of the latest close
+     */
+    calculateMACD(prices) {
+        return library.macd(prices).value;
+    }
+
+    /**
+     * Calculate EMA of the latest close
+     */
+    calculateEMA(prices, period) {
+        return library.ema(prices, period).value;
+    }
+
+    /**
+     * Calculate Bollinger Bands of the latest close
+     */
+    calculateBollingerBands(prices, period = 20, stdDev = 2) {
+        return library.bollinger(prices, { period, multiplier: stdDev }).value;
     }
 
     /**
@@ -220,101 +559,104 @@ class TechnicalAnalyzer extends EventEmitter {
     }
 
     /**
-     * Calculate support level
+     * Ranked support/resistance zones around price (default: the latest close)
+     */
+    calculateLevels(klines, price) {
+        return levelLibrary.findZones(klines, { ...this.levels, price });
+    }
+
+    /**
+     * Anchored VWAP, volume profile and volume delta of the session holding the
+     * latest candle, or from anchor (a timestamp) when given
+     */
+    calculateSessionVolume(klines, price, anchor) {
+        return levelLibrary.sessionVolume(klines, { ...this.sessionVolume, price, anchor });
+    }
+
+    /**
+     * Support level: the nearest strong support zone, else the lowest low of 20 candles
      */
-    calculateSupport(klines) {
+    calculateSupport(klines, levels = this.calculateLevels(klines)) {
+        if (levels.support) return levels.support.price;
         const lows = klines.map(k => k.low);
         return Math.min(...lows.slice(-20));
     }
 
     /**
-     * Calculate resistance level
+     * Resistance level: the nearest strong resistance zone, else the highest high of 20 candles
      */
-    calculateResistance(klines) {
+    calculateResistance(klines, levels = this.calculateLevels(klines)) {
+        if (levels.resistance) return levels.resistance.price;
         const highs = klines.map(k => k.high);
         return Math.max(...highs.slice(-20));
     }
 
     /**
-     * Determine trading signal
+     * Run a strategy; one that throws reads neutral instead of failing the analysis
      */
-    determineSignal(indicators, currentPrice) {
-        let bullishPoints = 0;
-        let bearishPoints = 0;
-
-        // RSI signals
-        if (indicators.rsi) {
-            if (indicators.rsi < 30) bullishPoints += 2;
-            else if (indicators.rsi < 40) bullishPoints += 1;
-            else if (indicators.rsi > 70) bearishPoints += 2;
-            else if (indicators.rsi > 60) bearishPoints += 1;
-        }
-
-        // MACD signals
-        if (indicators.macd) {
-            if (indicators.macd.histogram > 0) bullishPoints += 1;
-            else bearishPoints += 1;
-        }
-
-        // Volume signals
-        if (indicators.volumeChange > 50) {
-            if (indicators.rsi < 50) bullishPoints += 1;
-            else bearishPoints += 1;
+    evaluateStrategy(strategy, context) {
+        try {
+            const result = strategy.evaluate(context);
+            return {
+                name: strategy.name,
+                signal: result.signal || 'NEUTRAL',
+                strength: result.strength || 0,
+                reasons: result.reasons || [],
+                factors: result.factors || [],
+                summary: result.summary || ''
+            };
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error(`Strategy ${strategy.name} failed:`, error);
+            }
+            return { name: strategy.name, signal: 'NEUTRAL', strength: 0, reasons: [], factors: [], summary: '', error: error.message };
         }
+    }
 
-        // Determine signal type and strength
-        const netScore = bullishPoints - bearishPoints;
-        const strength = Math.min(Math.abs(netScore) / 4, 1);
-
-        if (netScore > 1) {
-            return { type: 'BULLISH', strength };
-        } else if (netScore < -1) {
-            return { type: 'BEARISH', strength };
-        } else {
-            return { type: 'NEUTRAL', strength: 0 };
-        }
+    /**
+     * Determine trading signal with the default strategy
+     * flows: ExchangeFlowMonitor.getFlows() result, optionally with whales counts
+     * patterns: detectPatterns() matches
+     */
+    determineSignal(indicators, currentPrice, onChain, flows, patterns) {
+        const result = this.strategies.get('default').evaluate({ indicators, price: currentPrice, onChain, flows, patterns });
+        return {
+            type: result.signal,
+            strength: result.strength,
+            reasons: result.reasons,
+            factors: result.factors,
+            summary: result.summary
+        };
     }
 
     // Mock methods for testing
     getMockPrice(symbol) {
-        const prices = {
-            'BTCUSDT': 50000,
-            'ETHUSDT': 3000,
-            'BNBUSDT': 400
-        };
-        return prices[symbol] || 100;
+        return this.dataSource.mock.price(symbol);
     }
 
     getMockTicker(symbol) {
-        return {
-            symbol,
-            priceChangePercent: (Math.random() - 0.5) * 10,
-            volume: Math.random() * 1000000
-        };
+        return this.dataSource.mock.ticker(symbol);
     }
 
-    getMockKlines(symbol) {
-        const price = this.getMockPrice(symbol);
-        return Array(100).fill(0).map(() => ({
-            open: price,
-            high: price * 1.01,
-            low: price * 0.99,
-            close: price * (1 + (Math.random() - 0.5) * 0.02),
-            volume: Math.random() * 1000
-        }));
+    getMockKlines(symbol, interval = '1h', limit = 100) {
+        return this.dataSource.mock.klines(symbol, interval, limit);
     }
 
     getMockAnalysis(symbol) {
+        const price = this.getMockPrice(symbol);
+        const ticker = this.getMockTicker(symbol);
+        const klines = this.getMockKlines(symbol);
+
         return {
             symbol,
-            currentPrice: this.getMockPrice(symbol),
-            change24h: (Math.random() - 0.5) * 10,
-            volume24h: Math.random() * 50000000,
-            rsi: 50 + (Math.random() - 0.5) * 40,
+            currentPrice: price,
+            change24h: ticker.priceChangePercent,
+            volume24h: ticker.volume * price,
+            rsi: this.calculateRSI(klines.map(k => k.close), 14),
             signal: 'NEUTRAL',
-            signalStrength: 0.5,
-            support: this.getMockPrice(symbol) * 0.95,
-            resistance: this.getMockPrice(symbol) * 1.05,
+            signalStrength: 0,
+            support: this.calculateSupport(klines),
+            resistance: this.calculateResistance(klines),
             timestamp: new Date()
         };
     }
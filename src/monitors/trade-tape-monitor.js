@@ -0,0 +1,152 @@
+/**
+ * Trade Tape Monitor Module
+ * Detects on-tape whales from the aggTrade stream
+ */
+
+const EventEmitter = require('events');
+
+class TradeTapeMonitor extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.binance = config.binance;
+        this.logger = config.logger;
+        this.config = config;
+        this.thresholds = config.thresholds || {};
+        this.defaultThreshold = config.defaultThreshold || 500000;
+        this.clusterWindow = config.clusterWindow || 10000;
+        this.activeMonitors = new Map();
+    }
+
+    /**
+     * Start watching the trade tape for a symbol
+     */
+    async startMonitoring(symbol, options = {}) {
+        if (this.activeMonitors.has(symbol) || !this.binance) {
+            return;
+        }
+
+        const threshold = options.tradeThreshold || this.getThreshold(symbol);
+        const monitor = {
+            threshold,
+            clusterThreshold: options.clusterThreshold || threshold,
+            clusters: {
+                BUY: { trades: [], quantity: 0, notional: 0 },
+                SELL: { trades: [], quantity: 0, notional: 0 }
+            },
+            unsubscribe: null
+        };
+
+        monitor.unsubscribe = this.binance.subscribeToAggTrades(symbol, (trade) => {
+            try {
+                this.processTrade(symbol, trade, monitor);
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.error('Trade tape error:', error);
+                }
+            }
+        });
+
+        this.activeMonitors.set(symbol, monitor);
+    }
+
+    /**
+     * Stop watching a symbol
+     */
+    async stopMonitoring(symbol) {
+        if (this.activeMonitors.has(symbol)) {
+            this.activeMonitors.get(symbol).unsubscribe();
+            this.activeMonitors.delete(symbol);
+        }
+    }
+
+    /**
+     * Get notional threshold for a symbol
+     */
+    getThreshold(symbol) {
+        return this.thresholds[symbol] || this.defaultThreshold;
+    }
+
+    /**
+     * Classify taker side - buyer is maker means the taker sold
+     */
+    getTakerSide(trade) {
+        return trade.isBuyerMaker ? 'SELL' : 'BUY';
+    }
+
+    /**
+     * Check a single trade and the running cluster for its side
+     */
+    processTrade(symbol, trade, monitor) {
+        const side = this.getTakerSide(trade);
+        const notional = trade.price * trade.quantity;
+
+        if (notional >= monitor.threshold) {
+            this.emitWhale(symbol, side, {
+                quantity: trade.quantity,
+                notional,
+                price: trade.price,
+                trades: 1,
+                firstTradeTime: trade.time,
+                lastTradeTime: trade.time,
+                threshold: monitor.threshold,
+                cluster: false
+            });
+            return;
+        }
+
+        const cluster = monitor.clusters[side];
+        cluster.trades.push({ time: trade.time, quantity: trade.quantity, notional });
+        cluster.quantity += trade.quantity;
+        cluster.notional += notional;
+
+        // Drop trades that fell out of the window
+        while (cluster.trades.length > 0 && trade.time - cluster.trades[0].time > this.clusterWindow) {
+            const expired = cluster.trades.shift();
+            cluster.quantity -= expired.quantity;
+            cluster.notional -= expired.notional;
+        }
+
+        if (cluster.notional >= monitor.clusterThreshold) {
+            this.emitWhale(symbol, side, {
+                quantity: cluster.quantity,
+                notional: cluster.notional,
+                price: cluster.notional / cluster.quantity,
+                trades: cluster.trades.length,
+                firstTradeTime: cluster.trades[0].time,
+                lastTradeTime: trade.time,
+                threshold: monitor.clusterThreshold,
+                cluster: true
+            });
+
+            cluster.trades = [];
+            cluster.quantity = 0;
+            cluster.notional = 0;
+        }
+    }
+
+    /**
+     * Emit whale_detected in the same shape as flow alerts
+     */
+    emitWhale(symbol, side, details) {
+        const baseAsset = symbol.replace('USDT', '');
+        const isBuy = side === 'BUY';
+        const label = details.cluster
+            ? `${details.trades} clustered market ${isBuy ? 'buys' : 'sells'}`
+            : `Market ${isBuy ? 'buy' : 'sell'}`;
+
+        this.emit('whale_detected', {
+            type: isBuy ? 'WHALE_MARKET_BUY' : 'WHALE_MARKET_SELL',
+            severity: details.notional >= details.threshold * 5 ? 'high' : 'medium',
+            amount: details.quantity,
+            symbol,
+            impact: isBuy ? 'BULLISH' : 'BEARISH',
+            message: `${label} on Binance: ${details.quantity.toFixed(2)} ${baseAsset} ($${Math.round(details.notional).toLocaleString()})`,
+            detector: 'trade_tape',
+            side,
+            ...details,
+            timestamp: new Date()
+        });
+    }
+}
+
+module.exports = TradeTapeMonitor;
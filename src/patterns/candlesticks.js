@@ -0,0 +1,162 @@
+/**
+ * Candlestick Patterns Module
+ * One- to three-candle patterns: doji, hammer, shooting star, engulfing and
+ * morning/evening star. Reversal patterns score higher after a clear move
+ * in the opposite direction; hammers, shooting stars and stars need one
+ */
+
+const { clamp, match, anatomy, priorTrend } = require('./pattern');
+
+// Close-to-close move (percent) over the prior candles that counts as a full trend
+const FULL_TREND = 2;
+
+/**
+ * 0..1 for how strongly the prior move ran the way a reversal needs (-1 = down, 1 = up)
+ */
+function trendScore(trend, direction) {
+    return clamp((trend * direction) / FULL_TREND);
+}
+
+/**
+ * Open and close within 10% of the range
+ */
+function doji(klines, i) {
+    const candle = anatomy(klines[i]);
+    if (candle.range === 0 || candle.body > candle.range * 0.1) return null;
+
+    const trend = priorTrend(klines, i);
+    return match(klines, i, {
+        name: 'doji',
+        type: 'candlestick',
+        direction: 'NEUTRAL',
+        confidence: 0.5 + 0.3 * (1 - candle.body / (candle.range * 0.1)) + 0.2 * clamp(Math.abs(trend) / FULL_TREND),
+        description: 'Doji: indecision, open and close almost equal'
+    });
+}
+
+/**
+ * Hammer (after a decline) or shooting star (after a rally): a small body
+ * at one end of the range with a shadow at least twice the body on the other
+ */
+function hammerOrShootingStar(klines, i) {
+    const candle = anatomy(klines[i]);
+    if (candle.range === 0 || candle.body <= candle.range * 0.1) return null;
+
+    const trend = priorTrend(klines, i);
+    if (candle.lower >= candle.body * 2 && candle.upper <= candle.range * 0.15 && trend < 0) {
+        return match(klines, i, {
+            name: 'hammer',
+            type: 'candlestick',
+            direction: 'BULLISH',
+            confidence: 0.4 + 0.3 * clamp((candle.lower / candle.body - 2) / 2) + 0.3 * trendScore(trend, -1),
+            description: 'Hammer: sellers pushed the price down and buyers took it back'
+        });
+    }
+    if (candle.upper >= candle.body * 2 && candle.lower <= candle.range * 0.15 && trend > 0) {
+        return match(klines, i, {
+            name: 'shootingStar',
+            type: 'candlestick',
+            direction: 'BEARISH',
+            confidence: 0.4 + 0.3 * clamp((candle.upper / candle.body - 2) / 2) + 0.3 * trendScore(trend, 1),
+            description: 'Shooting star: buyers pushed the price up and sellers took it back'
+        });
+    }
+    return null;
+}
+
+/**
+ * A candle whose body covers the opposite-colored body before it
+ */
+function engulfing(klines, i) {
+    if (i < 1) return null;
+    const previous = klines[i - 1];
+    const current = klines[i];
+    const before = anatomy(previous);
+    const candle = anatomy(current);
+    if (before.body === 0 || candle.body <= before.body) return null;
+
+    const trend = priorTrend(klines, i - 1);
+    const size = clamp(candle.body / before.body - 1);
+
+    if (before.bearish && candle.bullish && current.open <= previous.close && current.close >= previous.open) {
+        return match(klines, i, {
+            name: 'bullishEngulfing',
+            type: 'candlestick',
+            direction: 'BULLISH',
+            confidence: 0.4 + 0.3 * size + 0.3 * trendScore(trend, -1),
+            description: 'Bullish engulfing: buyers overwhelmed the previous red candle'
+        });
+    }
+    if (before.bullish && candle.bearish && current.open >= previous.close && current.close <= previous.open) {
+        return match(klines, i, {
+            name: 'bearishEngulfing',
+            type: 'candlestick',
+            direction: 'BEARISH',
+            confidence: 0.4 + 0.3 * size + 0.3 * trendScore(trend, 1),
+            description: 'Bearish engulfing: sellers overwhelmed the previous green candle'
+        });
+    }
+    return null;
+}
+
+/**
+ * Morning star (after a decline) or evening star (after a rally): a long
+ * candle, a small star beyond its close, then a candle closing past the
+ * first one's midpoint
+ */
+function star(klines, i) {
+    if (i < 2) return null;
+    const [first, middle, last] = [klines[i - 2], klines[i - 1], klines[i]];
+    const long = anatomy(first);
+    const small = anatomy(middle);
+    const confirm = anatomy(last);
+
+    const bodies = klines.slice(Math.max(0, i - 12), i - 2).map(kline => Math.abs(kline.close - kline.open));
+    const averageBody = bodies.length ? bodies.reduce((total, body) => total + body, 0) / bodies.length : long.body;
+    if (long.body === 0 || long.body < averageBody || small.body > long.body * 0.3) return null;
+
+    const midpoint = (first.open + first.close) / 2;
+    const trend = priorTrend(klines, i - 2);
+
+    if (long.bearish && Math.min(middle.open, middle.close) <= first.close && confirm.bullish && last.close >= midpoint && trend < 0) {
+        return match(klines, i, {
+            name: 'morningStar',
+            type: 'candlestick',
+            direction: 'BULLISH',
+            confidence: 0.5 + 0.25 * clamp((last.close - midpoint) / (long.body / 2)) + 0.25 * trendScore(trend, -1),
+            description: 'Morning star: a decline stalled and buyers recovered half of its last candle'
+        });
+    }
+    if (long.bullish && Math.max(middle.open, middle.close) >= first.close && confirm.bearish && last.close <= midpoint && trend > 0) {
+        return match(klines, i, {
+            name: 'eveningStar',
+            type: 'candlestick',
+            direction: 'BEARISH',
+            confidence: 0.5 + 0.25 * clamp((midpoint - last.close) / (long.body / 2)) + 0.25 * trendScore(trend, 1),
+            description: 'Evening star: a rally stalled and sellers took back half of its last candle'
+        });
+    }
+    return null;
+}
+
+/**
+ * Candlestick patterns completed in the last `lookback` candles, oldest first
+ */
+function candlestickPatterns(klines, { lookback = 3 } = {}) {
+    const matches = [];
+    for (let i = Math.max(0, klines.length - lookback); i < klines.length; i++) {
+        [doji, hammerOrShootingStar, engulfing, star].forEach((detect) => {
+            const found = detect(klines, i);
+            if (found) matches.push(found);
+        });
+    }
+    return matches;
+}
+
+module.exports = {
+    doji,
+    hammerOrShootingStar,
+    engulfing,
+    star,
+    candlestickPatterns
+};
@@ -0,0 +1,162 @@
+/**
+ * Chart Patterns Module
+ * Patterns over swing points: market structure (higher highs / lower lows),
+ * double tops/bottoms and breakouts of swing levels. Tolerances scale with
+ * ATR(14), so they fit any timeframe and asset
+ */
+
+const library = require('../indicators');
+const { swingPoints } = require('./swings');
+const { clamp, match, averageVolume, formatPrice } = require('./pattern');
+
+/**
+ * Higher highs and higher lows (uptrend) or lower highs and lower lows
+ * (downtrend) over the last swings; a close through the last swing low
+ * (high) means the structure has already broken
+ */
+function marketStructure(klines, swings) {
+    const highs = swings.filter(swing => swing.type === 'high').slice(-3);
+    const lows = swings.filter(swing => swing.type === 'low').slice(-3);
+    if (highs.length < 2 || lows.length < 2) return null;
+
+    const rising = points => points.slice(1).every((point, i) => point.price > points[i].price);
+    const falling = points => points.slice(1).every((point, i) => point.price < points[i].price);
+    const close = klines[klines.length - 1].close;
+    const index = Math.max(highs[highs.length - 1].index, lows[lows.length - 1].index);
+    const lastHigh = highs[highs.length - 1].price;
+    const lastLow = lows[lows.length - 1].price;
+
+    if (rising(highs.slice(-2)) && rising(lows.slice(-2)) && close > lastLow) {
+        return match(klines, index, {
+            name: 'higherHighs',
+            type: 'chart',
+            direction: 'BULLISH',
+            confidence: 0.5 + (highs.length === 3 && rising(highs) ? 0.25 : 0) + (lows.length === 3 && rising(lows) ? 0.25 : 0),
+            level: lastLow,
+            description: `Higher highs and higher lows: uptrend while above ${formatPrice(lastLow)}`
+        });
+    }
+    if (falling(highs.slice(-2)) && falling(lows.slice(-2)) && close < lastHigh) {
+        return match(klines, index, {
+            name: 'lowerLows',
+            type: 'chart',
+            direction: 'BEARISH',
+            confidence: 0.5 + (highs.length === 3 && falling(highs) ? 0.25 : 0) + (lows.length === 3 && falling(lows) ? 0.25 : 0),
+            level: lastHigh,
+            description: `Lower highs and lower lows: downtrend while below ${formatPrice(lastHigh)}`
+        });
+    }
+    return null;
+}
+
+/**
+ * Double top (two swing highs) or bottom (two swing lows) within tolerance of
+ * each other, with a pullback of at least four times the tolerance between them.
+ * It is confirmed once the price closes beyond that pullback (the neckline)
+ * and cancelled by a later high above the tops (low below the bottoms)
+ */
+function doubleTopOrBottom(klines, swings, type, { tolerance, maxAge }) {
+    const points = swings.filter(swing => swing.type === type);
+    if (points.length < 2) return null;
+
+    const top = type === 'high';
+    const [first, second] = points.slice(-2);
+    const lastIndex = klines.length - 1;
+    const difference = Math.abs(first.price - second.price);
+    if (lastIndex - second.index > maxAge || difference > tolerance) return null;
+
+    const between = klines.slice(first.index + 1, second.index);
+    if (between.length === 0) return null;
+
+    const extreme = top ? Math.max(first.price, second.price) : Math.min(first.price, second.price);
+    const neckline = top ? Math.min(...between.map(kline => kline.low)) : Math.max(...between.map(kline => kline.high));
+    const depth = Math.abs(extreme - neckline);
+    if (depth < tolerance * 4) return null;
+
+    const after = klines.slice(second.index + 1);
+    if (after.some(kline => (top ? kline.high > extreme : kline.low < extreme))) return null;
+
+    const beyond = kline => (top ? kline.close < neckline : kline.close > neckline);
+    const confirmed = beyond(klines[lastIndex]);
+    // Tops confirm below the neckline and bottoms above it
+    const side = top === confirmed ? 'below' : 'above';
+    const index = confirmed ? second.index + 1 + after.findIndex(beyond) : second.index;
+
+    return match(klines, index, {
+        name: top ? 'doubleTop' : 'doubleBottom',
+        type: 'chart',
+        direction: top ? 'BEARISH' : 'BULLISH',
+        confidence: (confirmed ? 0.6 : 0.2) + 0.2 * (1 - difference / tolerance) + 0.2 * clamp(depth / (tolerance * 8)),
+        level: extreme,
+        neckline,
+        confirmed,
+        description: `Double ${top ? 'top' : 'bottom'} at ${formatPrice(extreme)}: ` +
+            `${confirmed ? 'closed' : 'still'} ${side} the ${formatPrice(neckline)} neckline`
+    });
+}
+
+/**
+ * The latest candle closing through a swing level that held until then;
+ * when several break at once the furthest one counts. Confidence grows
+ * with the distance past the level (in ATRs) and with volume
+ */
+function breakouts(klines, swings, { atr }) {
+    const lastIndex = klines.length - 1;
+    if (lastIndex < 1) return [];
+
+    const last = klines[lastIndex];
+    const previous = klines[lastIndex - 1];
+    const volume = averageVolume(klines, lastIndex);
+    const volumeScore = volume ? clamp(last.volume / volume - 1) : 0;
+    const held = (swing, broken) => klines.slice(swing.index + 1, lastIndex).every(kline => !broken(kline.close, swing.price));
+
+    const checks = [
+        { type: 'high', name: 'bullishBreakout', direction: 'BULLISH', broken: (close, level) => close > level, label: 'above resistance' },
+        { type: 'low', name: 'bearishBreakout', direction: 'BEARISH', broken: (close, level) => close < level, label: 'below support' }
+    ];
+
+    const matches = [];
+    for (const { type, name, direction, broken, label } of checks) {
+        const level = swings
+            .filter(swing => swing.type === type && !broken(previous.close, swing.price) && broken(last.close, swing.price) && held(swing, broken))
+            .sort((a, b) => (type === 'high' ? b.price - a.price : a.price - b.price))[0];
+        if (!level) continue;
+
+        matches.push(match(klines, lastIndex, {
+            name,
+            type: 'chart',
+            direction,
+            confidence: 0.4 + 0.3 * clamp(Math.abs(last.close - level.price) / atr) + 0.3 * volumeScore,
+            level: level.price,
+            description: `Breakout ${label}: closed at ${formatPrice(last.close)} through the ${formatPrice(level.price)} swing ${type}`
+        }));
+    }
+    return matches;
+}
+
+/**
+ * Chart patterns on the klines
+ * options: { strength: candles on each side of a swing (3), maxAge: candles since
+ * the second top/bottom of a double top/bottom (30) }
+ */
+function chartPatterns(klines, { strength = 3, maxAge = 30 } = {}) {
+    if (klines.length === 0) return [];
+
+    const swings = swingPoints(klines, strength);
+    const atr = library.atr(klines, 14).value || klines[klines.length - 1].close * 0.01;
+    const tolerance = atr * 0.5;
+
+    return [
+        marketStructure(klines, swings),
+        doubleTopOrBottom(klines, swings, 'high', { tolerance, maxAge }),
+        doubleTopOrBottom(klines, swings, 'low', { tolerance, maxAge }),
+        ...breakouts(klines, swings, { atr })
+    ].filter(Boolean);
+}
+
+module.exports = {
+    marketStructure,
+    doubleTopOrBottom,
+    breakouts,
+    chartPatterns
+};
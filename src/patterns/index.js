@@ -0,0 +1,31 @@
+/**
+ * Pattern Library
+ * Candlestick and chart pattern recognition on klines. Every match is
+ * { name, type, direction, confidence, index, timestamp, description } (see ./pattern)
+ */
+
+const { candlestickPatterns } = require('./candlesticks');
+const { chartPatterns, marketStructure, doubleTopOrBottom, breakouts } = require('./chart-patterns');
+const { swingPoints } = require('./swings');
+
+/**
+ * Candlestick patterns of the last `lookback` candles plus chart patterns,
+ * most confident first
+ * options: { lookback, strength, maxAge }
+ */
+function detect(klines, options = {}) {
+    return [
+        ...candlestickPatterns(klines, options),
+        ...chartPatterns(klines, options)
+    ].sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports = {
+    detect,
+    candlestickPatterns,
+    chartPatterns,
+    marketStructure,
+    doubleTopOrBottom,
+    breakouts,
+    swingPoints
+};
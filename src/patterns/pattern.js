@@ -0,0 +1,73 @@
+/**
+ * Pattern Helpers
+ * Every detector returns matches of one shape:
+ * { name, type: 'candlestick' | 'chart', direction: 'BULLISH' | 'BEARISH' | 'NEUTRAL',
+ *   confidence (0..1), index, timestamp, description, ...pattern details }
+ * index points at the candle that completed the pattern
+ */
+
+/**
+ * Limit a value to 0..1
+ */
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * A pattern match on klines[index], confidence rounded to 2 decimals
+ */
+function match(klines, index, fields) {
+    return {
+        ...fields,
+        confidence: Math.round(clamp(fields.confidence) * 100) / 100,
+        index,
+        timestamp: klines[index].openTime
+    };
+}
+
+/**
+ * Body, shadows and range of a candle
+ */
+function anatomy(kline) {
+    return {
+        body: Math.abs(kline.close - kline.open),
+        range: kline.high - kline.low,
+        upper: kline.high - Math.max(kline.open, kline.close),
+        lower: Math.min(kline.open, kline.close) - kline.low,
+        bullish: kline.close > kline.open,
+        bearish: kline.close < kline.open
+    };
+}
+
+/**
+ * Percent close-to-close move over the `bars` candles before index (negative = down)
+ */
+function priorTrend(klines, index, bars = 5) {
+    const start = index - bars;
+    if (start < 0) return 0;
+    return ((klines[index - 1].close - klines[start].close) / klines[start].close) * 100;
+}
+
+/**
+ * Mean volume of the `bars` candles before index, null without any
+ */
+function averageVolume(klines, index, bars = 20) {
+    const window = klines.slice(Math.max(0, index - bars), index);
+    return window.length ? window.reduce((total, kline) => total + kline.volume, 0) / window.length : null;
+}
+
+/**
+ * Price with 6 significant digits for descriptions
+ */
+function formatPrice(price) {
+    return parseFloat(price.toPrecision(6)).toString();
+}
+
+module.exports = {
+    clamp,
+    match,
+    anatomy,
+    priorTrend,
+    averageVolume,
+    formatPrice
+};
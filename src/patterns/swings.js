@@ -0,0 +1,38 @@
+/**
+ * Swing Points Module
+ * A swing high is a candle whose high tops the `strength` candles on both
+ * sides (a swing low undercuts them). Equal highs/lows count once, at the
+ * first one. The last `strength` candles cannot be confirmed swings yet
+ */
+
+const { checkPeriod } = require('../indicators/series');
+
+/**
+ * Confirmed swing highs and lows, oldest first
+ * @returns {Array<{type: 'high' | 'low', index: number, price: number, timestamp: number}>}
+ */
+function swingPoints(klines, strength = 3) {
+    checkPeriod(strength, 'strength');
+    const swings = [];
+
+    for (let i = strength; i < klines.length - strength; i++) {
+        let high = true;
+        let low = true;
+
+        for (let j = i - strength; j <= i + strength && (high || low); j++) {
+            if (j === i) continue;
+            // Earlier equal highs/lows already claimed the swing
+            if (j < i ? klines[j].high >= klines[i].high : klines[j].high > klines[i].high) high = false;
+            if (j < i ? klines[j].low <= klines[i].low : klines[j].low < klines[i].low) low = false;
+        }
+
+        if (high) swings.push({ type: 'high', index: i, price: klines[i].high, timestamp: klines[i].openTime });
+        if (low) swings.push({ type: 'low', index: i, price: klines[i].low, timestamp: klines[i].openTime });
+    }
+
+    return swings;
+}
+
+module.exports = {
+    swingPoints
+};
@@ -0,0 +1,72 @@
+/**
+ * CryptoQuant Flow Provider Module
+ * Adapter exposing CryptoQuantClient through the FlowProvider interface
+ */
+
+const FlowProvider = require('./flow-provider');
+const CryptoQuantClient = require('../api/cryptoquant-client');
+const { FLOW_WINDOWS } = require('../core/flow-series');
+
+// Assets served by /<asset>/exchange-flows
+const FLOW_ASSETS = ['btc', 'eth'];
+
+class CryptoQuantProvider extends FlowProvider {
+    constructor(config = {}) {
+        const client = config.client || new CryptoQuantClient(config.apiKey, config);
+        super({ name: 'cryptoquant', ...config, dataSource: client.dataSource, thresholds: client.thresholds });
+        this.client = client;
+    }
+
+    /**
+     * CryptoQuant covers every exchange it tracks, with top 10 transfer sums
+     */
+    getCapabilities() {
+        return {
+            flowTypes: ['inflow', 'outflow', 'netflow'],
+            windows: Object.keys(FLOW_WINDOWS),
+            assets: FLOW_ASSETS,
+            exchanges: null,
+            breakdown: true,
+            whaleVolume: true,
+            metrics: Object.keys(CryptoQuantClient.METRICS)
+        };
+    }
+
+    /**
+     * Get an exchange flow series
+     */
+    async getExchangeFlow(flowType, options = {}) {
+        this.validateFlowRequest(flowType, options);
+        return this.client.getExchangeFlow(flowType, options);
+    }
+
+    /**
+     * Get on-chain metrics the asset supports
+     */
+    async getOnChainMetrics(symbol, metrics) {
+        return this.client.getOnChainMetrics(symbol, metrics);
+    }
+
+    /**
+     * Score metrics with the client's METRICS table
+     */
+    scoreMetrics(metrics, weights) {
+        return this.client.scoreMetrics(metrics, weights);
+    }
+
+    /**
+     * Whale detection runs in the client
+     */
+    async detectWhaleMovements(options = {}) {
+        return this.client.detectWhaleMovements(options);
+    }
+
+    /**
+     * Mock flow in the CryptoQuant shape, for offline use and fallbacks
+     */
+    getMockExchangeFlow(flowType, options = {}) {
+        return this.client.getMockFlowData(flowType, options);
+    }
+}
+
+module.exports = CryptoQuantProvider;
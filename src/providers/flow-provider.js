@@ -0,0 +1,169 @@
+/**
+ * Flow Provider Module
+ * Base class for on-chain exchange flow sources. Every provider returns
+ * the normalized FlowResult shape from core/flow-series and describes
+ * what it can serve through getCapabilities()
+ */
+
+const DataSource = require('../core/data-source');
+const ThresholdTable = require('../core/thresholds');
+const { FLOW_WINDOWS, ADAPTIVE_DEFAULTS, detectWhales, lookbackWindows } = require('../core/flow-series');
+const { ConfigurationError, ValidationError } = require('../core/error-handler');
+
+/**
+ * @typedef {Object} FlowCapabilities
+ * @property {string[]} flowTypes - inflow, outflow, netflow
+ * @property {string[]} windows - hour, day
+ * @property {string[]|null} assets - lowercase assets, null = any
+ * @property {string[]|null} exchanges - exchange ids, null = any
+ * @property {boolean} breakdown - per-exchange flows available
+ * @property {boolean} whaleVolume - series carry top10 transfer sums
+ * @property {string[]} metrics - on-chain metrics beyond flows
+ */
+
+class FlowProvider {
+    constructor(config = {}) {
+        this.name = config.name;
+        this.logger = config.logger;
+        this.dataSource = config.dataSource || new DataSource({ logger: config.logger });
+        this.thresholds = config.thresholds instanceof ThresholdTable
+            ? config.thresholds
+            : new ThresholdTable(config.thresholds);
+    }
+
+    /**
+     * Load whatever the provider needs before the first request
+     */
+    async initialize() {}
+
+    /**
+     * Describe what this provider can serve
+     * @returns {FlowCapabilities}
+     */
+    getCapabilities() {
+        return {
+            flowTypes: [],
+            windows: [],
+            assets: [],
+            exchanges: [],
+            breakdown: false,
+            whaleVolume: false,
+            metrics: []
+        };
+    }
+
+    /**
+     * Check requirements against capabilities
+     * requirements: { flowTypes, window, asset, exchange, breakdown, whaleVolume, metrics }
+     */
+    supports(requirements = {}) {
+        const capabilities = this.getCapabilities();
+        const includes = (list, value) => list === null || list.includes(value);
+
+        if (requirements.flowTypes && !requirements.flowTypes.every(type => capabilities.flowTypes.includes(type))) {
+            return false;
+        }
+        if (requirements.window && !capabilities.windows.includes(requirements.window)) return false;
+        if (requirements.asset && !includes(capabilities.assets, requirements.asset.toLowerCase())) return false;
+        if (requirements.exchange && requirements.exchange !== 'all_exchange' &&
+            !includes(capabilities.exchanges, requirements.exchange)) {
+            return false;
+        }
+        if (requirements.breakdown && !capabilities.breakdown) return false;
+        if (requirements.whaleVolume && !capabilities.whaleVolume) return false;
+        if (requirements.metrics && !requirements.metrics.some(metric => capabilities.metrics.includes(metric))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get an exchange flow series
+     * @param {string} flowType - inflow, outflow or netflow
+     * @param {Object} options - { symbol, exchange, window, from, to, lookback }
+     * @returns {Promise<FlowResult>} see core/flow-series
+     */
+    async getExchangeFlow(flowType, options = {}) {
+        throw new ConfigurationError(`${this.name} provider does not serve exchange flows`, 'flowProvider.name');
+    }
+
+    /**
+     * Get on-chain metrics - { metrics: { name: MetricResult }, source }
+     */
+    async getOnChainMetrics(symbol, metrics) {
+        throw new ConfigurationError(`${this.name} provider does not serve on-chain metrics`, 'flowProvider.name');
+    }
+
+    /**
+     * Score metrics into a -1..+1 bias - { score, bias, factors }
+     */
+    scoreMetrics(metrics, weights) {
+        return { score: 0, bias: 'NEUTRAL', factors: [] };
+    }
+
+    /**
+     * Detect whale transfers in the latest inflow/outflow window
+     * threshold (coins) defaults to the asset's threshold table entry;
+     * adaptive options derive it from recent whale sizes instead
+     */
+    async detectWhaleMovements(options = {}) {
+        const { symbol = 'ETH', adaptive } = options;
+        const threshold = options.threshold || this.thresholds.resolve(symbol, options.price).whale;
+        const flowOptions = adaptive && options.lookback === undefined
+            ? { ...options, lookback: lookbackWindows(options.window || 'hour', adaptive.lookbackDays || ADAPTIVE_DEFAULTS.lookbackDays) }
+            : options;
+
+        try {
+            const [inflow, outflow] = await Promise.all([
+                this.getExchangeFlow('inflow', flowOptions),
+                this.getExchangeFlow('outflow', flowOptions)
+            ]);
+
+            const source = this.dataSource.combine(inflow.source, outflow.source);
+
+            // Fallback mock data must never look like a real whale
+            if (source === 'mock' && !this.dataSource.isMock()) {
+                return { alerts: [], inflow, outflow, source };
+            }
+
+            const alerts = threshold || adaptive
+                ? detectWhales(inflow, outflow, { symbol, threshold, adaptive, source })
+                : [];
+            return { alerts, inflow, outflow, source };
+
+        } catch (error) {
+            if (this.dataSource.isStrict()) {
+                throw error;
+            }
+            return { alerts: [], error: error.message };
+        }
+    }
+
+    /**
+     * Reject requests outside the provider's capabilities
+     */
+    validateFlowRequest(flowType, options = {}) {
+        const capabilities = this.getCapabilities();
+        const window = options.window || 'hour';
+
+        if (!capabilities.flowTypes.includes(flowType)) {
+            throw new ValidationError(`${this.name} provider has no ${flowType} data`, 'flowType', flowType);
+        }
+        if (!FLOW_WINDOWS[window] || !capabilities.windows.includes(window)) {
+            throw new ValidationError(
+                `${this.name} provider does not support the ${window} window (use ${capabilities.windows.join(', ')})`,
+                'window',
+                window
+            );
+        }
+        if (options.symbol && !this.supports({ asset: options.symbol })) {
+            throw new ValidationError(`${this.name} provider has no flows for ${options.symbol}`, 'symbol', options.symbol);
+        }
+        if (options.exchange && !this.supports({ exchange: options.exchange })) {
+            throw new ValidationError(`${this.name} provider has no flows for ${options.exchange}`, 'exchange', options.exchange);
+        }
+    }
+}
+
+module.exports = FlowProvider;
@@ -0,0 +1,112 @@
+/**
+ * Provider Registry Module
+ * Named flow providers with capability lookup
+ */
+
+const FlowProvider = require('./flow-provider');
+const { ConfigurationError, ValidationError } = require('../core/error-handler');
+
+class ProviderRegistry {
+    constructor(config = {}) {
+        this.logger = config.logger;
+        this.providers = new Map();
+    }
+
+    /**
+     * Add a provider under its name, replacing any previous one
+     */
+    register(provider) {
+        if (!(provider instanceof FlowProvider)) {
+            throw new ValidationError('Flow providers must extend FlowProvider', 'provider', provider);
+        }
+        if (!provider.name) {
+            throw new ValidationError('Flow provider has no name', 'provider.name', provider.name);
+        }
+
+        this.providers.set(provider.name, provider);
+        return provider;
+    }
+
+    /**
+     * Remove a provider
+     */
+    unregister(name) {
+        return this.providers.delete(name);
+    }
+
+    /**
+     * Initialize every provider; ones that fail are dropped
+     */
+    async initialize() {
+        for (const [name, provider] of this.providers) {
+            try {
+                await provider.initialize();
+            } catch (error) {
+                this.providers.delete(name);
+                if (this.logger) {
+                    this.logger.warn(`Flow provider ${name} unavailable: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get a provider by name
+     */
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    /**
+     * Check if a provider is registered
+     */
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    /**
+     * List registered provider names
+     */
+    list() {
+        return Array.from(this.providers.keys());
+    }
+
+    /**
+     * Capabilities of every provider by name
+     */
+    getCapabilities() {
+        const capabilities = {};
+        for (const [name, provider] of this.providers) {
+            capabilities[name] = provider.getCapabilities();
+        }
+        return capabilities;
+    }
+
+    /**
+     * Providers meeting the requirements, in registration order
+     */
+    find(requirements = {}) {
+        return Array.from(this.providers.values()).filter(provider => provider.supports(requirements));
+    }
+
+    /**
+     * Pick the named provider, or the first one meeting the requirements
+     */
+    resolve(name, requirements = {}) {
+        if (name) {
+            const provider = this.get(name);
+            if (!provider) {
+                const available = this.list();
+                throw new ConfigurationError(
+                    `Unknown flow provider ${name} (available: ${available.length ? available.join(', ') : 'none'})`,
+                    'flowProvider.name'
+                );
+            }
+            return provider;
+        }
+
+        return this.find(requirements)[0] || null;
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,144 @@
+/**
+ * Scanner Filters Module
+ * Composable filters for MarketScanner. A filter is { name, stage, description, test(row) }:
+ * 'ticker' filters only read the 24h ticker fields (price, change24h, quoteVolume)
+ * and run before any analysis; 'analysis' filters run on the analyzed rows
+ */
+
+const { ValidationError } = require('../core/error-handler');
+
+const SIGNALS = ['BULLISH', 'BEARISH', 'NEUTRAL'];
+
+/**
+ * Parse a 'min:max' range where either side may be empty ('30:45', ':30', '5:')
+ * @returns {number[]} [min, max]
+ */
+function parseRange(text, field = 'range') {
+    const parts = String(text).split(':');
+    const [min, max] = parts.map(part => (part.trim() === '' ? undefined : Number(part)));
+    if (parts.length !== 2 || [min, max].some(value => value !== undefined && isNaN(value))) {
+        throw new ValidationError(`Invalid ${field} ${text} (use min:max, e.g. 30:45, :30 or 5:)`, field, text);
+    }
+    return [min !== undefined ? min : -Infinity, max !== undefined ? max : Infinity];
+}
+
+/**
+ * Check that min <= max
+ */
+function checkRange(min, max, field) {
+    if (typeof min !== 'number' || typeof max !== 'number' || isNaN(min) || isNaN(max) || min > max) {
+        throw new ValidationError(`Invalid ${field} range ${min}:${max}`, field, [min, max]);
+    }
+}
+
+/**
+ * Format a range for descriptions
+ */
+function formatRange(min, max, unit = '') {
+    if (min === -Infinity) return `<= ${max}${unit}`;
+    if (max === Infinity) return `>= ${min}${unit}`;
+    return `${min}${unit} to ${max}${unit}`;
+}
+
+/**
+ * RSI(14) within [min, max]
+ */
+function rsiRange(min = -Infinity, max = Infinity) {
+    checkRange(min, max, 'rsi');
+    return {
+        name: 'rsi',
+        stage: 'analysis',
+        description: `RSI ${formatRange(min, max)}`,
+        test: row => typeof row.rsi === 'number' && row.rsi >= min && row.rsi <= max
+    };
+}
+
+/**
+ * Strategy signal of the given type, at least minStrength strong
+ */
+function signal(type, minStrength = 0) {
+    const normalized = String(type).toUpperCase();
+    if (!SIGNALS.includes(normalized)) {
+        throw new ValidationError(`Unknown signal ${type} (use ${SIGNALS.join(', ')})`, 'signal', type);
+    }
+    return {
+        name: 'signal',
+        stage: 'analysis',
+        description: `${normalized} signal${minStrength ? ` (strength >= ${minStrength})` : ''}`,
+        test: row => row.signal === normalized && row.signalStrength >= minStrength
+    };
+}
+
+/**
+ * Recent volume (last 5 candles against the 5 before) up at least minPercent
+ */
+function volumeSpike(minPercent = 50) {
+    checkRange(minPercent, Infinity, 'volumeSpike');
+    return {
+        name: 'volumeSpike',
+        stage: 'analysis',
+        description: `Volume up ${minPercent}%+`,
+        test: row => typeof row.volumeChange === 'number' && row.volumeChange >= minPercent
+    };
+}
+
+/**
+ * 24h price change in percent within [min, max]
+ */
+function priceChange(min = -Infinity, max = Infinity) {
+    checkRange(min, max, 'change');
+    return {
+        name: 'change',
+        stage: 'ticker',
+        description: `24h change ${formatRange(min, max, '%')}`,
+        test: row => row.change24h >= min && row.change24h <= max
+    };
+}
+
+/**
+ * Resistance at most maxPercent above price
+ */
+function nearResistance(maxPercent) {
+    checkRange(0, maxPercent, 'nearResistance');
+    return {
+        name: 'nearResistance',
+        stage: 'analysis',
+        description: `Resistance within ${maxPercent}%`,
+        test: row => typeof row.resistanceDistance === 'number' && row.resistanceDistance >= 0 && row.resistanceDistance <= maxPercent
+    };
+}
+
+/**
+ * Rows passing every filter; a ticker stage only when all of them are
+ */
+function all(...filters) {
+    return {
+        name: 'all',
+        stage: filters.every(filter => filter.stage === 'ticker') ? 'ticker' : 'analysis',
+        description: filters.map(filter => filter.description).join(' and '),
+        test: row => filters.every(filter => filter.test(row))
+    };
+}
+
+/**
+ * Rows passing at least one filter; a ticker stage only when all of them are
+ */
+function any(...filters) {
+    return {
+        name: 'any',
+        stage: filters.every(filter => filter.stage === 'ticker') ? 'ticker' : 'analysis',
+        description: filters.map(filter => filter.description).join(' or '),
+        test: row => filters.some(filter => filter.test(row))
+    };
+}
+
+module.exports = {
+    parseRange,
+    rsiRange,
+    signal,
+    volumeSpike,
+    priceChange,
+    nearResistance,
+    all,
+    any
+};
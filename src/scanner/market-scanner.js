@@ -0,0 +1,221 @@
+/**
+ * Market Scanner Module
+ * Scans every trading pair of a quote asset: one bulk /ticker/24hr call
+ * pre-filters by 24h quote volume (and any ticker filters), the busiest
+ * candidates are analyzed a few at a time through the shared rate limiter,
+ * and the rows passing every filter come back ranked
+ */
+
+const EventEmitter = require('events');
+const { ValidationError } = require('../core/error-handler');
+
+// Ranking keys: value of a row and sort order
+const RANKINGS = {
+    strength: { value: row => row.signalStrength, order: 'desc' },
+    volume: { value: row => row.quoteVolume, order: 'desc' },
+    change: { value: row => row.change24h, order: 'desc' },
+    volumeChange: { value: row => row.volumeChange, order: 'desc' },
+    rsi: { value: row => row.rsi, order: 'asc' },
+    resistance: { value: row => row.resistanceDistance, order: 'asc' }
+};
+
+class MarketScanner extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.binance = config.binance;
+        this.symbols = config.symbols;
+        this.analyzer = config.analyzer;
+        this.logger = config.logger;
+        this.dataSource = config.dataSource || this.analyzer.dataSource;
+        this.concurrency = config.concurrency || 4;
+        this.minQuoteVolume = config.minQuoteVolume !== undefined ? config.minQuoteVolume : 1000000;
+        this.limit = config.limit || 50;
+    }
+
+    /**
+     * Scan the pairs of a quote asset
+     * options: { quoteAsset ('USDT'), interval ('1h'), period (100), strategy,
+     *   minQuoteVolume, limit: candidates to analyze, concurrency, filters: [filter],
+     *   sortBy: strength | volume | change | volumeChange | rsi | resistance }
+     * @returns {Object} { quoteAsset, interval, pairs, candidates, results, errors, settings, source, timestamp }
+     */
+    async scan(options = {}) {
+        const settings = this.resolveSettings(options);
+        const tickerFilters = settings.filters.filter(filter => filter.stage === 'ticker');
+        const analysisFilters = settings.filters.filter(filter => filter.stage !== 'ticker');
+
+        await this.symbols.ensureLoaded();
+        const pairs = new Set(this.symbols.list({ quoteAsset: settings.quoteAsset }).map(info => info.symbol));
+        const tickers = await this.binance.get24hrTickers();
+
+        const candidates = tickers
+            .filter(ticker => pairs.has(ticker.symbol))
+            .map(ticker => this.tickerRow(ticker))
+            .filter(row => row.quoteVolume >= settings.minQuoteVolume)
+            .filter(row => tickerFilters.every(filter => filter.test(row)))
+            .sort((a, b) => b.quoteVolume - a.quoteVolume)
+            .slice(0, settings.limit);
+
+        if (this.logger) {
+            this.logger.info(`Scanning ${candidates.length} of ${pairs.size} ${settings.quoteAsset} pairs`);
+        }
+
+        const errors = [];
+        let done = 0;
+        const analyzed = await this.mapConcurrent(candidates, settings.concurrency, async (row) => {
+            try {
+                const analyzed = await this.analyzeRow(row, settings);
+                // Outside mock mode a mock row is a failed analysis, not a result to rank
+                if (analyzed.source === 'mock' && !this.dataSource.isMock()) {
+                    errors.push({ symbol: row.symbol, error: 'Analysis fell back to mock data' });
+                    return null;
+                }
+                return analyzed;
+            } catch (error) {
+                errors.push({ symbol: row.symbol, error: error.message });
+                return null;
+            } finally {
+                this.emit('progress', { symbol: row.symbol, done: ++done, total: candidates.length });
+            }
+        });
+
+        const results = analyzed
+            .filter(row => row && analysisFilters.every(filter => filter.test(row)))
+            .sort((a, b) => this.compare(a, b, settings.sortBy));
+
+        return {
+            quoteAsset: settings.quoteAsset,
+            interval: settings.interval,
+            pairs: pairs.size,
+            candidates: candidates.length,
+            results,
+            errors,
+            settings: {
+                ...settings,
+                filters: settings.filters.map(filter => filter.description || filter.name)
+            },
+            source: this.dataSource.combine(tickers.source, ...analyzed.filter(Boolean).map(row => row.source)),
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Scan settings from options and the configured defaults
+     */
+    resolveSettings(options) {
+        const settings = {
+            quoteAsset: (options.quoteAsset || 'USDT').toUpperCase(),
+            interval: options.interval || '1h',
+            period: options.period || 100,
+            strategy: options.strategy,
+            minQuoteVolume: options.minQuoteVolume !== undefined ? options.minQuoteVolume : this.minQuoteVolume,
+            limit: options.limit !== undefined ? options.limit : this.limit,
+            concurrency: options.concurrency !== undefined ? options.concurrency : this.concurrency,
+            filters: options.filters || [],
+            sortBy: options.sortBy || 'strength'
+        };
+
+        this.analyzer.validateTimeframes([settings.interval]);
+        if (!RANKINGS[settings.sortBy]) {
+            throw new ValidationError(
+                `Unknown sort ${settings.sortBy} (use ${Object.keys(RANKINGS).join(', ')})`,
+                'sortBy',
+                settings.sortBy
+            );
+        }
+        if (!Number.isInteger(settings.concurrency) || settings.concurrency < 1) {
+            throw new ValidationError('Concurrency must be a positive integer', 'concurrency', settings.concurrency);
+        }
+        if (!Number.isInteger(settings.limit) || settings.limit < 1) {
+            throw new ValidationError('Limit must be a positive integer', 'limit', settings.limit);
+        }
+        const invalid = settings.filters.find(filter => !filter || typeof filter.test !== 'function');
+        if (invalid !== undefined) {
+            throw new ValidationError('Filters must have a test(row) function', 'filters', invalid);
+        }
+        // Unknown strategies fail here rather than once per symbol
+        this.analyzer.strategies.resolve(settings.strategy || 'default');
+
+        return settings;
+    }
+
+    /**
+     * Scan row from a 24h ticker
+     */
+    tickerRow(ticker) {
+        return {
+            symbol: ticker.symbol,
+            price: parseFloat(ticker.lastPrice),
+            change24h: parseFloat(ticker.priceChangePercent),
+            quoteVolume: parseFloat(ticker.quoteVolume)
+        };
+    }
+
+    /**
+     * Analyze a candidate and add the signal, RSI, volume change and key levels to its row
+     */
+    async analyzeRow(row, settings) {
+        const analysis = await this.analyzer.analyze(row.symbol, {
+            interval: settings.interval,
+            period: settings.period,
+            strategy: settings.strategy
+        });
+        const distance = level => (typeof level === 'number' ? ((level - analysis.currentPrice) / analysis.currentPrice) * 100 : null);
+
+        return {
+            ...row,
+            price: analysis.currentPrice,
+            signal: analysis.signal,
+            signalStrength: analysis.signalStrength,
+            strategy: analysis.strategy,
+            summary: analysis.summary,
+            rsi: analysis.rsi,
+            volumeChange: analysis.volumeChange,
+            support: analysis.support,
+            resistance: analysis.resistance,
+            supportDistance: distance(analysis.support),
+            resistanceDistance: distance(analysis.resistance),
+            source: analysis.source
+        };
+    }
+
+    /**
+     * Order two rows by a ranking, missing values last, then by quote volume
+     */
+    compare(a, b, sortBy) {
+        const { value, order } = RANKINGS[sortBy];
+        const valueA = value(a);
+        const valueB = value(b);
+        const missingA = typeof valueA !== 'number' || isNaN(valueA);
+        const missingB = typeof valueB !== 'number' || isNaN(valueB);
+
+        if (missingA || missingB) {
+            if (missingA !== missingB) return missingA ? 1 : -1;
+        } else if (valueA !== valueB) {
+            return order === 'asc' ? valueA - valueB : valueB - valueA;
+        }
+        return b.quoteVolume - a.quoteVolume;
+    }
+
+    /**
+     * Map items with at most concurrency calls in flight, keeping their order
+     */
+    async mapConcurrent(items, concurrency, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+        return results;
+    }
+}
+
+MarketScanner.RANKINGS = RANKINGS;
+
+module.exports = MarketScanner;
@@ -0,0 +1,196 @@
+/**
+ * Default Strategy Module
+ * The built-in point system: RSI zones, MACD histogram sign, volume
+ * spikes, the weighted on-chain bias and, when available, exchange netflow,
+ * whale transfers, flow market impact and candlestick/chart patterns
+ */
+
+const Strategy = require('./strategy');
+
+// Flow factor weights in points
+const FLOW_WEIGHTS = {
+    netflowWeight: 1,
+    whaleWeight: 1,
+    impactWeight: 0.5
+};
+
+class DefaultStrategy extends Strategy {
+    constructor(config = {}) {
+        super({
+            name: 'default',
+            description: 'RSI zones, MACD histogram, volume spikes, on-chain bias, exchange flows and patterns',
+            ...config
+        });
+        this.onChainWeight = config.onChainWeight !== undefined ? config.onChainWeight : 2;
+        this.flowWeights = { ...FLOW_WEIGHTS, ...config.flowWeights };
+        this.patternWeight = config.patternWeight !== undefined ? config.patternWeight : 1;
+    }
+
+    /**
+     * Score factors in points (positive = bullish); a net of more than 1 point is a signal
+     * Returns the factors and a summary of the ones behind the signal
+     */
+    evaluate(context) {
+        const factors = [
+            ...this.technicalFactors(context.indicators),
+            ...this.onChainFactors(context.onChain),
+            ...this.flowFactors(context.flows),
+            ...this.patternFactors(context.patterns)
+        ];
+
+        // Determine signal type and strength
+        const netScore = factors.reduce((total, factor) => total + factor.points, 0);
+        const strength = Math.min(Math.abs(netScore) / 4, 1);
+
+        let signal = 'NEUTRAL';
+        if (netScore > 1) signal = 'BULLISH';
+        else if (netScore < -1) signal = 'BEARISH';
+
+        const supporting = factors.filter(factor =>
+            (signal === 'BULLISH' && factor.points > 0) || (signal === 'BEARISH' && factor.points < 0));
+
+        return {
+            signal,
+            strength: signal === 'NEUTRAL' ? 0 : strength,
+            score: netScore,
+            reasons: factors.map(factor => factor.reason),
+            factors,
+            summary: supporting.map(factor => factor.label).join(' + ')
+        };
+    }
+
+    /**
+     * RSI zones, MACD histogram and volume spikes
+     */
+    technicalFactors(indicators) {
+        const factors = [];
+
+        // RSI signals
+        if (indicators.rsi) {
+            const rsi = indicators.rsi.toFixed(0);
+            if (indicators.rsi < 30) {
+                factors.push(this.factor('rsi', 2, `RSI ${rsi}`, `RSI ${rsi} is oversold (< 30)`));
+            } else if (indicators.rsi < 40) {
+                factors.push(this.factor('rsi', 1, `RSI ${rsi}`, `RSI ${rsi} is weak (< 40)`));
+            } else if (indicators.rsi > 70) {
+                factors.push(this.factor('rsi', -2, `RSI ${rsi}`, `RSI ${rsi} is overbought (> 70)`));
+            } else if (indicators.rsi > 60) {
+                factors.push(this.factor('rsi', -1, `RSI ${rsi}`, `RSI ${rsi} is stretched (> 60)`));
+            }
+        }
+
+        // MACD signals
+        if (indicators.macd && indicators.macd.histogram !== null) {
+            factors.push(indicators.macd.histogram > 0
+                ? this.factor('macd', 1, 'positive MACD', 'MACD histogram is positive')
+                : this.factor('macd', -1, 'negative MACD', 'MACD histogram is negative'));
+        }
+
+        // Volume signals
+        if (indicators.volumeChange > 50) {
+            const change = indicators.volumeChange.toFixed(0);
+            factors.push(indicators.rsi < 50
+                ? this.factor('volume', 1, `volume +${change}%`, `Volume up ${change}% with RSI below 50`)
+                : this.factor('volume', -1, `volume +${change}%`, `Volume up ${change}% with RSI above 50`));
+        }
+
+        return factors;
+    }
+
+    /**
+     * On-chain bias, scaled by its configured weight in points
+     */
+    onChainFactors(onChain) {
+        if (!onChain || onChain.factors.length === 0) return [];
+
+        const points = onChain.score * this.onChainWeight;
+        if (points === 0) return [];
+
+        return [this.factor(
+            'onChain',
+            points,
+            `on-chain ${onChain.bias.toLowerCase()}`,
+            `On-chain bias ${onChain.bias} (${onChain.score.toFixed(2)})`
+        )];
+    }
+
+    /**
+     * Exchange netflow, whale transfers and flow market impact
+     * Net withdrawals and whale outflows are bullish, deposits bearish
+     */
+    flowFactors(flows) {
+        if (!flows) return [];
+        const factors = [];
+        const { netflowWeight, whaleWeight, impactWeight } = this.flowWeights;
+
+        // Netflow z-score of 1-2+ is worth 1-2 points
+        const zScore = flows.netflow?.statistics?.zScore;
+        if (netflowWeight && zScore !== null && zScore !== undefined && Math.abs(zScore) >= 1) {
+            const direction = zScore < 0 ? 'negative' : 'positive';
+            factors.push(this.factor(
+                'netflow',
+                -Math.sign(zScore) * Math.min(Math.abs(zScore), 2) * netflowWeight,
+                `${direction} netflow`,
+                `${direction === 'negative' ? 'Net withdrawals' : 'Net deposits'} of ${Math.abs(flows.netflow.netBalance).toFixed(2)} ` +
+                    `(z ${zScore.toFixed(2)})`
+            ));
+        }
+
+        // Whale transfer windows, outflows minus inflows, capped at 2 points
+        const whales = flows.whales;
+        if (whaleWeight && whales && (whales.inflow || whales.outflow)) {
+            const net = whales.outflow - whales.inflow;
+            const label = [
+                whales.outflow ? `${whales.outflow} whale outflow${whales.outflow === 1 ? '' : 's'}` : null,
+                whales.inflow ? `${whales.inflow} whale inflow${whales.inflow === 1 ? '' : 's'}` : null
+            ].filter(Boolean).join(', ');
+            if (net !== 0) {
+                factors.push(this.factor(
+                    'whales',
+                    Math.sign(net) * Math.min(Math.abs(net), 2) * whaleWeight,
+                    label,
+                    `${label} in the last ${flows.inflow?.statistics?.points || 24} windows`
+                ));
+            }
+        }
+
+        // Flow market impact
+        if (impactWeight && (flows.marketImpact === 'BULLISH' || flows.marketImpact === 'BEARISH')) {
+            factors.push(this.factor(
+                'marketImpact',
+                (flows.marketImpact === 'BULLISH' ? 1 : -1) * impactWeight,
+                `${flows.marketImpact.toLowerCase()} flow impact`,
+                `Exchange flow impact is ${flows.marketImpact}`
+            ));
+        }
+
+        return factors;
+    }
+
+    /**
+     * Directional patterns, worth their confidence times the pattern weight
+     */
+    patternFactors(patterns) {
+        if (!patterns || !this.patternWeight) return [];
+
+        return patterns
+            .filter(pattern => pattern.direction !== 'NEUTRAL')
+            .map(pattern => this.factor(
+                'pattern',
+                (pattern.direction === 'BULLISH' ? 1 : -1) * pattern.confidence * this.patternWeight,
+                pattern.name.replace(/([A-Z])/g, ' $1').toLowerCase(),
+                `${pattern.description} (confidence ${pattern.confidence.toFixed(2)})`
+            ));
+    }
+
+    /**
+     * A scored factor - points > 0 are bullish
+     */
+    factor(name, points, label, reason) {
+        return { name, points, label, reason };
+    }
+}
+
+DefaultStrategy.FLOW_WEIGHTS = FLOW_WEIGHTS;
+
+module.exports = DefaultStrategy;
@@ -0,0 +1,171 @@
+/**
+ * Rule Expression Module
+ * Parser for declarative strategy conditions such as
+ *   rsi < 30 AND close > ema200 AND (netflow < 0 OR onChainScore > 0.5)
+ *
+ * Grammar (AND binds tighter than OR, keywords are case-insensitive):
+ *   expression := and (OR and)*
+ *   and        := unary (AND unary)*
+ *   unary      := NOT unary | '(' expression ')' | operand comparator operand
+ *   operand    := number | variable (letters, digits, '_' and '.' paths)
+ */
+
+const { ValidationError } = require('../core/error-handler');
+
+const COMPARATORS = ['<=', '>=', '==', '!=', '<', '>'];
+const KEYWORDS = { AND: 'and', '&&': 'and', OR: 'or', '||': 'or', NOT: 'not', '!': 'not' };
+const TOKEN = /\s*(<=|>=|==|!=|<|>|&&|\|\||!|\(|\)|-?\d+(?:\.\d+)?(?:e[+-]?\d+)?|[A-Za-z_][\w.]*)/iy;
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+
+    while (TOKEN.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) break;
+
+        const position = TOKEN.lastIndex;
+        const match = TOKEN.exec(expression);
+        if (!match) {
+            throw new ValidationError(
+                `Unexpected character at ${position} in "${expression}"`,
+                'when',
+                expression
+            );
+        }
+        tokens.push(match[1]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse an expression into a tree of and/or/not/compare nodes
+ */
+function parse(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new ValidationError('Rule condition must be a non-empty string', 'when', expression);
+    }
+
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const keyword = (token) => (token !== undefined ? KEYWORDS[token.toUpperCase()] : undefined);
+    const fail = (message) => {
+        throw new ValidationError(`${message} in "${expression}"`, 'when', expression);
+    };
+
+    const operand = () => {
+        const token = tokens[position++];
+        if (token === undefined) fail('Expected a value');
+        if (keyword(token) || COMPARATORS.includes(token) || token === '(' || token === ')') {
+            fail(`Unexpected "${token}"`);
+        }
+        return /^-?\d/.test(token)
+            ? { type: 'number', value: parseFloat(token) }
+            : { type: 'variable', name: token };
+    };
+
+    const unary = () => {
+        if (keyword(peek()) === 'not') {
+            position++;
+            return { type: 'not', item: unary() };
+        }
+        if (peek() === '(') {
+            position++;
+            const node = or();
+            if (tokens[position++] !== ')') fail('Missing ")"');
+            return node;
+        }
+
+        const left = operand();
+        const comparator = tokens[position++];
+        if (!COMPARATORS.includes(comparator)) fail(`Expected a comparison after "${left.name || left.value}"`);
+        return { type: 'compare', comparator, left, right: operand() };
+    };
+
+    const and = () => {
+        const items = [unary()];
+        while (keyword(peek()) === 'and') {
+            position++;
+            items.push(unary());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+
+    const or = () => {
+        const items = [and()];
+        while (keyword(peek()) === 'or') {
+            position++;
+            items.push(and());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+
+    const tree = or();
+    if (position < tokens.length) fail(`Unexpected "${tokens[position]}"`);
+    return tree;
+}
+
+/**
+ * Evaluate a parsed expression; comparisons with a missing value are false
+ * @param {Object} node - from parse()
+ * @param {Function} resolve - variable name => number | null
+ */
+function evaluate(node, resolve) {
+    switch (node.type) {
+        case 'or':
+            return node.items.some(item => evaluate(item, resolve));
+        case 'and':
+            return node.items.every(item => evaluate(item, resolve));
+        case 'not':
+            return !evaluate(node.item, resolve);
+        default: {
+            const left = node.left.type === 'number' ? node.left.value : resolve(node.left.name);
+            const right = node.right.type === 'number' ? node.right.value : resolve(node.right.name);
+            if (typeof left !== 'number' || typeof right !== 'number' || isNaN(left) || isNaN(right)) {
+                return false;
+            }
+            return compare(node.comparator, left, right);
+        }
+    }
+}
+
+/**
+ * Apply a comparator
+ */
+function compare(comparator, left, right) {
+    switch (comparator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        default: return left !== right;
+    }
+}
+
+/**
+ * Variable names used in a parsed expression
+ */
+function variables(node, names = new Set()) {
+    if (node.items) {
+        node.items.forEach(item => variables(item, names));
+    } else if (node.item) {
+        variables(node.item, names);
+    } else if (node.type === 'compare') {
+        [node.left, node.right]
+            .filter(side => side.type === 'variable')
+            .forEach(side => names.add(side.name));
+    }
+    return names;
+}
+
+module.exports = {
+    parse,
+    evaluate,
+    variables
+};
@@ -0,0 +1,234 @@
+/**
+ * Rule Strategy Module
+ * Declarative strategies from JSON rule sets:
+ *
+ * {
+ *   "name": "oversold-bounce",
+ *   "description": "Oversold in an uptrend while coins leave exchanges",
+ *   "rules": [
+ *     { "when": "rsi < 30 AND close > ema200 AND netflow < 0", "signal": "BULLISH", "strength": 0.8 },
+ *     { "when": "rsi > 75", "signal": "BEARISH", "reason": "Overbought" }
+ *   ]
+ * }
+ *
+ * Matching rules add their strength (default 1) toward their signal; the
+ * net decides the signal and its strength (capped at 1)
+ *
+ * Variables:
+ *   price / close, open, high, low, volume    latest kline (price = current price)
+ *   sma<N>, ema<N>, wma<N>, rsi<N>, atr<N>,   indicators computed for any period
+ *   adx<N>
+ *   any analysis indicator, dotted for parts  rsi, volumeChange, macd.histogram, stochastic.k, ...
+ *   inflow, outflow, netflow                  24h exchange flow sums
+ *   inflowZ, outflowZ, netflowZ               their z-scores vs the lookback
+ *   whaleInflows, whaleOutflows               windows with a whale-sized transfer
+ *   fundingRate, openInterestChange,          perpetuals positioning
+ *   basisPercent, longShortRatio
+ *   onChainScore                              scored on-chain bias (-1..+1)
+ *   support, resistance                       nearest strong support/resistance zone
+ *   supportDistance, resistanceDistance       their distance from price in percent
+ *   sessionVwap, vwapDeviation                session VWAP and price's distance in std devs
+ *   poc, vah, val                             session point of control and value area
+ *   cvd, deltaPercent                         session volume delta, and as % of volume
+ *   patternScore                              sum of pattern confidences, bearish negative
+ *   pattern.<name>                            confidence of a pattern (hammer, doubleTop, ...), 0 if absent
+ */
+
+const Strategy = require('./strategy');
+const expression = require('./rule-expression');
+const library = require('../indicators');
+const { ValidationError } = require('../core/error-handler');
+
+const SIGNALS = ['BULLISH', 'BEARISH'];
+const PERIOD_INDICATORS = /^(sma|ema|wma|rsi|atr|adx)(\d+)$/;
+// Klines an indicator of period n needs: ema gets a second period to shed
+// its SMA seed, rsi/atr need n changes and adx smooths the DX once more
+const PERIOD_CANDLES = {
+    sma: n => n,
+    wma: n => n,
+    ema: n => 2 * n,
+    rsi: n => n + 1,
+    atr: n => n + 1,
+    adx: n => 2 * n
+};
+const FLOW_VARIABLES = {
+    inflow: flows => flows.inflow?.statistics?.sum,
+    outflow: flows => flows.outflow?.statistics?.sum,
+    netflow: flows => flows.netflow?.netBalance,
+    inflowZ: flows => flows.inflow?.statistics?.zScore,
+    outflowZ: flows => flows.outflow?.statistics?.zScore,
+    netflowZ: flows => flows.netflow?.statistics?.zScore,
+    whaleInflows: flows => flows.whales?.inflow,
+    whaleOutflows: flows => flows.whales?.outflow
+};
+const FUTURES_VARIABLES = ['fundingRate', 'openInterestChange', 'basisPercent', 'longShortRatio'];
+const SESSION_VARIABLES = {
+    sessionVwap: session => session.vwap?.value,
+    vwapDeviation: session => session.position.vwapStdDev,
+    poc: session => session.profile.poc,
+    vah: session => session.profile.vah,
+    val: session => session.profile.val,
+    cvd: session => session.delta.delta,
+    deltaPercent: session => session.delta.deltaPercent
+};
+const LEVEL_VARIABLES = {
+    support: levels => levels.support?.price,
+    resistance: levels => levels.resistance?.price,
+    supportDistance: levels => levels.support && Math.abs(levels.support.distancePercent),
+    resistanceDistance: levels => levels.resistance && Math.abs(levels.resistance.distancePercent)
+};
+
+class RuleStrategy extends Strategy {
+    constructor(definition = {}) {
+        if (!definition.name) {
+            throw new ValidationError('Rule strategy has no name', 'name', definition.name);
+        }
+        if (!Array.isArray(definition.rules) || definition.rules.length === 0) {
+            throw new ValidationError(`${definition.name} strategy has no rules`, 'rules', definition.rules);
+        }
+
+        const rules = definition.rules.map((rule, i) => {
+            if (!SIGNALS.includes(rule.signal)) {
+                throw new ValidationError(
+                    `Rule ${i + 1} of ${definition.name} needs a signal (${SIGNALS.join(' or ')})`,
+                    'signal',
+                    rule.signal
+                );
+            }
+            const tree = expression.parse(rule.when);
+            return {
+                when: rule.when,
+                signal: rule.signal,
+                strength: rule.strength !== undefined ? rule.strength : 1,
+                reason: rule.reason,
+                tree,
+                variables: Array.from(expression.variables(tree))
+            };
+        });
+
+        const used = new Set(rules.flatMap(rule => rule.variables));
+        const requires = [];
+        if (Object.keys(FLOW_VARIABLES).some(name => used.has(name))) requires.push('flows');
+        if (FUTURES_VARIABLES.some(name => used.has(name))) requires.push('futures');
+        if (used.has('onChainScore')) requires.push('onChain');
+        if (Object.keys(LEVEL_VARIABLES).some(name => used.has(name))) requires.push('levels');
+        if (Object.keys(SESSION_VARIABLES).some(name => used.has(name))) requires.push('session');
+        if (Array.from(used).some(name => name === 'patternScore' || name.startsWith('pattern.'))) requires.push('patterns');
+
+        const candles = Math.max(0, ...Array.from(used, RuleStrategy.candlesFor));
+
+        super({ name: definition.name, description: definition.description, requires, candles });
+        this.rules = rules;
+        this.definition = definition;
+    }
+
+    /**
+     * Evaluate every rule against the context
+     */
+    evaluate(context) {
+        const cache = new Map();
+        const resolve = (name) => {
+            if (!cache.has(name)) cache.set(name, this.resolveVariable(name, context));
+            return cache.get(name);
+        };
+
+        let net = 0;
+        const reasons = [];
+
+        for (const rule of this.rules) {
+            if (!expression.evaluate(rule.tree, resolve)) continue;
+
+            net += rule.signal === 'BULLISH' ? rule.strength : -rule.strength;
+            const values = rule.variables
+                .map(name => `${name} = ${this.formatValue(resolve(name))}`)
+                .join(', ');
+            reasons.push(`${rule.reason || rule.when} (${values})`);
+        }
+
+        if (net > 0) return { signal: 'BULLISH', strength: Math.min(net, 1), reasons };
+        if (net < 0) return { signal: 'BEARISH', strength: Math.min(-net, 1), reasons };
+        return { signal: 'NEUTRAL', strength: 0, reasons };
+    }
+
+    /**
+     * Value of a variable in the context, null when unavailable
+     */
+    resolveVariable(name, context) {
+        const klines = context.klines || [];
+        const latest = klines[klines.length - 1];
+
+        if (name === 'price') return context.price !== undefined ? context.price : latest?.close;
+        if (['close', 'open', 'high', 'low', 'volume'].includes(name)) {
+            return name === 'close' && context.price !== undefined ? context.price : latest?.[name];
+        }
+        if (FLOW_VARIABLES[name]) {
+            return context.flows ? this.toNumber(FLOW_VARIABLES[name](context.flows)) : null;
+        }
+        if (FUTURES_VARIABLES.includes(name)) {
+            return context.futures ? this.toNumber(context.futures[name]) : null;
+        }
+        if (LEVEL_VARIABLES[name]) {
+            return context.levels ? this.toNumber(LEVEL_VARIABLES[name](context.levels)) : null;
+        }
+        if (SESSION_VARIABLES[name]) {
+            return context.session ? this.toNumber(SESSION_VARIABLES[name](context.session)) : null;
+        }
+        if (name === 'onChainScore') {
+            return context.onChain ? this.toNumber(context.onChain.score) : null;
+        }
+        if (name === 'patternScore' || name.startsWith('pattern.')) {
+            return context.patterns ? this.patternValue(name, context.patterns) : null;
+        }
+
+        const periodic = name.match(PERIOD_INDICATORS);
+        if (periodic) {
+            const [, indicator, period] = periodic;
+            const closes = klines.map(k => k.close);
+            const input = ['atr', 'adx'].includes(indicator) ? klines : closes;
+            const { value } = library[indicator](input, parseInt(period));
+            return this.toNumber(indicator === 'adx' ? value.adx : value);
+        }
+
+        // Any computed indicator, with dotted paths into multi-line ones
+        const value = name.split('.').reduce((node, key) => (node ? node[key] : undefined), context.indicators || {});
+        return this.toNumber(value);
+    }
+
+    /**
+     * Klines a variable needs, 0 for anything but sma<N>, ema<N>, ...
+     */
+    static candlesFor(name) {
+        const periodic = name.match(PERIOD_INDICATORS);
+        return periodic ? PERIOD_CANDLES[periodic[1]](parseInt(periodic[2])) : 0;
+    }
+
+    /**
+     * Net directional pattern confidence, or one pattern's confidence
+     */
+    patternValue(name, patterns) {
+        if (name === 'patternScore') {
+            const direction = { BULLISH: 1, BEARISH: -1, NEUTRAL: 0 };
+            return patterns.reduce((total, pattern) => total + direction[pattern.direction] * pattern.confidence, 0);
+        }
+
+        const found = patterns.find(pattern => pattern.name === name.slice('pattern.'.length));
+        return found ? found.confidence : 0;
+    }
+
+    /**
+     * Numbers pass through, anything else is missing
+     */
+    toNumber(value) {
+        return typeof value === 'number' && !isNaN(value) ? value : null;
+    }
+
+    /**
+     * Short value for reasons
+     */
+    formatValue(value) {
+        if (value === null) return 'n/a';
+        return Math.abs(value) >= 1000 ? value.toFixed(0) : parseFloat(value.toPrecision(4)).toString();
+    }
+}
+
+module.exports = RuleStrategy;
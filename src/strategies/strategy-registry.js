@@ -0,0 +1,122 @@
+/**
+ * Strategy Registry Module
+ * Named signal strategies from Strategy instances, JS modules or JSON rule sets
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Strategy = require('./strategy');
+const RuleStrategy = require('./rule-strategy');
+const { ValidationError } = require('../core/error-handler');
+
+class StrategyRegistry {
+    constructor(config = {}) {
+        this.logger = config.logger;
+        this.strategies = new Map();
+    }
+
+    /**
+     * Turn a definition into a strategy:
+     * a Strategy, a Strategy subclass, a { name, evaluate } object or a { name, rules } rule set
+     */
+    create(definition) {
+        if (definition instanceof Strategy) {
+            return definition;
+        }
+        if (typeof definition === 'function' && definition.prototype instanceof Strategy) {
+            return new definition();
+        }
+        if (definition && Array.isArray(definition.rules)) {
+            return new RuleStrategy(definition);
+        }
+        if (definition && typeof definition.evaluate === 'function') {
+            return new Strategy(definition);
+        }
+
+        throw new ValidationError(
+            'Strategies must be a Strategy, an object with evaluate() or a rule set with rules',
+            'strategy',
+            definition
+        );
+    }
+
+    /**
+     * Add a strategy under its name, replacing any previous one
+     */
+    register(definition) {
+        const strategy = this.create(definition);
+        if (!strategy.name) {
+            throw new ValidationError('Strategy has no name', 'strategy.name', strategy.name);
+        }
+
+        this.strategies.set(strategy.name, strategy);
+        return strategy;
+    }
+
+    /**
+     * Load a strategy from a .json rule set or a JS module
+     */
+    async load(file) {
+        const resolved = path.resolve(file);
+        const definition = path.extname(resolved) === '.json'
+            ? JSON.parse(await fs.readFile(resolved, 'utf8'))
+            : require(resolved);
+
+        const strategy = this.register(definition);
+        if (this.logger) {
+            this.logger.info(`Loaded ${strategy.name} strategy from ${file}`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Remove a strategy
+     */
+    unregister(name) {
+        return this.strategies.delete(name);
+    }
+
+    /**
+     * Get a strategy by name
+     */
+    get(name) {
+        return this.strategies.get(name) || null;
+    }
+
+    /**
+     * Check if a strategy is registered
+     */
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    /**
+     * List registered strategies
+     */
+    list() {
+        return Array.from(this.strategies.values()).map(strategy => ({
+            name: strategy.name,
+            description: strategy.description,
+            requires: strategy.requires
+        }));
+    }
+
+    /**
+     * Strategies for one or more names, in order
+     */
+    resolve(names) {
+        return [].concat(names).map((name) => {
+            const strategy = this.get(name);
+            if (!strategy) {
+                throw new ValidationError(
+                    `Unknown strategy ${name} (available: ${Array.from(this.strategies.keys()).join(', ') || 'none'})`,
+                    'strategy',
+                    name
+                );
+            }
+            return strategy;
+        });
+    }
+}
+
+module.exports = StrategyRegistry;
@@ -0,0 +1,68 @@
+/**
+ * Strategy Module
+ * Base class for signal strategies. A strategy turns an analysis context
+ * into { signal, strength, reasons } and names the extra data it needs
+ */
+
+const { ConfigurationError } = require('../core/error-handler');
+
+/**
+ * @typedef {Object} StrategyContext
+ * @property {string} symbol
+ * @property {string} interval
+ * @property {number} price
+ * @property {Array} klines - oldest first
+ * @property {Object} indicators - latest values from TechnicalAnalyzer.calculateIndicators()
+ * @property {Object} [levels] - support/resistance zones from TechnicalAnalyzer.calculateLevels()
+ * @property {Object} [session] - session VWAP, value area and delta from TechnicalAnalyzer.calculateSessionVolume()
+ * @property {Object} [onChain] - scored on-chain bias
+ * @property {Object} [futures] - funding, open interest, long/short ratio
+ * @property {Object} [flows] - exchange flows from ExchangeFlowMonitor.getFlows()
+ * @property {Object[]} [patterns] - candlestick and chart pattern matches, most confident first
+ */
+
+/**
+ * @typedef {Object} StrategyResult
+ * @property {string} signal - BULLISH, BEARISH or NEUTRAL
+ * @property {number} strength - 0..1
+ * @property {string[]} reasons - why the strategy reached its signal
+ * @property {Object[]} [factors] - scored { name, points, label, reason } inputs
+ * @property {string} [summary] - short breakdown such as "RSI 28 + 3 whale outflows"
+ */
+
+const REQUIREMENTS = ['onChain', 'futures', 'flows', 'patterns', 'levels', 'session'];
+
+class Strategy {
+    constructor(config = {}) {
+        this.name = config.name;
+        this.description = config.description || '';
+        this.requires = config.requires || [];
+        // Klines the context window must hold for every indicator the strategy reads
+        this.candles = config.candles || 0;
+
+        // Plain { name, evaluate } modules become strategies as they are
+        if (typeof config.evaluate === 'function') {
+            this.evaluate = config.evaluate;
+        }
+    }
+
+    /**
+     * Evaluate the context
+     * @param {StrategyContext} context
+     * @returns {StrategyResult}
+     */
+    evaluate(context) {
+        throw new ConfigurationError(`${this.name} strategy does not implement evaluate()`, 'strategy');
+    }
+
+    /**
+     * Check if the strategy needs data beyond klines and indicators
+     */
+    needs(requirement) {
+        return this.requires.includes(requirement);
+    }
+}
+
+Strategy.REQUIREMENTS = REQUIREMENTS;
+
+module.exports = Strategy;
@@ -0,0 +1,21 @@
+const CryptoQuantClient = require('../../src/api/cryptoquant-client');
+
+describe('CryptoQuantClient metric timestamps', () => {
+    const client = new CryptoQuantClient('test-key');
+
+    it('reads zone-less datetime and date rows as UTC', () => {
+        const result = client.processMetricData({
+            result: {
+                data: [
+                    { datetime: '2024-03-02 12:00:00', reserve: 2 },
+                    { date: '2024-03-01', reserve: 1 }
+                ]
+            }
+        }, 'exchange_reserve', 'BTC', 'day');
+
+        expect(result.series.map(point => point.date.getTime())).toEqual([
+            Date.UTC(2024, 2, 1),
+            Date.UTC(2024, 2, 2, 12)
+        ]);
+    });
+});
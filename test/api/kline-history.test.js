@@ -0,0 +1,25 @@
+const BinanceAPI = require('../../src/api/binance-api');
+const KlineHistory = require('../../src/api/kline-history');
+
+describe('KlineHistory ranges', () => {
+    const history = new KlineHistory({ binance: new BinanceAPI() });
+
+    it('aligns weekly candles to Monday 00:00 UTC', () => {
+        // Wednesday 2024-01-10 to Wednesday 2024-01-24
+        const { startTime, endTime } = history.resolveRange('1w', {
+            startTime: Date.UTC(2024, 0, 10, 12),
+            endTime: Date.UTC(2024, 0, 24, 12)
+        });
+
+        expect(startTime).toBe(Date.UTC(2024, 0, 15));
+        expect(endTime).toBe(Date.UTC(2024, 0, 22));
+        expect(new Date(startTime).getUTCDay()).toBe(1);
+    });
+
+    it('keeps a Monday start as it is and aligns shorter intervals to the epoch', () => {
+        expect(history.resolveRange('1w', { startTime: Date.UTC(2024, 0, 15), endTime: Date.UTC(2024, 0, 15) }))
+            .toEqual({ startTime: Date.UTC(2024, 0, 15), endTime: Date.UTC(2024, 0, 15) });
+        expect(history.resolveRange('4h', { startTime: Date.UTC(2024, 0, 1, 1), endTime: Date.UTC(2024, 0, 1, 9) }))
+            .toEqual({ startTime: Date.UTC(2024, 0, 1, 4), endTime: Date.UTC(2024, 0, 1, 8) });
+    });
+});
@@ -0,0 +1,72 @@
+const OrderBook = require('../../src/api/order-book');
+
+describe('OrderBook walls', () => {
+    const book = () => {
+        const orderBook = new OrderBook('BTCUSDT', { wallNotional: 1000, maxWallDistance: 1 });
+        orderBook.bids = new Map([[100, 1], [99.5, 20], [98, 50], [97, 1]]);
+        orderBook.asks = new Map([[101, 1], [101.5, 20], [103, 50]]);
+        return orderBook;
+    };
+
+    it('keeps walls within the distance from the best price', () => {
+        const orderBook = book();
+        orderBook.scanWalls();
+
+        expect(Array.from(orderBook.walls.keys())).toEqual(['bid:99.5', 'ask:101.5']);
+    });
+
+    it('looks up the best prices once per scan', () => {
+        const orderBook = book();
+        const bestBid = jest.spyOn(orderBook, 'getBestBid');
+        const bestAsk = jest.spyOn(orderBook, 'getBestAsk');
+        const added = [];
+        orderBook.on('whale_wall', wall => added.push(wall));
+
+        orderBook.scanWalls();
+
+        expect(bestBid).toHaveBeenCalledTimes(1);
+        expect(bestAsk).toHaveBeenCalledTimes(1);
+        expect(added[0]).toMatchObject({ side: 'bid', price: 99.5, distancePercent: 0.5 });
+    });
+
+    it('measures diff levels against the best price after the diff', () => {
+        const orderBook = book();
+        orderBook.synced = true;
+        orderBook.lastUpdateId = 1;
+        const bestBid = jest.spyOn(orderBook, 'getBestBid');
+
+        // The old best bid goes and 98 becomes the best, bringing 97.5 within 1%
+        orderBook.applyDiff({ firstUpdateId: 2, finalUpdateId: 2, bids: [[100, 0], [99.5, 0], [97.5, 20]], asks: [] });
+
+        expect(bestBid).toHaveBeenCalledTimes(1);
+        expect(orderBook.walls.has('bid:97.5')).toBe(true);
+    });
+});
+
+describe('OrderBook resync', () => {
+    const snapshot = lastUpdateId => ({ lastUpdateId, bids: [[100, 1]], asks: [[101, 1]] });
+
+    it('waits the resync delay before fetching a fresher snapshot', async () => {
+        jest.useFakeTimers();
+        try {
+            const getDepth = jest.fn()
+                .mockResolvedValueOnce(snapshot(5))
+                .mockResolvedValueOnce(snapshot(12));
+            const orderBook = new OrderBook('BTCUSDT', { binance: { subscribeToDepth: () => () => {}, getDepth }, resyncDelay: 500 });
+            const synced = jest.fn();
+            orderBook.on('synced', synced);
+            orderBook.buffer = [{ firstUpdateId: 10, finalUpdateId: 12, bids: [], asks: [] }];
+
+            const done = orderBook.start();
+            await jest.advanceTimersByTimeAsync(499);
+            expect(getDepth).toHaveBeenCalledTimes(1);
+
+            await jest.advanceTimersByTimeAsync(1);
+            await done;
+            expect(getDepth).toHaveBeenCalledTimes(2);
+            expect(synced).toHaveBeenCalledWith({ symbol: 'BTCUSDT', lastUpdateId: 12 });
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
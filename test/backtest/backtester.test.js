@@ -0,0 +1,54 @@
+const Backtester = require('../../src/backtest/backtester');
+const BinanceAPI = require('../../src/api/binance-api');
+const TechnicalAnalyzer = require('../../src/monitors/technical-analyzer');
+const { ValidationError } = require('../../src/core/error-handler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Backtester', () => {
+    const backtester = new Backtester({ analyzer: new TechnicalAnalyzer() });
+    const settings = backtester.resolveSettings({ feeRate: 0, slippage: 0, stopLoss: 0.02, takeProfit: 0.05 });
+    const bar = (open, high, low) => ({ openTime: 0, closeTime: HOUR_MS - 1, open, high, low, close: open });
+    const holding = () => {
+        const state = { cash: 1000, position: null, trades: [] };
+        backtester.openPosition(state, 'long', -HOUR_MS, 100, { strength: 1, reasons: [] }, settings);
+        return state;
+    };
+
+    describe('without kline history', () => {
+        const startTime = Date.UTC(2025, 0, 1);
+        const endTime = Date.UTC(2025, 2, 1) - 1;
+
+        it('pages the requested range from Binance', async () => {
+            const binance = new BinanceAPI({ dataMode: 'mock' });
+            const analyzer = new TechnicalAnalyzer({ binance, dataSource: binance.dataSource });
+            const getKlines = jest.spyOn(binance, 'getKlines');
+
+            const result = await new Backtester({ analyzer }).run('BTCUSDT', { interval: '1h', startTime, endTime });
+
+            expect(result).toMatchObject({ startTime, endTime, bars: 59 * 24, source: 'mock' });
+            expect(getKlines).toHaveBeenCalledTimes(2);
+            expect(getKlines.mock.calls[0][3]).toEqual({ startTime: startTime - 100 * HOUR_MS, endTime });
+        });
+
+        it('generates the requested range in mock mode without Binance', async () => {
+            const result = await backtester.run('BTCUSDT', { interval: '1h', startTime, endTime });
+            expect(result).toMatchObject({ startTime, endTime, bars: 59 * 24 });
+        });
+
+        it('rejects a range with no candles', async () => {
+            await expect(backtester.run('BTCUSDT', { interval: '1h', startTime: Date.now() + HOUR_MS }))
+                .rejects.toThrow(ValidationError);
+        });
+    });
+
+    it('stamps intrabar exits with the close time and gap exits with the open time', () => {
+        const intrabar = holding();
+        backtester.checkExits(intrabar, bar(100, 101, 97), settings);
+        expect(intrabar.trades[0]).toMatchObject({ exitReason: 'stopLoss', exitPrice: 98, exitTime: HOUR_MS - 1 });
+
+        const gap = holding();
+        backtester.checkExits(gap, bar(106, 107, 105), settings);
+        expect(gap.trades[0]).toMatchObject({ exitReason: 'takeProfit', exitPrice: 106, exitTime: 0 });
+    });
+});
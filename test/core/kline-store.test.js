@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KlineStore = require('../../src/core/kline-store');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const klines = (from, count) => Array.from({ length: count }, (_, i) => {
+    const openTime = START + (from + i) * HOUR_MS;
+    return { openTime, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10, closeTime: openTime + HOUR_MS - 1 };
+});
+
+describe('KlineStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kline-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lets overlapping writes to one file each land whole', async () => {
+        const store = new KlineStore({ dir });
+        const file = path.join(dir, 'BTCUSDT', '1h', '2024-01.json');
+
+        await Promise.all([1, 2, 3, 4].map(n => store.writeFile(file, [n])));
+
+        expect([[1], [2], [3], [4]]).toContainEqual(JSON.parse(fs.readFileSync(file, 'utf8')));
+        expect(fs.readdirSync(path.dirname(file))).toEqual(['2024-01.json']);
+    });
+
+    it('keeps the rows of every overlapping write to a month', async () => {
+        // Two stores on one directory, like a monitor and a backfill in one process
+        const first = new KlineStore({ dir });
+        const second = new KlineStore({ dir });
+
+        await Promise.all([
+            first.write('BTCUSDT', '1h', klines(0, 24)),
+            second.write('BTCUSDT', '1h', klines(12, 24)),
+            first.write('BTCUSDT', '1h', klines(100, 5))
+        ]);
+
+        const stored = await first.read('BTCUSDT', '1h', START, START + 200 * HOUR_MS);
+        expect(stored.map(kline => kline.openTime)).toEqual([...klines(0, 36), ...klines(100, 5)].map(kline => kline.openTime));
+    });
+
+    it('keeps every range of overlapping coverage updates', async () => {
+        const store = new KlineStore({ dir });
+
+        await Promise.all([
+            store.addCoverage('BTCUSDT', '1h', START, START + 10 * HOUR_MS, HOUR_MS),
+            store.addCoverage('BTCUSDT', '1h', START + 50 * HOUR_MS, START + 60 * HOUR_MS, HOUR_MS),
+            store.addCoverage('BTCUSDT', '1h', START + 11 * HOUR_MS, START + 20 * HOUR_MS, HOUR_MS)
+        ]);
+
+        expect(await store.getCoverage('BTCUSDT', '1h')).toEqual([
+            [START, START + 20 * HOUR_MS],
+            [START + 50 * HOUR_MS, START + 60 * HOUR_MS]
+        ]);
+    });
+});
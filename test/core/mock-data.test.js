@@ -0,0 +1,30 @@
+const MockData = require('../../src/core/mock-data');
+
+describe('MockData price', () => {
+    const mock = new MockData();
+    const now = Date.UTC(2024, 0, 1, 12, 30, 15);
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('moves from one minute to the next and holds within one', () => {
+        expect(mock.price('BTCUSDT', now + 60 * 1000)).not.toBe(mock.price('BTCUSDT', now));
+        expect(mock.price('BTCUSDT', now + 30 * 1000)).toBe(mock.price('BTCUSDT', now));
+        expect(mock.price('BTCUSDT')).toBe(mock.price('BTCUSDT', now));
+    });
+
+    it('is the last close of the klines', () => {
+        const price = mock.price('ETHUSDT');
+
+        expect(mock.klines('ETHUSDT', '1h', 50).pop().close).toBe(price);
+        for (const interval of ['1m', '1h', '1d']) {
+            const klines = mock.klinesRange('ETHUSDT', interval, now - 10 * mock.intervalMs(interval));
+            expect(klines.pop().close).toBe(price);
+        }
+    });
+});
@@ -0,0 +1,56 @@
+const Config = require('../../src/core/config');
+const ThresholdTable = require('../../src/core/thresholds');
+
+describe('threshold configuration', () => {
+    const saved = { ...process.env };
+
+    beforeEach(() => {
+        for (const name of Object.keys(process.env)) {
+            if (/^(WHALE_THRESHOLD|CRITICAL_INFLOW|CRITICAL_OUTFLOW)/.test(name)) delete process.env[name];
+        }
+    });
+
+    afterAll(() => {
+        process.env = saved;
+    });
+
+    const table = (userConfig = {}) => new ThresholdTable(new Config(userConfig).get('thresholds'));
+
+    it('uses the built-in coin amounts and the USD default', () => {
+        expect(table().resolve('BTC', 50000).whale).toBe(50);
+        expect(table().resolve('SOL', 100)).toMatchObject({ whale: 10000, units: { whale: 'usd' } });
+    });
+
+    it('lets an asset USD env value replace its built-in coin amount', () => {
+        process.env.WHALE_THRESHOLD_USD_BTC = '5000000';
+
+        expect(table().resolve('BTC', 50000)).toMatchObject({ whale: 100, units: { whale: 'usd' } });
+        expect(table().resolve('ETH', 2000).whale).toBe(1000);
+    });
+
+    it('lets a USD amount in the thresholds config replace the built-in coin amount', () => {
+        const resolved = table({ thresholds: { btc: { whaleUSD: 10000000 } } }).resolve('BTC', 50000);
+        expect(resolved).toMatchObject({ whale: 200, units: { whale: 'usd' } });
+    });
+
+    it('prefers coins when one layer sets both units', () => {
+        process.env.WHALE_THRESHOLD_BTC = '20';
+        process.env.WHALE_THRESHOLD_USD_BTC = '5000000';
+
+        expect(table().resolve('BTC', 50000)).toMatchObject({ whale: 20, units: { whale: 'coin' } });
+    });
+
+    it('lets env override the thresholds config in the other unit', () => {
+        process.env.CRITICAL_INFLOW_BTC = '300';
+
+        const resolved = table({ thresholds: { BTC: { criticalInflowUSD: 1e9 } } }).resolve('BTC', 50000);
+        expect(resolved).toMatchObject({ criticalInflow: 300, units: { criticalInflow: 'coin' } });
+    });
+
+    it('keeps the built-in coin amount over a default-wide USD value', () => {
+        process.env.WHALE_THRESHOLD_USD = '2000000';
+
+        expect(table().resolve('BTC', 50000).whale).toBe(50);
+        expect(table().resolve('SOL', 100).whale).toBe(20000);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Shared fixtures and assertions for the indicator specs
+ */
+
+// StockCharts "Moving Averages" example: 30 closes, 10-day SMA/EMA
+const STOCKCHARTS_MA_CLOSES = [
+    22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+    22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+    23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+
+// StockCharts "RSI" example: 33 closes, 14-period RSI
+const STOCKCHARTS_RSI_CLOSES = [
+    44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+    45.8931, 46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439,
+    46.2122, 46.2521, 45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672,
+    43.4205, 42.6628, 43.1314
+];
+
+/**
+ * Klines from [high, low, close, volume] rows, step ms (an hour) apart
+ */
+function klines(rows, start = Date.UTC(2024, 0, 1), step = 3600000) {
+    return rows.map(([high, low, close, volume = 0], i) => ({
+        openTime: start + i * step,
+        open: close,
+        high,
+        low,
+        close,
+        volume,
+        closeTime: start + (i + 1) * step - 1
+    }));
+}
+
+/**
+ * Expect a series to be null for the first `warmUp` entries and then match
+ * `expected` to within half a unit of its last decimal (published tables round)
+ */
+function expectSeries(series, warmUp, expected, decimals = 2) {
+    expect(series).toHaveLength(warmUp + expected.length);
+    expect(series.slice(0, warmUp)).toEqual(new Array(warmUp).fill(null));
+
+    const tolerance = 0.5 * Math.pow(10, -decimals) + 1e-9;
+    series.slice(warmUp).forEach((value, i) => {
+        expect(typeof value).toBe('number');
+        if (Math.abs(value - expected[i]) > tolerance) {
+            throw new Error(`Entry ${warmUp + i}: expected ${expected[i]}, received ${value}`);
+        }
+    });
+}
+
+module.exports = {
+    STOCKCHARTS_MA_CLOSES,
+    STOCKCHARTS_RSI_CLOSES,
+    klines,
+    expectSeries
+};
@@ -0,0 +1,80 @@
+const { rsi, macd, stochastic } = require('../../src/indicators');
+const { ValidationError } = require('../../src/core/error-handler');
+const { STOCKCHARTS_RSI_CLOSES, klines, expectSeries } = require('./helpers');
+
+describe('rsi', () => {
+    it('matches the StockCharts 14-period RSI', () => {
+        const { value, series } = rsi(STOCKCHARTS_RSI_CLOSES, 14);
+
+        expectSeries(series, 14, [
+            70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+            54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+        ]);
+        expect(value).toBeCloseTo(37.77, 2);
+    });
+
+    it('needs period + 1 closes for its first value', () => {
+        expect(rsi(STOCKCHARTS_RSI_CLOSES.slice(0, 14), 14).value).toBeNull();
+        expect(rsi(STOCKCHARTS_RSI_CLOSES.slice(0, 15), 14).value).toBeCloseTo(70.53, 2);
+    });
+
+    it('reads 100 without losses and 50 in a flat market', () => {
+        expect(rsi([1, 2, 3, 4], 3).value).toBe(100);
+        expect(rsi([5, 5, 5, 5], 3).value).toBe(50);
+    });
+
+    it('rejects invalid periods', () => {
+        expect(() => rsi([1, 2, 3], -1)).toThrow(ValidationError);
+    });
+});
+
+describe('macd', () => {
+    // The EMA of a linear series lags it by (period - 1) / 2 exactly, so
+    // MACD(12, 26) of 0, 1, 2, ... is 12.5 - 5.5 = 7 with a flat signal
+    const linear = Array.from({ length: 40 }, (_, i) => i);
+
+    it('starts the line at slow - 1 and the signal at slow + signal - 2', () => {
+        const { value, series } = macd(linear);
+
+        expectSeries(series.macd, 25, new Array(15).fill(7), 9);
+        expectSeries(series.signal, 33, new Array(7).fill(7), 9);
+        expectSeries(series.histogram, 33, new Array(7).fill(0), 9);
+        expect(value.macd).toBeCloseTo(7, 9);
+        expect(value.histogram).toBeCloseTo(0, 9);
+    });
+
+    it('is null while shorter than the slow period', () => {
+        expect(macd(linear.slice(0, 25)).value).toEqual({ macd: null, signal: null, histogram: null });
+    });
+});
+
+describe('stochastic', () => {
+    const bars = klines([
+        [10, 8, 9],
+        [11, 9, 10],
+        [12, 10, 11],
+        [15, 12, 14],
+        [14, 11, 12],
+        [13, 12, 12.5]
+    ]);
+
+    it('places the close within the period range', () => {
+        const { series } = stochastic(bars, { period: 3, smoothing: 1, signal: 2 });
+
+        // (11 - 8) / (12 - 8), (14 - 9) / (15 - 9), (12 - 10) / (15 - 10), (12.5 - 11) / (15 - 11)
+        expectSeries(series.k, 2, [75, 250 / 3, 40, 37.5], 6);
+        expectSeries(series.d, 3, [(75 + 250 / 3) / 2, (250 / 3 + 40) / 2, 38.75], 6);
+    });
+
+    it('smooths %K before %D', () => {
+        const { value, series } = stochastic(bars, { period: 3, smoothing: 3, signal: 2 });
+
+        expectSeries(series.k, 4, [(75 + 250 / 3 + 40) / 3, (250 / 3 + 40 + 37.5) / 3], 6);
+        expect(value.d).toBeCloseTo(((75 + 250 / 3 + 40) / 3 + (250 / 3 + 40 + 37.5) / 3) / 2, 6);
+    });
+
+    it('reads 50 over a flat range and null before the period', () => {
+        const flat = klines([[5, 5, 5], [5, 5, 5], [5, 5, 5]]);
+        expect(stochastic(flat, { period: 3, smoothing: 1, signal: 1 }).series.k).toEqual([null, null, 50]);
+    });
+});
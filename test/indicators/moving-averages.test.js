@@ -0,0 +1,66 @@
+const { sma, ema, wma, smaSeries, emaSeries, wilderSeries } = require('../../src/indicators');
+const { ValidationError } = require('../../src/core/error-handler');
+const { STOCKCHARTS_MA_CLOSES, expectSeries } = require('./helpers');
+
+describe('sma', () => {
+    it('matches the StockCharts 10-day SMA', () => {
+        const { value, series } = sma(STOCKCHARTS_MA_CLOSES, 10);
+
+        expectSeries(series, 9, [
+            22.221, 22.209, 22.229, 22.259, 22.303, 22.421, 22.613, 22.765, 22.905, 23.076,
+            23.210, 23.377, 23.525, 23.652, 23.710, 23.684, 23.612, 23.505, 23.432, 23.277, 23.131
+        ], 3);
+        expect(value).toBeCloseTo(23.131, 3);
+    });
+
+    it('is all null while shorter than the period', () => {
+        expect(sma([1, 2, 3], 5)).toEqual({ value: null, series: [null, null, null] });
+        expect(sma([], 5)).toEqual({ value: null, series: [] });
+    });
+
+    it('keeps leading nulls aligned', () => {
+        expect(smaSeries([null, null, 1, 2, 3], 2)).toEqual([null, null, null, 1.5, 2.5]);
+    });
+
+    it('rejects periods that are not positive integers', () => {
+        expect(() => sma([1, 2, 3], 0)).toThrow(ValidationError);
+        expect(() => sma([1, 2, 3], 2.5)).toThrow(ValidationError);
+    });
+});
+
+describe('ema', () => {
+    it('matches the StockCharts 10-day EMA', () => {
+        const { series } = ema(STOCKCHARTS_MA_CLOSES, 10);
+
+        expectSeries(series, 9, [
+            22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+            23.43, 23.51, 23.53, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+        ]);
+    });
+
+    it('is seeded with the SMA of the first period values', () => {
+        expect(emaSeries([2, 4, 6, 8], 3)).toEqual([null, null, 4, 6]);
+    });
+
+    it('is all null while shorter than the period', () => {
+        expect(ema([1, 2], 3).series).toEqual([null, null]);
+    });
+});
+
+describe('wma', () => {
+    it('weighs the newest value by the period', () => {
+        // (1*1 + 2*2 + 3*3) / 6, (2*1 + 3*2 + 4*3) / 6, ...
+        expectSeries(wma([1, 2, 3, 4, 5], 3).series, 2, [14 / 6, 20 / 6, 26 / 6], 6);
+    });
+
+    it('is all null while shorter than the period', () => {
+        expect(wma([1, 2], 3).value).toBeNull();
+    });
+});
+
+describe('wilderSeries', () => {
+    it('smooths with prev + (value - prev) / period after an SMA seed', () => {
+        // Seed (1 + 2 + 3) / 3 = 2, then (2 * 2 + 6) / 3, ...
+        expectSeries(wilderSeries([1, 2, 3, 6, 0], 3), 2, [2, 10 / 3, 20 / 9], 6);
+    });
+});
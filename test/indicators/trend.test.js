@@ -0,0 +1,37 @@
+const { adx } = require('../../src/indicators');
+const { ValidationError } = require('../../src/core/error-handler');
+const { klines, expectSeries } = require('./helpers');
+
+describe('adx', () => {
+    // Every bar one higher: +DM 1, -DM 0 and a true range of 1.5
+    // (high to the previous close), so +DI = 100 / 1.5 and DX = 100
+    const rising = klines(Array.from({ length: 10 }, (_, i) => [i + 1, i, i + 0.5]));
+    const falling = klines(Array.from({ length: 10 }, (_, i) => [11 - i, 10 - i, 10.5 - i]));
+
+    it('starts the DIs at period and ADX at 2 * period - 1', () => {
+        const { value, series } = adx(rising, 3);
+
+        expectSeries(series.plusDI, 3, new Array(7).fill(200 / 3), 9);
+        expectSeries(series.minusDI, 3, new Array(7).fill(0), 9);
+        expectSeries(series.adx, 5, new Array(5).fill(100), 9);
+        expect(value.adx).toBeCloseTo(100, 9);
+    });
+
+    it('mirrors into -DI for a falling market', () => {
+        const { value } = adx(falling, 3);
+
+        expect(value.plusDI).toBeCloseTo(0, 9);
+        expect(value.minusDI).toBeCloseTo(200 / 3, 9);
+        expect(value.adx).toBeCloseTo(100, 9);
+    });
+
+    it('reads 0 when there is no directional movement', () => {
+        const flat = klines(new Array(8).fill([10, 9, 9.5]));
+        expect(adx(flat, 3).value).toEqual({ adx: 0, plusDI: 0, minusDI: 0 });
+    });
+
+    it('is null before 2 * period klines and rejects invalid periods', () => {
+        expect(adx(rising.slice(0, 5), 3).value.adx).toBeNull();
+        expect(() => adx(rising, 0)).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,49 @@
+const { bollinger, atr, trueRangeSeries } = require('../../src/indicators');
+const { ValidationError } = require('../../src/core/error-handler');
+const { klines, expectSeries } = require('./helpers');
+
+describe('bollinger', () => {
+    it('puts the bands multiplier population deviations around the SMA', () => {
+        // Mean 3, population deviation sqrt(2)
+        const { value, series } = bollinger([1, 2, 3, 4, 5], { period: 5, multiplier: 2 });
+
+        expect(value.middle).toBeCloseTo(3, 9);
+        expect(value.upper).toBeCloseTo(3 + 2 * Math.SQRT2, 9);
+        expect(value.lower).toBeCloseTo(3 - 2 * Math.SQRT2, 9);
+        expect(series.upper.slice(0, 4)).toEqual([null, null, null, null]);
+    });
+
+    it('collapses onto the SMA in a flat market', () => {
+        const { value } = bollinger([7, 7, 7], { period: 3 });
+        expect(value).toEqual({ upper: 7, middle: 7, lower: 7 });
+    });
+
+    it('is null while shorter than the period', () => {
+        expect(bollinger([1, 2], { period: 3 }).value).toEqual({ upper: null, middle: null, lower: null });
+    });
+});
+
+describe('atr', () => {
+    const bars = klines([
+        [10, 8, 9],
+        [11, 9, 10],
+        [12, 10, 11],
+        [15, 12, 14], // gap: high - previous close (4) beats high - low (3)
+        [14, 11, 12],
+        [13, 12, 12.5]
+    ]);
+
+    it('takes the largest of range and gaps to the previous close', () => {
+        expect(trueRangeSeries(bars)).toEqual([null, 2, 2, 4, 3, 1]);
+    });
+
+    it('Wilder-smooths the true range from the period', () => {
+        // Seed (2 + 2 + 4) / 3, then (prev * 2 + tr) / 3
+        expectSeries(atr(bars, 3).series, 3, [8 / 3, 25 / 9, 59 / 27], 6);
+    });
+
+    it('needs period + 1 klines and a valid period', () => {
+        expect(atr(bars.slice(0, 3), 3).value).toBeNull();
+        expect(() => atr(bars, 0)).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,43 @@
+const { obv, vwap } = require('../../src/indicators');
+const { klines } = require('./helpers');
+
+describe('obv', () => {
+    it('adds volume on up closes, subtracts it on down closes and skips unchanged ones', () => {
+        const bars = klines([
+            [10, 9, 10, 100],
+            [11, 10, 11, 200],
+            [11, 10, 10.5, 150],
+            [11, 10, 10.5, 300],
+            [12, 10, 12, 250]
+        ]);
+
+        expect(obv(bars)).toEqual({ value: 300, series: [0, 200, 50, 50, 300] });
+    });
+
+    it('is empty without klines', () => {
+        expect(obv([])).toEqual({ value: null, series: [] });
+    });
+});
+
+describe('vwap', () => {
+    // Typical prices 9, 10 and 11
+    const bars = klines([
+        [10, 8, 9, 100],
+        [11, 9, 10, 200],
+        [12, 10, 11, 100]
+    ], Date.UTC(2024, 0, 1, 22));
+
+    it('is cumulative over the klines by default', () => {
+        expect(vwap(bars).series).toEqual([9, 2900 / 300, 10]);
+    });
+
+    it('resets at every UTC day with anchor day', () => {
+        // The third kline opens at midnight
+        expect(vwap(bars, { anchor: 'day' }).series).toEqual([9, 2900 / 300, 11]);
+    });
+
+    it('is null until there is volume', () => {
+        const quiet = klines([[10, 8, 9, 0], [11, 9, 10, 100]]);
+        expect(vwap(quiet).series).toEqual([null, 10]);
+    });
+});
@@ -0,0 +1,84 @@
+const { pivotPoints, previousPeriod, periodFor, periodStart } = require('../../src/levels');
+const { klines } = require('../indicators/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('pivotPoints', () => {
+    // Pivot (110 + 90 + 105) / 3 = 101.667 over a range of 20
+    const { classic, fibonacci, camarilla } = pivotPoints({ high: 110, low: 90, close: 105 });
+    const expectLevels = (levels, expected) => {
+        Object.entries(expected).forEach(([name, value]) => expect(levels[name]).toBeCloseTo(value, 4));
+    };
+
+    it('computes the classic levels', () => {
+        expectLevels(classic, {
+            pivot: 101.6667, r1: 113.3333, r2: 121.6667, r3: 133.3333, s1: 93.3333, s2: 81.6667, s3: 73.3333
+        });
+    });
+
+    it('puts the Fibonacci levels at 0.382, 0.618 and 1 ranges from the pivot', () => {
+        expectLevels(fibonacci, {
+            pivot: 101.6667, r1: 109.3067, r2: 114.0267, r3: 121.6667, s1: 94.0267, s2: 89.3067, s3: 81.6667
+        });
+    });
+
+    it('puts the Camarilla levels at 1.1 ranges / 12, 6, 4 and 2 from the close', () => {
+        expectLevels(camarilla, {
+            r1: 106.8333, r2: 108.6667, r3: 110.5, r4: 116, s1: 103.1667, s2: 101.3333, s3: 99.5, s4: 94
+        });
+    });
+});
+
+describe('periods', () => {
+    it('follows the candle size', () => {
+        expect(periodFor(HOUR_MS)).toBe('day');
+        expect(periodFor(4 * HOUR_MS)).toBe('day');
+        expect(periodFor(DAY_MS)).toBe('week');
+        expect(periodFor(3 * DAY_MS)).toBe('week');
+        expect(periodFor(7 * DAY_MS)).toBe('month');
+    });
+
+    it('starts days at midnight, weeks on Monday and months on the 1st, in UTC', () => {
+        expect(periodStart(Date.UTC(2024, 0, 10, 12), 'day')).toBe(Date.UTC(2024, 0, 10));
+        // Wednesday and the following Sunday night belong to the week of Monday the 8th
+        expect(periodStart(Date.UTC(2024, 0, 10, 12), 'week')).toBe(Date.UTC(2024, 0, 8));
+        expect(periodStart(Date.UTC(2024, 0, 14, 23), 'week')).toBe(Date.UTC(2024, 0, 8));
+        expect(periodStart(Date.UTC(2024, 0, 15), 'week')).toBe(Date.UTC(2024, 0, 15));
+        expect(periodStart(Date.UTC(2024, 1, 29, 12), 'month')).toBe(Date.UTC(2024, 1, 1));
+    });
+});
+
+describe('previousPeriod', () => {
+    // Hourly candles from Monday 2024-01-01 00:00 to Tuesday 05:00
+    const hourly = klines(Array.from({ length: 30 }, (_, i) => [100 + i, 90 + i, 95 + i]));
+
+    it('takes the high, low and close of the previous day for intraday candles', () => {
+        expect(previousPeriod(hourly)).toEqual({
+            period: 'day',
+            start: Date.UTC(2024, 0, 1),
+            high: 123,
+            low: 90,
+            close: 118
+        });
+    });
+
+    it('is null when the klines start inside the previous period', () => {
+        expect(previousPeriod(hourly.slice(1))).toBeNull();
+        expect(previousPeriod(hourly.slice(0, 24))).toBeNull();
+    });
+
+    it('takes the previous Monday-to-Sunday week for daily candles', () => {
+        // Monday 2024-01-01 to Wednesday 2024-01-10
+        const daily = klines(Array.from({ length: 10 }, (_, i) => [100 + i, 90 - i, 95 + i]), Date.UTC(2024, 0, 1), DAY_MS);
+
+        expect(previousPeriod(daily)).toEqual({
+            period: 'week',
+            start: Date.UTC(2024, 0, 1),
+            high: 106,
+            low: 84,
+            close: 101
+        });
+        expect(previousPeriod(daily.slice(1))).toBeNull();
+    });
+});
@@ -0,0 +1,105 @@
+const { sessionVolume, anchoredVwap, volumeDelta, tradesToKlines, buyVolume } = require('../../src/levels/session-volume');
+const { klines } = require('../indicators/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('anchoredVwap', () => {
+    it('weights the typical price by volume, with deviation bands', () => {
+        // Typical prices 10 and 20 with equal volume: mean 15, deviation 5
+        expect(anchoredVwap(klines([[10, 10, 10, 2], [20, 20, 20, 2]]))).toEqual({
+            value: 15, stdDev: 5, upper1: 20, lower1: 10, upper2: 25, lower2: 5
+        });
+        // (11 + 10 + 12) / 3 = 11 once and 20 three times
+        expect(anchoredVwap(klines([[12, 10, 11, 1], [20, 20, 20, 3]])).value).toBeCloseTo(17.75, 9);
+    });
+
+    it('is null without volume', () => {
+        expect(anchoredVwap(klines([[10, 9, 9.5, 0]]))).toBeNull();
+    });
+});
+
+describe('volumeDelta', () => {
+    it('uses the taker buy volume for the delta and CVD', () => {
+        const bars = klines([[10, 9, 9.5, 10], [10, 9, 9.5, 20]]);
+        bars[0].takerBuyVolume = 7;
+        bars[1].takerBuyVolume = 5;
+
+        expect(volumeDelta(bars)).toEqual({
+            buyVolume: 12,
+            sellVolume: 18,
+            delta: -6,
+            deltaPercent: -20,
+            estimated: false,
+            series: [
+                { openTime: bars[0].openTime, delta: 4, cvd: 4 },
+                { openTime: bars[1].openTime, delta: -10, cvd: -6 }
+            ]
+        });
+    });
+
+    it('estimates buys from the close within the range when taker volume is missing', () => {
+        // Closing three quarters up the range buys 75%; a candle without range buys half
+        const bars = klines([[12, 10, 11.5, 8], [10, 10, 10, 6]]);
+
+        expect(buyVolume(bars[0])).toBe(6);
+        expect(buyVolume(bars[1])).toBe(3);
+        expect(volumeDelta(bars)).toMatchObject({ buyVolume: 9, sellVolume: 5, delta: 4, estimated: true });
+    });
+});
+
+describe('tradesToKlines', () => {
+    it('makes one bar per trade, bought by the taker unless the buyer made the market', () => {
+        const bars = tradesToKlines([
+            { price: 100, quantity: 2, time: 1000, isBuyerMaker: false },
+            { price: 101, quantity: 3, time: 2000, isBuyerMaker: true }
+        ]);
+
+        expect(bars[0]).toEqual({
+            openTime: 1000, open: 100, high: 100, low: 100, close: 100, volume: 2, closeTime: 1000, takerBuyVolume: 2
+        });
+        expect(volumeDelta(bars)).toMatchObject({ buyVolume: 2, sellVolume: 3, delta: -1, estimated: false });
+    });
+});
+
+describe('sessionVolume', () => {
+    // 22:00 and 23:00 on Jan 1, then 00:00 and 01:00 on Jan 2; no taker volume
+    const start = Date.UTC(2024, 0, 1, 22);
+    const bars = klines([
+        [101, 99, 100, 10],
+        [103, 101, 102, 10],
+        [104, 102, 103, 30],
+        [106, 104, 105.5, 10]
+    ], start);
+
+    it('covers the UTC day of the latest candle for intraday klines', () => {
+        const session = sessionVolume(bars);
+        // Typical prices 103 (x30) and 315.5 / 3 (x10)
+        const vwap = (103 * 30 + (315.5 / 3) * 10) / 40;
+
+        expect(session).toMatchObject({ session: 'day', start: Date.UTC(2024, 0, 2), candles: 2, partial: false });
+        expect(session.vwap.value).toBeCloseTo(vwap, 9);
+        expect(session.position.vwap).toBeCloseTo(105.5 - vwap, 9);
+        expect(session.position.vwapStdDev).toBeCloseTo((105.5 - vwap) / session.vwap.stdDev, 9);
+        expect(session.profile).toMatchObject({ low: 102, high: 106 });
+        // Buys 15 of 30 and 7.5 of 10
+        expect(session.delta).toMatchObject({ delta: 5, deltaPercent: 12.5, estimated: true });
+        expect(session.delta.series.map(point => point.cvd)).toEqual([0, 5]);
+    });
+
+    it('starts at an anchor inside the klines', () => {
+        const session = sessionVolume(bars, { anchor: start + HOUR_MS });
+
+        expect(session).toMatchObject({ session: 'anchored', start: start + HOUR_MS, candles: 3, partial: false });
+        expect(session.delta.series.map(point => point.cvd)).toEqual([0, 0, 5]);
+    });
+
+    it('flags sessions that begin before the klines', () => {
+        expect(sessionVolume(bars, { anchor: start - HOUR_MS })).toMatchObject({ candles: 4, partial: true });
+        expect(sessionVolume(bars.slice(3))).toMatchObject({ session: 'day', candles: 1, partial: true });
+    });
+
+    it('is null without klines in the session', () => {
+        expect(sessionVolume([])).toBeNull();
+        expect(sessionVolume(bars, { anchor: start + 10 * HOUR_MS })).toBeNull();
+    });
+});
@@ -0,0 +1,40 @@
+const { volumeProfile } = require('../../src/levels');
+const { ValidationError } = require('../../src/core/error-handler');
+const { klines } = require('../indicators/helpers');
+
+describe('volumeProfile', () => {
+    // Zero-range candles at 1, 3, 5, 7 and 9 over 4 bins of 2: [10, 20, 50, 20]
+    // (9 is the top edge and lands in the last bin)
+    const points = klines([[1, 1, 1, 10], [3, 3, 3, 20], [5, 5, 5, 50], [7, 7, 7, 15], [9, 9, 9, 5]]);
+
+    it('bins the volume and finds the point of control', () => {
+        const profile = volumeProfile(points, { bins: 4 });
+
+        expect(profile.bins.map(bin => bin.volume)).toEqual([10, 20, 50, 20]);
+        expect(profile).toMatchObject({ low: 1, high: 9, binSize: 2, totalVolume: 100 });
+        expect(profile.poc).toMatchObject({ low: 5, high: 7, price: 6 });
+    });
+
+    it('grows the value area towards the busier neighbour, upwards on ties', () => {
+        // 50 + 20 above reaches 70%
+        expect(volumeProfile(points, { bins: 4 })).toMatchObject({ val: 5, vah: 9 });
+        // Then only the bin below is left
+        expect(volumeProfile(points, { bins: 4, valueArea: 0.9 })).toMatchObject({ val: 3, vah: 9 });
+    });
+
+    it('spreads a candle evenly over its range', () => {
+        // 100 over 0-4 and 10 over 2-3, in bins of 1
+        const profile = volumeProfile(klines([[4, 0, 2, 100], [3, 2, 2.5, 10]]), { bins: 4, nodeRatio: 1.2 });
+
+        expect(profile.bins.map(bin => bin.volume)).toEqual([25, 25, 35, 25]);
+        expect(profile.poc.price).toBe(2.5);
+        // 35 is a local peak above 1.2 x the 27.5 mean
+        expect(profile.nodes.map(node => node.price)).toEqual([2.5]);
+        expect(volumeProfile(klines([[4, 0, 2, 100], [3, 2, 2.5, 10]]), { bins: 4 }).nodes).toEqual([]);
+    });
+
+    it('is null without klines and rejects invalid bins', () => {
+        expect(volumeProfile([])).toBeNull();
+        expect(() => volumeProfile(points, { bins: 0 })).toThrow(ValidationError);
+    });
+});
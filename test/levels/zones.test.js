@@ -0,0 +1,71 @@
+const { findZones, countTouches, cluster } = require('../../src/levels/zones');
+const { klines } = require('../indicators/helpers');
+
+describe('countTouches', () => {
+    // Zone 100-102: visits at 1-2, 4 and 6 (edges count)
+    const bars = klines([
+        [99, 97, 98],
+        [101, 98, 100],
+        [101.5, 99, 100],
+        [98, 96, 97],
+        [103, 102, 102.5],
+        [106, 103, 105],
+        [104, 100.5, 102]
+    ]);
+
+    it('counts runs of overlapping candles once, weighted by recency', () => {
+        const { touches, weighted, lastTouch } = countTouches(bars, 100, 102, 2);
+
+        expect(touches).toBe(3);
+        // Runs end 4, 2 and 0 candles before the last: 0.5^2 + 0.5^1 + 1
+        expect(weighted).toBeCloseTo(1.75, 9);
+        expect(lastTouch).toBe(bars[6].openTime);
+    });
+
+    it('is zero when the price never reaches the zone', () => {
+        expect(countTouches(bars, 110, 112, 2)).toEqual({ touches: 0, weighted: 0, lastTouch: null });
+    });
+});
+
+describe('cluster', () => {
+    it('measures the width from the lowest level of a group', () => {
+        const groups = cluster([1, 1.4, 1.6, 3].map(price => ({ price })), 0.5);
+        expect(groups.map(group => group.map(level => level.price))).toEqual([[1, 1.4], [1.6], [3]]);
+    });
+});
+
+describe('findZones', () => {
+    // A 100-110 range within one day: two legs up and two down, then a bounce to 105
+    const closes = [];
+    for (let leg = 0; leg < 4; leg++) {
+        for (let i = 0; i < 5; i++) closes.push(leg % 2 ? 110 - i * 2.5 : 100 + i * 2.5);
+    }
+    closes.push(102.5, 105);
+    const bars = klines(closes.map(close => [close + 0.5, close - 0.5, close, 10]));
+
+    it('clusters swings and volume nodes into scored zones', () => {
+        const { zones, resistance, pivotPoints, volumeProfile } = findZones(bars, { bins: 10 });
+
+        // Both tops (110.5 at 4 and 14) and the 109.95 volume node, visited at 4-5 and 14-15
+        expect(resistance).toMatchObject({ type: 'resistance', price: 110.5, swings: 2, touches: 2, sources: ['HVN'] });
+        // The bottom at 9 with the POC, visited at 0, 9-10 and 19
+        expect(zones.find(zone => zone.price === 99.5)).toMatchObject({ type: 'support', swings: 1, touches: 3, sources: ['POC'] });
+        expect(zones[0].strength).toBe(1);
+        expect(volumeProfile.poc).toBeCloseTo(100.05, 9);
+        // No complete previous day, so no pivot points
+        expect(pivotPoints).toBeNull();
+    });
+
+    it('types zones against the given price and keeps the strongest', () => {
+        const { zones, support, resistance } = findZones(bars, { bins: 10, price: 111, limit: 2 });
+
+        expect(zones).toHaveLength(2);
+        expect(resistance).toBeNull();
+        expect(support.type).toBe('support');
+        zones.forEach(zone => expect(zone.type).toBe('support'));
+    });
+
+    it('is empty without klines', () => {
+        expect(findZones([])).toEqual({ zones: [], support: null, resistance: null, pivotPoints: null, volumeProfile: null });
+    });
+});
@@ -0,0 +1,84 @@
+const { doji, hammerOrShootingStar, engulfing, star, candlestickPatterns } = require('../../src/patterns/candlesticks');
+const { candles, run } = require('./helpers');
+
+// Five flat candles closing 1% lower (trend score 0.5) or 1% higher
+const decline = run([100, 100.5, 100, 99.5, 99]);
+const rally = run([100, 99.5, 100, 100.5, 101]);
+
+describe('doji', () => {
+    it('matches an open and close within 10% of the range', () => {
+        // Body half the 10% limit after a 1% move: 0.5 + 0.3 * 0.5 + 0.2 * 0.5
+        const bars = candles([...decline, [100, 102, 98, 100.2]]);
+        expect(doji(bars, 5)).toMatchObject({ name: 'doji', direction: 'NEUTRAL', confidence: 0.75, index: 5 });
+    });
+
+    it('skips bodies over 10% of the range', () => {
+        expect(doji(candles([...decline, [100, 102, 98, 101]]), 5)).toBeNull();
+    });
+});
+
+describe('hammerOrShootingStar', () => {
+    // Body 1 with a shadow of 3 (1.5 bodies over the minimum 2 -> 0.5)
+    const hammer = [100, 101.1, 97, 101];
+    const shootingStar = [101, 104, 100.9, 100];
+
+    it('matches a hammer after a decline', () => {
+        expect(hammerOrShootingStar(candles([...decline, hammer]), 5))
+            .toMatchObject({ name: 'hammer', direction: 'BULLISH', confidence: 0.7 });
+    });
+
+    it('matches a shooting star after a rally', () => {
+        expect(hammerOrShootingStar(candles([...rally, shootingStar]), 5))
+            .toMatchObject({ name: 'shootingStar', direction: 'BEARISH', confidence: 0.7 });
+    });
+
+    it('needs the prior move', () => {
+        expect(hammerOrShootingStar(candles([...rally, hammer]), 5)).toBeNull();
+        expect(hammerOrShootingStar(candles([...decline, shootingStar]), 5)).toBeNull();
+    });
+});
+
+describe('engulfing', () => {
+    // Bodies 1 then 1.6: size 0.6
+    it('matches a bullish engulfing after a decline', () => {
+        const bars = candles([...decline, [99.5, 99.5, 98.5, 98.5], [98.4, 100, 98.4, 100]]);
+        expect(engulfing(bars, 6)).toMatchObject({ name: 'bullishEngulfing', direction: 'BULLISH', confidence: 0.73 });
+    });
+
+    it('matches a bearish engulfing after a rally', () => {
+        const bars = candles([...rally, [101.5, 102.5, 101.5, 102.5], [102.6, 102.6, 101, 101]]);
+        expect(engulfing(bars, 6)).toMatchObject({ name: 'bearishEngulfing', direction: 'BEARISH', confidence: 0.73 });
+    });
+
+    it('needs the body to cover the previous one', () => {
+        const bars = candles([...decline, [99.5, 99.5, 98.5, 98.5], [98.4, 99.4, 98.4, 99.4]]);
+        expect(engulfing(bars, 6)).toBeNull();
+    });
+});
+
+describe('star', () => {
+    // A body of 2, a star of 0.2 and a close 0.5 past the midpoint (half the half body)
+    it('matches a morning star after a decline', () => {
+        const bars = candles([...decline, [99, 99, 97, 97], [96.8, 96.8, 96.6, 96.6], [96.8, 98.5, 96.8, 98.5]]);
+        expect(star(bars, 7)).toMatchObject({ name: 'morningStar', direction: 'BULLISH', confidence: 0.75 });
+    });
+
+    it('matches an evening star after a rally', () => {
+        const bars = candles([...rally, [101, 103, 101, 103], [103.2, 103.4, 103.2, 103.4], [103.2, 103.2, 101.5, 101.5]]);
+        expect(star(bars, 7)).toMatchObject({ name: 'eveningStar', direction: 'BEARISH', confidence: 0.75 });
+    });
+
+    it('needs the last candle past the midpoint', () => {
+        const bars = candles([...decline, [99, 99, 97, 97], [96.8, 96.8, 96.6, 96.6], [96.8, 97.8, 96.8, 97.8]]);
+        expect(star(bars, 7)).toBeNull();
+    });
+});
+
+describe('candlestickPatterns', () => {
+    it('scans only the last lookback candles', () => {
+        const bars = candles([...decline, [100, 101.1, 97, 101], [101, 101, 101, 101]]);
+
+        expect(candlestickPatterns(bars, { lookback: 2 }).map(found => found.name)).toEqual(['hammer']);
+        expect(candlestickPatterns(bars, { lookback: 1 })).toEqual([]);
+    });
+});
@@ -0,0 +1,132 @@
+const { marketStructure, doubleTopOrBottom, breakouts, chartPatterns } = require('../../src/patterns/chart-patterns');
+const { swingPoints } = require('../../src/patterns/swings');
+const { klines } = require('../indicators/helpers');
+const { mirror } = require('./helpers');
+
+// [high, low, close] rows one apart around the closes
+const zigzag = closes => closes.map(close => [close + 1, close - 1, close]);
+
+describe('marketStructure', () => {
+    // Swing highs 13, 15, 17, 19 and lows 10, 12, 14 at strength 1
+    const uptrend = zigzag([10, 12, 11, 14, 13, 16, 15, 18, 17]);
+    const detect = rows => {
+        const bars = klines(rows);
+        return marketStructure(bars, swingPoints(bars, 1));
+    };
+
+    it('matches higher highs and higher lows above the last low', () => {
+        expect(detect(uptrend)).toMatchObject({ name: 'higherHighs', direction: 'BULLISH', confidence: 1, level: 14, index: 7 });
+    });
+
+    it('matches lower highs and lower lows below the last high', () => {
+        expect(detect(mirror(uptrend, 40))).toMatchObject({ name: 'lowerLows', direction: 'BEARISH', confidence: 1, level: 26, index: 7 });
+    });
+
+    it('scores only the last two highs when the first breaks the sequence', () => {
+        // Highs 17, 15, 17: rising over the last two only
+        const rows = zigzag([10, 16, 11, 14, 13, 16, 15, 18]);
+        expect(detect(rows)).toMatchObject({ name: 'higherHighs', confidence: 0.75, index: 6 });
+    });
+
+    it('treats a close through the last low as broken', () => {
+        expect(detect(zigzag([10, 12, 11, 14, 13, 16, 15, 18, 13]))).toBeNull();
+    });
+});
+
+describe('doubleTopOrBottom', () => {
+    // Tops at 20 and 19.5 (strength 2) with a 14 neckline between them
+    const doubleTop = [
+        [12, 10, 11],
+        [15, 13, 14],
+        [20, 17, 18],
+        [18, 16, 17],
+        [16, 14, 15],
+        [18, 16, 17],
+        [19.5, 17, 18],
+        [18, 16, 17],
+        [17.5, 16, 16.5]
+    ];
+    const detect = (rows, type, maxAge = 30) => {
+        const bars = klines(rows);
+        return doubleTopOrBottom(bars, swingPoints(bars, 2), type, { tolerance: 1, maxAge });
+    };
+
+    it('reports an unconfirmed top above the neckline', () => {
+        // 0.2 + 0.2 * (1 - 0.5 / 1) + 0.2 * (6 / 8)
+        expect(detect(doubleTop, 'high')).toMatchObject({
+            name: 'doubleTop', direction: 'BEARISH', confidence: 0.45, level: 20, neckline: 14, confirmed: false, index: 6
+        });
+    });
+
+    it('confirms on a close below the neckline, at the first such candle', () => {
+        const rows = [...doubleTop, [15, 13, 13.5], [14, 12.5, 13]];
+        expect(detect(rows, 'high')).toMatchObject({ confidence: 0.85, confirmed: true, index: 9 });
+    });
+
+    it('is cancelled by a later high above the tops', () => {
+        expect(detect([...doubleTop, [20.5, 16, 17]], 'high')).toBeNull();
+    });
+
+    it('mirrors for bottoms', () => {
+        expect(detect(mirror(doubleTop, 40), 'low')).toMatchObject({
+            name: 'doubleBottom', direction: 'BULLISH', confidence: 0.45, level: 20, neckline: 26, confirmed: false
+        });
+        expect(detect(mirror([...doubleTop, [15, 13, 13.5]], 40), 'low')).toMatchObject({ confirmed: true, index: 9 });
+    });
+
+    it('skips tops too far apart, too shallow or too old', () => {
+        expect(detect(doubleTop.map(([high, low, close], i) => [i === 6 ? 18.5 : high, low, close]), 'high')).toBeNull();
+        expect(detect(doubleTop.map(([high, low, close], i) => [high, i > 2 && i < 6 ? 16.5 : low, close]), 'high')).toBeNull();
+        expect(detect(doubleTop, 'high', 1)).toBeNull();
+    });
+});
+
+describe('breakouts', () => {
+    // A swing high at 14 (strength 2) broken by the last close on double volume
+    const rows = [
+        [10, 8, 9, 10],
+        [11, 9, 10, 10],
+        [14, 11, 12, 10],
+        [12, 10, 11, 10],
+        [11, 9, 10, 10],
+        [12, 10, 11, 10],
+        [13, 11, 12.5, 10],
+        [16, 12.5, 15, 20]
+    ];
+    const detect = fixture => {
+        const bars = klines(fixture);
+        return breakouts(bars, swingPoints(bars, 2), { atr: 2 });
+    };
+
+    it('matches a close above a swing high', () => {
+        // 0.4 + 0.3 * (1 / 2) + 0.3 * (20 / 10 - 1)
+        expect(detect(rows)).toEqual([
+            expect.objectContaining({ name: 'bullishBreakout', direction: 'BULLISH', confidence: 0.85, level: 14, index: 7 })
+        ]);
+    });
+
+    it('matches a close below a swing low', () => {
+        expect(detect(mirror(rows, 30))).toEqual([
+            expect.objectContaining({ name: 'bearishBreakout', direction: 'BEARISH', confidence: 0.85, level: 16 })
+        ]);
+    });
+
+    it('needs the level to have held until now', () => {
+        const broken = rows.map((row, i) => (i === 5 ? [15, 12, 14.5, 10] : row));
+        expect(detect(broken)).toEqual([]);
+    });
+
+    it('counts the furthest of several levels', () => {
+        // A second swing high at 13.5 broken by the same close
+        const twoLevels = [...rows.slice(0, 6), [13.5, 11, 12.5, 10], [12, 10, 11, 10], [12.5, 10.5, 12, 10], [16, 12, 15, 20]];
+        const found = detect(twoLevels);
+        expect(found).toHaveLength(1);
+        expect(found[0].level).toBe(14);
+    });
+});
+
+describe('chartPatterns', () => {
+    it('returns nothing for no klines', () => {
+        expect(chartPatterns([])).toEqual([]);
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * Pattern fixtures
+ */
+
+const { klines } = require('../indicators/helpers');
+
+/**
+ * Klines from [open, high, low, close, volume] rows, one hour apart
+ */
+function candles(rows, start = Date.UTC(2024, 0, 1)) {
+    return klines(rows.map(([, high, low, close, volume]) => [high, low, close, volume]), start)
+        .map((kline, i) => ({ ...kline, open: rows[i][0] }));
+}
+
+/**
+ * Flat candles at the closes, as the run-up to a pattern
+ */
+function run(closes) {
+    return closes.map(close => [close, close, close, close]);
+}
+
+/**
+ * [high, low, close, volume] rows flipped upside down around level, so a
+ * bullish fixture becomes its bearish twin
+ */
+function mirror(rows, level) {
+    return rows.map(([high, low, close, volume]) => [level - low, level - high, level - close, volume]);
+}
+
+module.exports = {
+    candles,
+    run,
+    mirror
+};
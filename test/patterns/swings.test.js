@@ -0,0 +1,30 @@
+const { swingPoints } = require('../../src/patterns');
+const { ValidationError } = require('../../src/core/error-handler');
+const { klines } = require('../indicators/helpers');
+
+describe('swingPoints', () => {
+    const highs = [1, 2, 5, 5, 3, 2, 4, 6];
+    const bars = klines(highs.map(high => [high, high - 1, high - 0.5]));
+
+    it('finds highs and lows beyond strength candles on both sides', () => {
+        expect(swingPoints(bars, 2)).toEqual([
+            { type: 'high', index: 2, price: 5, timestamp: bars[2].openTime },
+            { type: 'low', index: 5, price: 1, timestamp: bars[5].openTime }
+        ]);
+    });
+
+    it('counts equal highs once, at the first', () => {
+        const swings = swingPoints(bars, 2).filter(swing => swing.type === 'high');
+        expect(swings.map(swing => swing.index)).toEqual([2]);
+    });
+
+    it('leaves the last strength candles unconfirmed', () => {
+        // The 6 high at the end is the highest but has no candles after it
+        expect(swingPoints(bars, 2).some(swing => swing.index >= 6)).toBe(false);
+        expect(swingPoints(bars, 4)).toEqual([]);
+    });
+
+    it('rejects invalid strengths', () => {
+        expect(() => swingPoints(bars, 0)).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,113 @@
+const CryptoQuantClient = require('../../src/api/cryptoquant-client');
+const CryptoQuantProvider = require('../../src/providers/cryptoquant-provider');
+const ReplayFlowProvider = require('../../src/providers/replay-provider');
+const ProviderRegistry = require('../../src/providers/provider-registry');
+const FlowProvider = require('../../src/providers/flow-provider');
+const { ConfigurationError, ValidationError } = require('../../src/core/error-handler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// 48 hourly ETH inflow windows, newest first as CryptoQuant returns them
+const rows = Array.from({ length: 48 }, (_, i) => ({
+    datetime: new Date(START + i * HOUR_MS).toISOString().slice(0, 19).replace('T', ' '),
+    inflow_total: 1000 + (i % 5) * 100,
+    inflow_top10: 400 + (i % 3) * 50
+})).reverse();
+
+const points = rows.map(row => ({
+    timestamp: Date.parse(`${row.datetime.replace(' ', 'T')}Z`),
+    value: row.inflow_total,
+    top10: row.inflow_top10
+}));
+
+function cryptoQuantProvider() {
+    const client = new CryptoQuantClient('test-key', { dataMode: 'strict', scheduler: { execute: fn => fn() } });
+    client.client = { get: jest.fn().mockResolvedValue({ data: { result: { data: rows } } }) };
+    return new CryptoQuantProvider({ client });
+}
+
+function replayProvider() {
+    return new ReplayFlowProvider({ flows: [{ flowType: 'inflow', symbol: 'ETH', window: 'hour', series: points }] });
+}
+
+describe.each([
+    ['cryptoquant', cryptoQuantProvider, 'live'],
+    ['replay', replayProvider, 'replay']
+])('%s provider FlowResult contract', (name, create, source) => {
+    let result;
+
+    beforeAll(async () => {
+        result = await create().getExchangeFlow('inflow', { symbol: 'ETH', window: 'hour' });
+    });
+
+    it('describes the request', () => {
+        expect(result).toMatchObject({ flowType: 'inflow', symbol: 'ETH', exchange: 'all_exchange', window: 'hour', source });
+        expect(result.timestamp).toBeInstanceOf(Date);
+    });
+
+    it('returns the series oldest first with numeric points', () => {
+        expect(result.series).toHaveLength(48);
+        result.series.forEach((point, i) => {
+            expect(Object.keys(point).sort()).toEqual(['timestamp', 'top10', 'value']);
+            expect(point.timestamp).toBe(START + i * HOUR_MS);
+            expect(typeof point.value).toBe('number');
+            expect(typeof point.top10).toBe('number');
+        });
+        expect(result.from).toBe(START);
+        expect(result.to).toBe(START + 47 * HOUR_MS);
+        expect(result.latest).toEqual(result.series[47]);
+    });
+
+    it('summarizes the last 24 windows against the lookback', () => {
+        const last = points.slice(0, 24);
+        const sum = last.reduce((total, point) => total + point.value, 0);
+
+        expect(result.statistics).toMatchObject({
+            points: 24,
+            sum,
+            mean: sum / 24,
+            whaleVolume: last.reduce((total, point) => total + point.top10, 0)
+        });
+        expect(result.statistics).toHaveProperty('zScore');
+        expect(result.statistics).toHaveProperty('percentileRank');
+        expect(result.statistics).toHaveProperty('baseline');
+    });
+
+    it('rejects flows it cannot serve', async () => {
+        await expect(create().getExchangeFlow('inflow', { symbol: 'SOL' })).rejects.toThrow(ValidationError);
+        await expect(create().getExchangeFlow('inflow', { window: 'week' })).rejects.toThrow(ValidationError);
+    });
+});
+
+describe('ProviderRegistry', () => {
+    const registry = new ProviderRegistry();
+    const cryptoQuant = registry.register(cryptoQuantProvider());
+    const replay = registry.register(replayProvider());
+    const solana = registry.register(new ReplayFlowProvider({
+        name: 'solana',
+        flows: [{ flowType: 'outflow', symbol: 'SOL', window: 'day', series: [{ timestamp: START, value: 5 }] }]
+    }));
+
+    it('matches requirements against capabilities', () => {
+        expect(replay.supports({ flowTypes: ['inflow'], window: 'hour', asset: 'ETH' })).toBe(true);
+        expect(replay.supports({ flowTypes: ['inflow', 'outflow'] })).toBe(false);
+        expect(replay.supports({ breakdown: true })).toBe(false);
+        expect(cryptoQuant.supports({ exchange: 'binance', breakdown: true, metrics: ['sopr'] })).toBe(true);
+        expect(cryptoQuant.supports({ asset: 'SOL' })).toBe(false);
+    });
+
+    it('resolves by name or the first provider meeting the requirements', () => {
+        expect(registry.resolve('replay')).toBe(replay);
+        expect(registry.resolve(null, { asset: 'ETH', whaleVolume: true })).toBe(cryptoQuant);
+        expect(registry.resolve(null, { flowTypes: ['outflow'] })).toBe(cryptoQuant);
+        expect(registry.resolve(null, { asset: 'SOL', window: 'day' })).toBe(solana);
+        expect(registry.resolve(null, { asset: 'SOL', window: 'hour' })).toBeNull();
+    });
+
+    it('rejects unknown names and non-providers', () => {
+        expect(() => registry.resolve('glassnode')).toThrow(ConfigurationError);
+        expect(() => registry.register({ name: 'plain', getExchangeFlow() {} })).toThrow(ValidationError);
+        expect(() => registry.register(new FlowProvider())).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,62 @@
+const MarketScanner = require('../../src/scanner/market-scanner');
+const DataSource = require('../../src/core/data-source');
+
+describe('MarketScanner ranking', () => {
+    const scanner = new MarketScanner({ analyzer: { dataSource: {} } });
+    const rank = (rows, sortBy) => rows.slice().sort((a, b) => scanner.compare(a, b, sortBy)).map(row => row.symbol);
+
+    it('puts the strongest bearish signal first', () => {
+        const rows = [
+            { symbol: 'WEAK', signal: 'BEARISH', signalStrength: 0.2, quoteVolume: 1 },
+            { symbol: 'STRONG', signal: 'BEARISH', signalStrength: 0.9, quoteVolume: 1 }
+        ];
+
+        expect(rank(rows, 'strength')).toEqual(['STRONG', 'WEAK']);
+    });
+
+    it('ranks by strength whatever the direction, then by quote volume', () => {
+        const rows = [
+            { symbol: 'BULL', signal: 'BULLISH', signalStrength: 0.5, quoteVolume: 1 },
+            { symbol: 'BEAR', signal: 'BEARISH', signalStrength: 0.7, quoteVolume: 1 },
+            { symbol: 'BUSY', signal: 'BULLISH', signalStrength: 0.5, quoteVolume: 2 },
+            { symbol: 'NONE', signal: 'NEUTRAL', quoteVolume: 3 }
+        ];
+
+        expect(rank(rows, 'strength')).toEqual(['BEAR', 'BUSY', 'BULL', 'NONE']);
+    });
+});
+
+describe('MarketScanner scan', () => {
+    const ticker = (symbol, quoteVolume) => ({ symbol, lastPrice: '1', priceChangePercent: '0', quoteVolume: String(quoteVolume) });
+    const scanner = mode => new MarketScanner({
+        symbols: { ensureLoaded: async () => {}, list: () => [{ symbol: 'BTCUSDT' }, { symbol: 'ETHUSDT' }] },
+        binance: { get24hrTickers: async () => [ticker('BTCUSDT', 5e9), ticker('ETHUSDT', 2e9)] },
+        analyzer: {
+            validateTimeframes: () => {},
+            strategies: { resolve: () => {} },
+            // ETHUSDT's analysis failed and fell back to mock data
+            analyze: async symbol => ({
+                currentPrice: 1,
+                signal: 'BULLISH',
+                signalStrength: symbol === 'ETHUSDT' ? 0.9 : 0.4,
+                source: symbol === 'ETHUSDT' ? 'mock' : 'live'
+            })
+        },
+        dataSource: new DataSource({ mode })
+    });
+
+    it('reports pairs whose live analysis fell back to mock as errors', async () => {
+        const scan = await scanner('live').scan();
+
+        expect(scan.results.map(row => row.symbol)).toEqual(['BTCUSDT']);
+        expect(scan.errors).toEqual([{ symbol: 'ETHUSDT', error: 'Analysis fell back to mock data' }]);
+        expect(scan.source).toBe('live');
+    });
+
+    it('ranks mock rows in mock mode', async () => {
+        const scan = await scanner('mock').scan();
+
+        expect(scan.results.map(row => row.symbol)).toEqual(['ETHUSDT', 'BTCUSDT']);
+        expect(scan.errors).toEqual([]);
+    });
+});
@@ -0,0 +1,27 @@
+const RuleStrategy = require('../../src/strategies/rule-strategy');
+const TechnicalAnalyzer = require('../../src/monitors/technical-analyzer');
+
+const trend = {
+    name: 'trend',
+    rules: [
+        { when: 'close > ema200', signal: 'BULLISH' },
+        { when: 'close <= ema200', signal: 'BEARISH' }
+    ]
+};
+
+describe('RuleStrategy candles', () => {
+    it('sizes the window for the longest period it reads', () => {
+        expect(new RuleStrategy(trend).candles).toBe(400);
+        expect(new RuleStrategy({ name: 'adx', rules: [{ when: 'adx14 > 25 AND sma50 > 0', signal: 'BULLISH' }] }).candles).toBe(50);
+        expect(new RuleStrategy({ name: 'rsi', rules: [{ when: 'rsi < 30', signal: 'BULLISH' }] }).candles).toBe(0);
+    });
+
+    it('lets analyze fetch enough klines for ema200', async () => {
+        const analyzer = new TechnicalAnalyzer();
+        analyzer.strategies.register(trend);
+
+        const analysis = await analyzer.analyze('BTCUSDT', { strategy: 'trend' });
+
+        expect(analysis.signal).not.toBe('NEUTRAL');
+    });
+});